@@ -0,0 +1,344 @@
+// This module checks tracks that an admin adds to the catalog, one at a time
+// or imported from a file.
+//
+// Import formats:
+// - csv: a header row with the columns of db/short-tracks.csv (track_id is optional),
+//   genres written as {pop,dance} or pop;dance
+// - json: a list of tracks, or { tracks: [...] }, with the same fields as the tracks API returns
+// - m3u: an extended playlist, where each #EXTINF line gives the duration in seconds and "Artist - Title"
+//
+// Tracks without a track_id are new and get the next free ID when they are saved.
+// Tracks with one replace the track with that ID, or are added under it.
+
+export const importFormats = ['csv', 'json', 'm3u'];
+
+// Call this function to read an import file.
+// Parameters:
+// - body: the file as text, or already parsed for json
+// - format: one of importFormats
+// Returns { rows } with one { row, input } per track, or { row, error } for one that
+// couldn't be read, or { error } if the whole file can't be read.
+// row is the line (csv, m3u) or position (json) to point the admin to.
+export function parseImport(body, format) {
+    if (format === 'json') {
+        return parseJson(body);
+    }
+    if (typeof body !== 'string' || body.trim() === '') {
+        return { error: 'The file is empty' };
+    }
+    return format === 'csv' ? parseCsv(body) : parseM3u(body);
+}
+
+// Call this function to check a track before it is saved.
+// Parameters:
+// - input: the track's fields, e.g. from a request body or parseImport
+// - genres: the genres in the catalog, as loaded from the genres table
+// Returns { track } with every field filled in, or { error } with a message for the admin
+export function validateTrack(input, genres) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'A track must be an object' };
+    }
+
+    let trackId = null;
+    if (input.track_id !== undefined && input.track_id !== null && input.track_id !== '') {
+        if (!/^[1-9]\d{0,17}$/.test(String(input.track_id))) {
+            return { error: 'Track ID must be a positive whole number' };
+        }
+        trackId = String(input.track_id);
+    }
+
+    for (const key of ['title', 'artist']) {
+        if (typeof input[key] !== 'string' || input[key].trim() === '') {
+            return { error: `${key === 'title' ? 'Title' : 'Artist'} is required` };
+        }
+    }
+
+    if (!Number.isInteger(input.duration) || input.duration <= 0) {
+        return { error: 'Duration must be a number of milliseconds' };
+    }
+
+    const trackGenres = input.genres === undefined || input.genres === null ? [] : input.genres;
+    if (!Array.isArray(trackGenres)) {
+        return { error: 'Genres must be a list' };
+    }
+    const unknownGenre = trackGenres.find(g => !genres.some(genre => genre.genre === g));
+    if (unknownGenre !== undefined) {
+        return { error: `Unknown genre: ${unknownGenre}` };
+    }
+
+    const tempo = input.tempo === undefined ? null : input.tempo;
+    if (tempo !== null && !(Number.isInteger(tempo) && tempo > 0)) {
+        return { error: 'Tempo must be a whole number of beats per minute' };
+    }
+
+    const energy = input.energy === undefined ? null : input.energy;
+    if (energy !== null && !(typeof energy === 'number' && energy >= 0 && energy <= 1)) {
+        return { error: 'Energy must be a number from 0 to 1' };
+    }
+
+    const releaseYear = input.release_year === undefined ? null : input.release_year;
+    if (releaseYear !== null && !(Number.isInteger(releaseYear) && releaseYear >= 1000 && releaseYear <= new Date().getFullYear() + 1)) {
+        return { error: 'Release year must be a year' };
+    }
+
+    const explicit = input.explicit === undefined ? false : input.explicit;
+    if (typeof explicit !== 'boolean') {
+        return { error: 'Explicit must be true or false' };
+    }
+
+    return {
+        track: {
+            track_id: trackId,
+            title: input.title.trim(),
+            artist: input.artist.trim(),
+            duration: input.duration,
+            genres: [...new Set(trackGenres)],
+            tempo,
+            energy,
+            release_year: releaseYear,
+            explicit,
+        }
+    };
+}
+
+// Call this function to work out what an import would do to the catalog.
+// A track is a duplicate if the import already has one with the same ID, or with the same
+// title and artist, or if the catalog has one with the same title and artist under another ID.
+// A track with the same ID as one in the catalog isn't a duplicate, it updates that track.
+// Returns { tracks } to save, each with the row it came from, and { errors } as { row, error }
+export function checkImport(rows, catalog, genres) {
+    const result = { tracks: [], errors: [] };
+    const rowsById = new Map();
+    const rowsByName = new Map();
+
+    for (const entry of rows) {
+        if (entry.error) {
+            result.errors.push({ row: entry.row, error: entry.error });
+            continue;
+        }
+
+        const { track, error } = validateTrack(entry.input, genres);
+        if (error) {
+            result.errors.push({ row: entry.row, error });
+            continue;
+        }
+
+        const name = nameKey(track);
+        const earlierRow = (track.track_id && rowsById.get(track.track_id)) || rowsByName.get(name);
+        if (earlierRow) {
+            result.errors.push({ row: entry.row, error: `Duplicate of row ${earlierRow}` });
+            continue;
+        }
+
+        const existing = findDuplicate(track, catalog);
+        if (existing) {
+            result.errors.push({ row: entry.row, error: `Already in the catalog as track ${existing.track_id}` });
+            continue;
+        }
+
+        if (track.track_id) {
+            rowsById.set(track.track_id, entry.row);
+        }
+        rowsByName.set(name, entry.row);
+        result.tracks.push({ row: entry.row, track });
+    }
+
+    return result;
+}
+
+// Returns the catalog track that has the same title and artist but another ID, if there is one
+export function findDuplicate(track, catalog) {
+    const name = nameKey(track);
+    return catalog.find(t => nameKey(t) === name && t.track_id !== track.track_id) || null;
+}
+
+// Returns the ID for the first new track in a batch: after the highest ID in the catalog,
+// and after any IDs set in the batch itself. IDs are strings, so this works with BigInt.
+export function nextTrackId(maxId, newTracks) {
+    return newTracks
+        .filter(t => t.track_id)
+        .reduce((max, t) => BigInt(t.track_id) > max ? BigInt(t.track_id) : max, maxId) + 1n;
+}
+
+// Call this function to read a CSV file with a header row.
+// Returns one { line, values } per row, where values has the cells by (lower case) column name
+export function readCsv(text) {
+    const records = readCsvRecords(text);
+    if (records.length === 0) {
+        return [];
+    }
+    const header = records.shift().fields.map(name => name.trim().toLowerCase());
+
+    return records
+        .filter(record => record.fields.some(field => field.trim() !== ''))
+        .map(record => {
+            const values = {};
+            header.forEach((name, index) => {
+                values[name] = (record.fields[index] || '').trim();
+            });
+            return { line: record.line, values };
+        });
+}
+
+// HELPER FUNCTIONS
+
+function nameKey(track) {
+    return `${track.artist.trim().toLowerCase()}\n${track.title.trim().toLowerCase()}`;
+}
+
+function parseJson(body) {
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch {
+            return { error: 'The file is not valid JSON' };
+        }
+    }
+
+    const list = Array.isArray(body) ? body : body && body.tracks;
+    if (!Array.isArray(list)) {
+        return { error: 'Expected a list of tracks, or { "tracks": [...] }' };
+    }
+    return { rows: list.map((input, index) => ({ row: index + 1, input })) };
+}
+
+function parseCsv(text) {
+    const rows = readCsv(text);
+    const columns = rows.length > 0 ? Object.keys(rows[0].values) : [];
+
+    if (!['title', 'artist', 'duration'].every(name => columns.includes(name))) {
+        return { error: 'The header row needs at least title, artist and duration columns' };
+    }
+
+    return {
+        rows: rows.map(({ line, values }) => {
+            const input = {};
+            for (const [name, value] of Object.entries(values)) {
+                if (value !== '') {
+                    input[name] = csvValue(name, value);
+                }
+            }
+            return { row: line, input };
+        })
+    };
+}
+
+// CSV cells are all text, so numbers, lists and booleans are turned into what validateTrack expects.
+// Anything that doesn't convert is passed on as text, for validateTrack to report.
+function csvValue(name, value) {
+    if (['duration', 'tempo', 'energy', 'release_year'].includes(name)) {
+        return isNaN(Number(value)) ? value : Number(value);
+    }
+    if (name === 'genres') {
+        return value.replace(/^\{|\}$/g, '').split(/[,;]/).map(g => g.trim()).filter(g => g !== '');
+    }
+    if (name === 'explicit') {
+        if (['true', 't', 'yes', '1'].includes(value.toLowerCase())) return true;
+        if (['false', 'f', 'no', '0'].includes(value.toLowerCase())) return false;
+    }
+    return value;
+}
+
+// Splits CSV text into records of fields, keeping commas and line breaks inside quotes.
+// Each record has the line it starts on.
+function readCsvRecords(text) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+            fields = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+    }
+    return records;
+}
+
+function parseM3u(text) {
+    const rows = [];
+    let pending = null;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+
+        if (line.startsWith('#EXTINF:')) {
+            if (pending) {
+                rows.push({ row: pending.row, error: 'No file or URL after #EXTINF' });
+            }
+            pending = parseExtinf(line, lineNumber);
+        } else if (line !== '' && !line.startsWith('#')) {
+            // The file or URL itself, which finishes the entry
+            rows.push(pending || { row: lineNumber, error: 'No #EXTINF line with the duration, artist and title' });
+            pending = null;
+        }
+    });
+
+    if (pending) {
+        rows.push({ row: pending.row, error: 'No file or URL after #EXTINF' });
+    }
+    if (rows.length === 0) {
+        return { error: 'The playlist has no tracks' };
+    }
+    return { rows };
+}
+
+// #EXTINF:<seconds> <attributes>,<artist> - <title>
+function parseExtinf(line, lineNumber) {
+    const match = line.match(/^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/);
+    if (!match) {
+        return { row: lineNumber, error: 'Expected #EXTINF:<seconds>,<artist> - <title>' };
+    }
+
+    const seconds = parseFloat(match[1]);
+    if (seconds <= 0) {
+        return { row: lineNumber, error: 'The duration is missing or unknown' };
+    }
+
+    const separator = match[2].indexOf(' - ');
+    if (separator === -1) {
+        return { row: lineNumber, error: 'Expected "<artist> - <title>" after the duration' };
+    }
+
+    return {
+        row: lineNumber,
+        input: {
+            artist: match[2].substring(0, separator),
+            title: match[2].substring(separator + 3),
+            duration: Math.round(seconds * 1000),
+        }
+    };
+}
@@ -0,0 +1,78 @@
+// This module keeps track of the browsers listening for live party updates
+// and pushes events to them using Server-Sent Events
+
+const streams = new Map();
+
+// Call this function to turn a response into an event stream for a party.
+// Parameters:
+// - partyCode: a string identifying the party the client wants updates from
+// - response: the Express response object of the request, kept open until the client leaves
+export function subscribe(partyCode, response) {
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    response.write('retry: 3000\n\n');
+
+    let listeners = streams.get(partyCode);
+    if (!listeners) {
+        listeners = new Set();
+        streams.set(partyCode, listeners);
+    }
+    listeners.add(response);
+
+    response.on('close', () => {
+        listeners.delete(response);
+        if (listeners.size === 0 && streams.get(partyCode) === listeners) {
+            streams.delete(partyCode);
+        }
+    });
+}
+
+// Call this function to send an event to a single client, e.g. the current state when it connects.
+// Parameters:
+// - response: the Express response object that was passed to subscribe
+// - event: the name of the event, a string
+// - data: any value that can be converted to JSON
+export function send(response, event, data) {
+    response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Call this function to send an event to everybody listening on a party.
+// Parameters:
+// - partyCode: a string identifying the party
+// - event: the name of the event, a string
+// - data: any value that can be converted to JSON
+export function publish(partyCode, event, data) {
+    const listeners = streams.get(partyCode);
+    if (!listeners) {
+        return;
+    }
+    for (const response of listeners) {
+        send(response, event, data);
+    }
+}
+
+// Call this function when the server shuts down, to end every stream.
+// Browsers reconnect by themselves after the retry time sent in subscribe.
+export function closeAll() {
+    for (const listeners of streams.values()) {
+        for (const response of listeners) {
+            response.end();
+        }
+    }
+}
+
+// Proxies and phones tend to close connections that are quiet for too long,
+// so every open stream gets a comment line now and then
+function keepAlive() {
+    for (const listeners of streams.values()) {
+        for (const response of listeners) {
+            response.write(': keep-alive\n\n');
+        }
+    }
+    setTimeout(() => keepAlive(), 15000);
+}
+
+keepAlive();
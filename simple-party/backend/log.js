@@ -0,0 +1,53 @@
+// This module writes the server's logs as JSON, one object per line, so a log collector
+// can search them by field instead of by text.
+// Every line has time, level and message, plus the fields passed in, e.g.
+// {"time":"...","level":"info","message":"Party created","requestId":"...","partyCode":"ABCD"}
+//
+// Lines written while handling a request get its requestId on their own,
+// also from inside promise chains and timers started by the request. Timers that outlive
+// the request, like the end of a track, are started with withoutRequestId instead.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const requestContext = new AsyncLocalStorage();
+
+export const log = {
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+};
+
+// Call this function to run the rest of a request with its ID attached to every log line.
+// Parameters:
+// - requestId: a string identifying the request, also sent back in the X-Request-Id header
+// - callback: the function to run, e.g. Express' next
+export function withRequestId(requestId, callback) {
+    return requestContext.run({ requestId }, callback);
+}
+
+// Call this function to start something that goes on long after the request, e.g. the timer
+// for the end of a track, which then picks the next track and starts the next timer.
+// Otherwise every line that chain ever writes would have the ID of the request that started it.
+// Parameters:
+// - callback: the function to run without a request ID
+export function withoutRequestId(callback) {
+    return requestContext.exit(callback);
+}
+
+// HELPER FUNCTIONS
+
+function write(level, message, fields = {}) {
+    const context = requestContext.getStore();
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        message,
+        ...(context ? { requestId: context.requestId } : {}),
+        ...fields,
+    });
+    if (level === 'info') {
+        process.stdout.write(line + '\n');
+    } else {
+        process.stderr.write(line + '\n');
+    }
+}
@@ -0,0 +1,510 @@
+// This module keeps everything in memory, for demos and trying things out without a database.
+// It starts with the catalog from db/genres.csv and db/short-tracks.csv, and forgets
+// every party when the server stops.
+// It has the same functions as postgresStorage.js, see storage.js.
+
+import fs from 'fs';
+import path from 'path';
+import { readCsv, parseImport, validateTrack, nextTrackId } from './catalog.js';
+import { log } from './log.js';
+
+export async function createMemoryStorage() {
+    const data = {
+        genres: [],
+        tracks: new Map(),
+        parties: new Map(),
+        nowPlaying: new Map(),
+        history: [],
+        requests: [],
+        votes: new Map(),
+        reactions: new Map(),
+        messages: [],
+        attendance: [],
+        profiles: new Map(),
+        sessionProfiles: new Map(),
+        webhooks: new Map(),
+        deliveries: [],
+    };
+    loadCatalog(data);
+
+    const tracks = {
+        async getAll() {
+            return [...data.tracks.values()].map(track => ({ ...track, genres: [...track.genres] }));
+        },
+
+        async save(newTracks) {
+            const maxId = [...data.tracks.keys()].reduce((max, id) => BigInt(id) > max ? BigInt(id) : max, 0n);
+            let nextId = nextTrackId(maxId, newTracks);
+
+            return newTracks.map(track => {
+                const saved = { ...track, track_id: track.track_id || String(nextId++) };
+                data.tracks.set(saved.track_id, saved);
+                return { ...saved };
+            });
+        },
+
+        async remove(trackId) {
+            data.requests = data.requests.filter(r => r.trackId !== trackId);
+            data.tracks.delete(trackId);
+        },
+    };
+
+    const genres = {
+        async getAll() {
+            return [...data.genres].sort((a, b) => a.label.localeCompare(b.label));
+        },
+    };
+
+    const parties = {
+        async insert(party) {
+            if (data.parties.has(party.partyCode)) {
+                return false;
+            }
+            data.parties.set(party.partyCode, {
+                partyCode: party.partyCode,
+                hostToken: party.hostToken,
+                createdAt: party.createdAt,
+                endedAt: null,
+                suspendedAt: null,
+                removedSessions: [],
+                strategy: party.strategy,
+                settings: party.settings,
+                plan: null,
+            });
+            return true;
+        },
+
+        async get(partyCode) {
+            const party = data.parties.get(partyCode);
+            return party ? { partyCode, createdAt: party.createdAt, endedAt: party.endedAt } : null;
+        },
+
+        async getRunning() {
+            return [...data.parties.values()]
+                .filter(party => party.endedAt === null)
+                .map(party => ({ ...party, removedSessions: [...party.removedSessions] }));
+        },
+
+        async setSettings(partyCode, settings) {
+            updateParty(partyCode, party => party.settings = settings);
+        },
+
+        async setPlan(partyCode, plan) {
+            updateParty(partyCode, party => party.plan = plan);
+        },
+
+        async setStrategy(partyCode, strategy) {
+            updateParty(partyCode, party => party.strategy = strategy);
+        },
+
+        async setSuspendedAt(partyCode, suspendedAt) {
+            updateParty(partyCode, party => party.suspendedAt = suspendedAt);
+        },
+
+        async removeSession(partyCode, sessionId) {
+            updateParty(partyCode, party => party.removedSessions.push(sessionId));
+        },
+
+        async end(partyCode) {
+            updateParty(partyCode, party => party.endedAt = Date.now());
+            data.nowPlaying.delete(partyCode);
+            data.requests = data.requests.filter(r => r.partyCode !== partyCode);
+        },
+    };
+
+    const playback = {
+        async start(partyCode, trackId, startedAt, explanation) {
+            data.nowPlaying.set(partyCode, { partyCode, trackId, startedAt, pausedAt: null });
+            data.history.push({ partyCode, trackId, playedAt: startedAt, explanation });
+        },
+
+        async setTimes(partyCode, startedAt, pausedAt) {
+            const playing = data.nowPlaying.get(partyCode);
+            if (playing) {
+                playing.startedAt = startedAt;
+                playing.pausedAt = pausedAt;
+            }
+        },
+
+        async getNowPlaying() {
+            return [...data.nowPlaying.values()].map(playing => ({ ...playing }));
+        },
+
+        async getRecentHistory(limit) {
+            const counts = new Map();
+            return sortByPlayedAt(data.history.filter(entry => data.parties.get(entry.partyCode).endedAt === null))
+                .reverse()
+                .filter(entry => {
+                    const count = (counts.get(entry.partyCode) || 0) + 1;
+                    counts.set(entry.partyCode, count);
+                    return count <= limit;
+                })
+                .reverse()
+                .map(entry => ({ partyCode: entry.partyCode, trackId: entry.trackId, explanation: entry.explanation }));
+        },
+
+        async getHistory(partyCode) {
+            return sortByPlayedAt(data.history.filter(entry => entry.partyCode === partyCode))
+                .map(entry => ({ trackId: entry.trackId, playedAt: entry.playedAt }));
+        },
+    };
+
+    const requests = {
+        async add(partyCode, trackRequest) {
+            if (data.requests.some(r => r.partyCode === partyCode && r.trackId === trackRequest.trackId)) {
+                throw new Error('Track already requested');
+            }
+            data.requests.push({
+                partyCode,
+                trackId: trackRequest.trackId,
+                sessionId: trackRequest.sessionId,
+                requesterName: trackRequest.requesterName,
+                requestedAt: trackRequest.requestedAt,
+                upvoters: [],
+            });
+        },
+
+        async upvote(partyCode, trackId, sessionId) {
+            const trackRequest = data.requests.find(r => r.partyCode === partyCode && r.trackId === trackId);
+            if (trackRequest) {
+                trackRequest.upvoters.push(sessionId);
+            }
+        },
+
+        async remove(partyCode, trackId) {
+            data.requests = data.requests.filter(r => !(r.partyCode === partyCode && r.trackId === trackId));
+        },
+
+        async getAll() {
+            return data.requests.map(r => ({ ...r, upvoters: [...r.upvoters] }));
+        },
+    };
+
+    // Votes are kept by party, track and session, like the primary key of the votes table
+    const votes = {
+        async record(partyCode, trackId, sessionId, vote, profileId = null) {
+            data.votes.set(voteKey(partyCode, trackId, sessionId), { partyCode, trackId, sessionId, vote, votedAt: Date.now(), profileId });
+        },
+
+        async removeParty(partyCode) {
+            for (const [key, v] of data.votes.entries()) {
+                if (v.partyCode === partyCode) {
+                    data.votes.delete(key);
+                }
+            }
+        },
+
+        async get(partyCode, trackId, sessionId) {
+            const entry = data.votes.get(voteKey(partyCode, trackId, sessionId));
+            return entry ? entry.vote : null;
+        },
+
+        async count(partyCode, trackId) {
+            const tallies = tallyVotes(partyVotes(partyCode), v => v.trackId);
+            return tallies.get(trackId) || { upvotes: 0, downvotes: 0 };
+        },
+
+        async getTallies(partyCode) {
+            const tallies = tallyVotes(partyVotes(partyCode), v => v.trackId);
+            return [...tallies.entries()].map(([trackId, tally]) => ({ trackId, ...tally }));
+        },
+
+        async getScores(partyCode) {
+            return sumScores(partyVotes(partyCode), () => 1);
+        },
+
+        async getRecentScores(partyCode, halfLife) {
+            const now = Date.now();
+            return sumScores(partyVotes(partyCode), v => Math.pow(0.5, (now - v.votedAt) / halfLife));
+        },
+
+        async getScoresEverywhere(partyCode) {
+            const result = new Map();
+            for (const v of data.votes.values()) {
+                const scores = result.get(v.trackId) || { partyScore: 0, totalScore: 0 };
+                const score = v.vote === 'up' ? 1 : -1;
+                scores.totalScore += score;
+                if (v.partyCode === partyCode) {
+                    scores.partyScore += score;
+                }
+                result.set(v.trackId, scores);
+            }
+            return result;
+        },
+
+        async getProfileScores(profileIds) {
+            return sumScores([...data.votes.values()].filter(v => profileIds.includes(v.profileId)), () => 1);
+        },
+
+        async getTimeline(partyCode, periodLength) {
+            const tallies = tallyVotes(partyVotes(partyCode), v => Math.floor(v.votedAt / periodLength) * periodLength);
+            return [...tallies.entries()]
+                .map(([period, tally]) => ({ period, ...tally }))
+                .sort((a, b) => a.period - b.period);
+        },
+    };
+
+    // Reactions are kept by party, track, session and reaction, like the primary key of the reactions table
+    const reactions = {
+        async record(partyCode, trackId, sessionId, reaction) {
+            const key = `${partyCode}\n${trackId}\n${sessionId}\n${reaction}`;
+            if (!data.reactions.has(key)) {
+                data.reactions.set(key, { partyCode, trackId, sessionId, reaction, reactedAt: Date.now() });
+            }
+        },
+
+        async count(partyCode, trackId) {
+            const result = {};
+            for (const r of data.reactions.values()) {
+                if (r.partyCode === partyCode && r.trackId === trackId) {
+                    result[r.reaction] = (result[r.reaction] || 0) + 1;
+                }
+            }
+            return result;
+        },
+
+        async getTallies(partyCode) {
+            const tallies = new Map();
+            for (const r of data.reactions.values()) {
+                if (r.partyCode !== partyCode) {
+                    continue;
+                }
+                const key = `${r.trackId}\n${r.reaction}`;
+                const tally = tallies.get(key) || { trackId: r.trackId, reaction: r.reaction, count: 0 };
+                tally.count++;
+                tallies.set(key, tally);
+            }
+            return [...tallies.values()];
+        },
+
+        async removeParty(partyCode) {
+            for (const [key, r] of data.reactions.entries()) {
+                if (r.partyCode === partyCode) {
+                    data.reactions.delete(key);
+                }
+            }
+        },
+    };
+
+    const messages = {
+        async add(message) {
+            data.messages.push({ ...message });
+        },
+
+        async remove(partyCode, messageId) {
+            const index = data.messages.findIndex(m => m.partyCode === partyCode && m.messageId === messageId);
+            if (index === -1) {
+                return false;
+            }
+            data.messages.splice(index, 1);
+            return true;
+        },
+
+        async getRecent(partyCode, limit) {
+            return data.messages
+                .filter(m => m.partyCode === partyCode)
+                .sort((a, b) => a.postedAt - b.postedAt)
+                .slice(-limit)
+                .map(m => ({ ...m }));
+        },
+
+        async removeParty(partyCode) {
+            data.messages = data.messages.filter(m => m.partyCode !== partyCode);
+        },
+    };
+
+    const members = {
+        async recordCount(partyCode, count) {
+            data.attendance.push({ partyCode, count, recordedAt: Date.now() });
+        },
+
+        async getPeakCount(partyCode) {
+            return data.attendance
+                .filter(entry => entry.partyCode === partyCode)
+                .reduce((peak, entry) => Math.max(peak, entry.count), 0);
+        },
+    };
+
+    // Linked sessions are kept by party and session, like the primary key of the session_profiles table
+    const profiles = {
+        async create(profile) {
+            data.profiles.set(profile.profileId, { ...profile });
+        },
+
+        async getByKeyHash(keyHash) {
+            const profile = [...data.profiles.values()].find(p => p.keyHash === keyHash);
+            return profile ? { profileId: profile.profileId, nickname: profile.nickname, createdAt: profile.createdAt } : null;
+        },
+
+        async rename(profileId, nickname) {
+            const profile = data.profiles.get(profileId);
+            if (profile) {
+                profile.nickname = nickname;
+            }
+        },
+
+        async remove(profileId) {
+            data.profiles.delete(profileId);
+            for (const [key, link] of data.sessionProfiles.entries()) {
+                if (link.profileId === profileId) {
+                    data.sessionProfiles.delete(key);
+                }
+            }
+            for (const v of data.votes.values()) {
+                if (v.profileId === profileId) {
+                    v.profileId = null;
+                }
+            }
+        },
+
+        async linkSession(partyCode, sessionId, profileId) {
+            data.sessionProfiles.set(`${partyCode}\n${sessionId}`, { partyCode, sessionId, profileId });
+            for (const v of data.votes.values()) {
+                if (v.partyCode === partyCode && v.sessionId === sessionId) {
+                    v.profileId = profileId;
+                }
+            }
+        },
+
+        async getSessionLinks() {
+            return [...data.sessionProfiles.values()]
+                .filter(link => data.parties.get(link.partyCode).endedAt === null)
+                .map(link => ({ ...link }));
+        },
+
+        async getLikedTracks(profileId) {
+            const result = new Map();
+            for (const v of data.votes.values()) {
+                if (v.profileId !== profileId) {
+                    continue;
+                }
+                const liked = result.get(v.trackId) || { trackId: v.trackId, score: 0, parties: new Set(), lastVotedAt: 0 };
+                liked.score += v.vote === 'up' ? 1 : -1;
+                liked.parties.add(v.partyCode);
+                liked.lastVotedAt = Math.max(liked.lastVotedAt, v.votedAt);
+                result.set(v.trackId, liked);
+            }
+            return [...result.values()]
+                .filter(liked => liked.score > 0)
+                .sort((a, b) => b.lastVotedAt - a.lastVotedAt)
+                .map(liked => ({ ...liked, parties: liked.parties.size }));
+        },
+    };
+
+    const webhooks = {
+        async add(webhook) {
+            data.webhooks.set(webhook.webhookId, { ...webhook, events: [...webhook.events] });
+        },
+
+        async getAll() {
+            return [...data.webhooks.values()]
+                .filter(webhook => data.parties.get(webhook.partyCode).endedAt === null)
+                .map(webhook => ({ ...webhook, events: [...webhook.events] }));
+        },
+
+        async isActive(webhookId) {
+            const webhook = data.webhooks.get(webhookId);
+            return webhook !== undefined && data.parties.get(webhook.partyCode).endedAt === null;
+        },
+
+        async remove(partyCode, webhookId) {
+            const webhook = data.webhooks.get(webhookId);
+            if (webhook && webhook.partyCode === partyCode) {
+                data.webhooks.delete(webhookId);
+                data.deliveries = data.deliveries.filter(d => d.webhookId !== webhookId);
+            }
+        },
+
+        // Not for a webhook that was removed while the delivery was on its way
+        async recordDelivery(delivery) {
+            if (data.webhooks.has(delivery.webhookId)) {
+                data.deliveries.push({ ...delivery });
+            }
+        },
+
+        async getDeliveries(webhookId, limit) {
+            return data.deliveries
+                .filter(d => d.webhookId === webhookId)
+                .sort((a, b) => b.attemptedAt - a.attemptedAt || b.attempt - a.attempt)
+                .slice(0, limit)
+                .map(({ webhookId, ...delivery }) => delivery);
+        },
+    };
+
+    // There is no database to lose, so memory is always ready
+    async function ping() {
+    }
+
+    async function close() {
+    }
+
+    // HELPER FUNCTIONS
+
+    function updateParty(partyCode, change) {
+        const party = data.parties.get(partyCode);
+        if (party) {
+            change(party);
+        }
+    }
+
+    function partyVotes(partyCode) {
+        return [...data.votes.values()].filter(v => v.partyCode === partyCode);
+    }
+
+    return { name: 'memory', tracks, genres, parties, playback, requests, votes, reactions, messages, members, profiles, webhooks, ping, close };
+}
+
+// HELPER FUNCTIONS
+
+// Loads the same genres and tracks that npm run seed puts in the database
+function loadCatalog(data) {
+    const dbDirectory = path.join(import.meta.dirname, '..', 'db');
+
+    const genreRows = readCsv(fs.readFileSync(path.join(dbDirectory, 'genres.csv'), 'utf8'));
+    data.genres = genreRows.map(({ values }) => ({ genre: values.genre, label: values.label }));
+
+    // Like the seed, this doesn't look for duplicates, so both backends have the same catalog
+    const parsed = parseImport(fs.readFileSync(path.join(dbDirectory, 'short-tracks.csv'), 'utf8'), 'csv');
+    for (const { row, input } of parsed.rows) {
+        const { track, error } = validateTrack(input, data.genres);
+        if (error) {
+            log.warn('Skipped a track in short-tracks.csv', { line: row, error });
+        } else {
+            data.tracks.set(track.track_id, track);
+        }
+    }
+}
+
+function voteKey(partyCode, trackId, sessionId) {
+    return `${partyCode}\n${trackId}\n${sessionId}`;
+}
+
+function sortByPlayedAt(entries) {
+    return [...entries].sort((a, b) => a.playedAt - b.playedAt);
+}
+
+// Returns a Map from whatever groupBy returns to { upvotes, downvotes }
+function tallyVotes(votes, groupBy) {
+    const result = new Map();
+    for (const v of votes) {
+        const key = groupBy(v);
+        const tally = result.get(key) || { upvotes: 0, downvotes: 0 };
+        if (v.vote === 'up') {
+            tally.upvotes++;
+        } else {
+            tally.downvotes++;
+        }
+        result.set(key, tally);
+    }
+    return result;
+}
+
+// Returns a Map from track ID to the sum of +weight for upvotes and -weight for downvotes
+function sumScores(votes, getWeight) {
+    const result = new Map();
+    for (const v of votes) {
+        const score = (v.vote === 'up' ? 1 : -1) * getWeight(v);
+        result.set(v.trackId, (result.get(v.trackId) || 0) + score);
+    }
+    return result;
+}
@@ -0,0 +1,117 @@
+// This module keeps the numbers behind GET /metrics and writes them in the
+// Prometheus text format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+//
+// - counter: a number that only goes up, like votes cast. Prometheus works out rates from it.
+// - gauge: a number read when /metrics is called, like the parties running right now
+// - histogram: counts of measurements by size, like how long database calls take
+//
+// Labels are given as an object, e.g. counter.inc({ vote: 'up' })
+
+export const metricsContentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+const metrics = [];
+
+// Call this function to create a counter.
+// Parameters:
+// - name: the metric name, e.g. 'nexttrack_votes_total'
+// - help: one line saying what it counts
+export function counter(name, help) {
+    const values = new Map();
+    metrics.push({
+        name, help, type: 'counter',
+        collect: () => [...values.values()],
+    });
+
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = labelText(labels);
+            const entry = values.get(key) || { labels, value: 0 };
+            entry.value += amount;
+            values.set(key, entry);
+        },
+    };
+}
+
+// Call this function to create a gauge.
+// Parameters:
+// - name: the metric name, e.g. 'nexttrack_active_parties'
+// - help: one line saying what it shows
+// - collect: a function, async or not, returning a number, or a list of { labels, value }
+export function gauge(name, help, collect) {
+    metrics.push({
+        name, help, type: 'gauge',
+        collect: async () => {
+            const result = await collect();
+            return Array.isArray(result) ? result : [{ labels: {}, value: result }];
+        },
+    });
+}
+
+// Call this function to create a histogram.
+// Parameters:
+// - name: the metric name, e.g. 'nexttrack_storage_duration_seconds'
+// - help: one line saying what it measures
+// - buckets: the upper bounds of the buckets, smallest first
+export function histogram(name, help, buckets) {
+    const series = new Map();
+    metrics.push({ name, help, type: 'histogram', series, buckets });
+
+    return {
+        observe(labels, value) {
+            const key = labelText(labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+    };
+}
+
+// Call this function to get every metric as the text GET /metrics returns
+export async function renderMetrics() {
+    const lines = [];
+    for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        if (metric.type === 'histogram') {
+            for (const entry of metric.series.values()) {
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${labelText({ ...entry.labels, le: String(bound) })} ${entry.counts[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${labelText({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${metric.name}_sum${labelText(entry.labels)} ${entry.sum}`);
+                lines.push(`${metric.name}_count${labelText(entry.labels)} ${entry.count}`);
+            }
+        } else {
+            for (const { labels, value } of await metric.collect()) {
+                lines.push(`${metric.name}${labelText(labels)} ${value}`);
+            }
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// HELPER FUNCTIONS
+
+// Returns e.g. {strategy="balanced",vote="up"}, or nothing without labels.
+// Sorted, so the same labels in another order end up in the same series.
+function labelText(labels) {
+    const names = Object.keys(labels).sort();
+    if (names.length === 0) {
+        return '';
+    }
+    const pairs = names.map(name => {
+        const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${name}="${value}"`;
+    });
+    return `{${pairs.join(',')}}`;
+}
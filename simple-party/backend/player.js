@@ -1,34 +1,221 @@
 // This module represents a simulated integration with player devices like AirPods
-// and Bluetooth speakers
+// and Bluetooth speakers.
+//
+// Each party plays one track at a time, on all of its devices. Listen on playerEvents to
+// find out what happens:
+// - 'state-changed' (partyCode, state): playback started, paused, resumed, was moved or stopped.
+//   state is what getState returns, or null when nothing is playing any more
+// - 'track-ended' (partyCode, trackId): the track played to the end
+// - 'devices-changed' (partyCode, devices): a device was added or removed, or its volume changed
+//
+// Time comes from the real clock, unless useClock gives it another one.
 
-const players = new Map();
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { withoutRequestId } from './log.js';
+
+export const playerEvents = new EventEmitter();
+
+const playbacks = new Map();
+const devices = new Map();
+
+let clock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (timer) => clearTimeout(timer),
+};
+
+// Call this function to keep time with another clock, e.g. a virtual one that jumps straight to
+// the end of each track (see tools/simulate.js). Set it before anything plays.
+// Parameters:
+// - newClock: { now, setTimeout, clearTimeout }, working like Date.now and the timer functions
+export function useClock(newClock) {
+    clock = newClock;
+}
 
 // Call this function to play the specified track at the specified party.
+// Whatever was playing before is stopped without a 'track-ended' event.
 // Parameters:
 // - partyCode: a string identifying the party at which the track is being played
 // - trackId: the ID of the track, a string
 // - duration: the duration of the track in milliseconds, a number
-// - started: the timestamp at which the playback started, a Date
-// - callbackWhenDone: a function of zero arguments, to be called when playback is done
-export function play(partyCode, trackId, duration, started, callbackWhenDone) {
-    players.set(partyCode, {
+// - started: the timestamp at which the playback started, a number
+export function play(partyCode, trackId, duration, started) {
+    const previous = playbacks.get(partyCode);
+    if (previous) {
+        clock.clearTimeout(previous.timer);
+    }
+
+    playbacks.set(partyCode, {
         trackId,
         duration,
         started,
-        callbackWhenDone,
+        pausedAt: null,
+        timer: null,
     });
+    scheduleEnd(partyCode);
+}
+
+// Call this function to stop playback at the specified party, without a 'track-ended' event.
+// Parameters:
+// - partyCode: a string identifying the party
+export function stop(partyCode) {
+    const playback = playbacks.get(partyCode);
+    if (!playback) {
+        return;
+    }
+    clock.clearTimeout(playback.timer);
+    playbacks.delete(partyCode);
+    playerEvents.emit('state-changed', partyCode, null);
+}
+
+// Call this function to pause playback at the specified party.
+// Parameters:
+// - partyCode: a string identifying the party
+// - pausedAt: the timestamp at which playback was paused, a number
+export function pause(partyCode, pausedAt = clock.now()) {
+    const playback = playbacks.get(partyCode);
+    if (!playback || playback.pausedAt) {
+        return;
+    }
+    clock.clearTimeout(playback.timer);
+    playback.pausedAt = pausedAt;
+    playerEvents.emit('state-changed', partyCode, getState(partyCode));
+}
+
+// Call this function to resume paused playback at the specified party.
+// The track ends as much later as it was paused for.
+// Parameters:
+// - partyCode: a string identifying the party
+// - resumedAt: the timestamp at which playback was resumed, a number
+export function resume(partyCode, resumedAt = clock.now()) {
+    const playback = playbacks.get(partyCode);
+    if (!playback || !playback.pausedAt) {
+        return;
+    }
+    playback.started += resumedAt - playback.pausedAt;
+    playback.pausedAt = null;
+    scheduleEnd(partyCode);
+}
+
+// Call this function to jump to a position in the track playing at the specified party.
+// Parameters:
+// - partyCode: a string identifying the party
+// - position: how far into the track to jump, in milliseconds
+// - at: the timestamp at which the jump happened, a number
+export function seek(partyCode, position, at = clock.now()) {
+    const playback = playbacks.get(partyCode);
+    if (!playback) {
+        return;
+    }
+    position = Math.min(Math.max(0, position), playback.duration);
+
+    // A paused track stays paused, at the new position
+    const now = playback.pausedAt || at;
+    playback.started = now - position;
+
+    if (playback.pausedAt) {
+        playerEvents.emit('state-changed', partyCode, getState(partyCode));
+    } else {
+        scheduleEnd(partyCode);
+    }
+}
+
+// Call this function to find out what is playing at the specified party.
+// Returns null when nothing is playing, or:
+// - trackId, duration: as passed to play
+// - started: the timestamp the track would have started at if it was never paused or moved
+// - pausedAt: the timestamp at which it was paused, null while playing
+// - position: how far into the track it is now, in milliseconds
+export function getState(partyCode) {
+    const playback = playbacks.get(partyCode);
+    if (!playback) {
+        return null;
+    }
+    return {
+        trackId: playback.trackId,
+        duration: playback.duration,
+        started: playback.started,
+        pausedAt: playback.pausedAt,
+        position: (playback.pausedAt || clock.now()) - playback.started,
+    };
+}
+
+// DEVICES
+
+// Call this function to add a speaker to the specified party.
+// Parameters:
+// - partyCode: a string identifying the party
+// - name: the name shown to the host, a string
+// Returns the new device, { deviceId, name, volume }
+export function registerDevice(partyCode, name) {
+    let partyDevices = devices.get(partyCode);
+    if (!partyDevices) {
+        partyDevices = new Map();
+        devices.set(partyCode, partyDevices);
+    }
+
+    const device = {
+        deviceId: crypto.randomUUID(),
+        name,
+        volume: 80,
+    };
+    partyDevices.set(device.deviceId, device);
+    playerEvents.emit('devices-changed', partyCode, getDevices(partyCode));
+    return device;
 }
 
-function trackElapsedTimes() {
-    const now = Date.now();
-    for (const [partyCode, play] of players.entries()) {
-        const elapsed = now - play.started;
-        if (play.duration < elapsed) {
-            play.callbackWhenDone();
-            players.delete(partyCode);
-        }
+// Call this function to remove a speaker from the specified party.
+// Returns false if there was no such device.
+export function unregisterDevice(partyCode, deviceId) {
+    const partyDevices = devices.get(partyCode);
+    if (!partyDevices || !partyDevices.delete(deviceId)) {
+        return false;
     }
-    setTimeout(() => trackElapsedTimes(), 100);
+    playerEvents.emit('devices-changed', partyCode, getDevices(partyCode));
+    return true;
 }
 
-trackElapsedTimes();
\ No newline at end of file
+// Call this function to change the volume of one speaker at the specified party.
+// Parameters:
+// - volume: from 0 (muted) to 100
+// Returns the device, or null if there was no such device.
+export function setVolume(partyCode, deviceId, volume) {
+    const partyDevices = devices.get(partyCode);
+    const device = partyDevices && partyDevices.get(deviceId);
+    if (!device) {
+        return null;
+    }
+    device.volume = Math.min(Math.max(0, Math.round(volume)), 100);
+    playerEvents.emit('devices-changed', partyCode, getDevices(partyCode));
+    return device;
+}
+
+export function getDevices(partyCode) {
+    const partyDevices = devices.get(partyCode);
+    return partyDevices ? [...partyDevices.values()].map(device => ({ ...device })) : [];
+}
+
+// Call this function when a party is over, to stop playback and remove all of its devices.
+export function removeParty(partyCode) {
+    stop(partyCode);
+    devices.delete(partyCode);
+}
+
+// HELPER FUNCTIONS
+
+// Sets a timer for when the track will be done, and tells listeners about the new state
+function scheduleEnd(partyCode) {
+    const playback = playbacks.get(partyCode);
+    clock.clearTimeout(playback.timer);
+
+    // The next track is started from this timer, and the one after from its timer, and so on,
+    // so none of them belongs to the request that started the first one
+    const remaining = playback.started + playback.duration - clock.now();
+    playback.timer = withoutRequestId(() => clock.setTimeout(() => {
+        playbacks.delete(partyCode);
+        playerEvents.emit('track-ended', partyCode, playback.trackId);
+    }, Math.max(0, remaining)));
+
+    playerEvents.emit('state-changed', partyCode, getState(partyCode));
+}
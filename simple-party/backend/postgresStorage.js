@@ -0,0 +1,681 @@
+// This module keeps everything in Postgres (see db/migrations for the tables).
+// It has the same functions as memoryStorage.js, see storage.js.
+
+import { connect } from '../db/connect.js';
+import { nextTrackId } from './catalog.js';
+import { log } from './log.js';
+
+export async function createPostgresStorage() {
+    const db = await connect();
+    log.info('Database connected', { host: process.env.PG_HOST, database: process.env.PG_DATABASE });
+
+    const tracks = {
+        async getAll() {
+            const result = await db.query(`
+                select track_id, title, artist, duration, genres, tempo, energy, release_year, explicit
+                from tracks
+            `);
+            return result.rows;
+        },
+
+        // Adds or updates the tracks, all of them or none.
+        // Tracks without a track_id get IDs after the highest one in use.
+        // Returns the saved tracks.
+        async save(newTracks) {
+            const client = await db.connect();
+            try {
+                await client.query('begin');
+
+                // Nobody else may add tracks until we're done, or two could get the same ID
+                await client.query('lock table tracks in share row exclusive mode');
+                const result = await client.query('select coalesce(max(track_id), 0) as max_id from tracks');
+                let nextId = nextTrackId(BigInt(result.rows[0].max_id), newTracks);
+
+                const saved = [];
+                for (const track of newTracks) {
+                    const trackId = track.track_id || String(nextId++);
+                    await client.query(`
+                        insert into tracks (track_id, title, artist, duration, genres, tempo, energy, release_year, explicit)
+                        values ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                        on conflict (track_id)
+                        do update set
+                            title = excluded.title,
+                            artist = excluded.artist,
+                            duration = excluded.duration,
+                            genres = excluded.genres,
+                            tempo = excluded.tempo,
+                            energy = excluded.energy,
+                            release_year = excluded.release_year,
+                            explicit = excluded.explicit
+                    `, [trackId, track.title, track.artist, track.duration, track.genres, track.tempo, track.energy, track.release_year, track.explicit]);
+                    saved.push({ ...track, track_id: trackId });
+                }
+
+                await client.query('commit');
+                return saved;
+            } catch (error) {
+                await client.query('rollback');
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+
+        // Requests for the track go with it, votes and history stay
+        async remove(trackId) {
+            await db.query('delete from track_requests where track_id = $1', [trackId]);
+            await db.query('delete from tracks where track_id = $1', [trackId]);
+        },
+    };
+
+    const genres = {
+        async getAll() {
+            const result = await db.query('select genre, label from genres order by label');
+            return result.rows;
+        },
+    };
+
+    const parties = {
+        // Returns false if the party code is taken, also by a party that has ended
+        async insert(party) {
+            const result = await db.query(`
+                insert into parties (party_code, host_token, created_at)
+                values ($1, $2, $3)
+                on conflict (party_code) do nothing
+            `, [party.partyCode, party.hostToken, new Date(party.createdAt)]);
+            return result.rowCount === 1;
+        },
+
+        // Returns the party, also if it has ended, or null
+        async get(partyCode) {
+            const result = await db.query(`
+                select party_code, created_at, ended_at
+                from parties
+                where party_code = $1
+            `, [partyCode]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+            const row = result.rows[0];
+            return {
+                partyCode: row.party_code,
+                createdAt: row.created_at.getTime(),
+                endedAt: row.ended_at ? row.ended_at.getTime() : null,
+            };
+        },
+
+        // Returns every party that hasn't ended, with everything needed to carry on
+        async getRunning() {
+            const result = await db.query(`
+                select party_code, host_token, created_at, removed_sessions, strategy, settings, set_plan, suspended_at
+                from parties
+                where ended_at is null
+            `);
+            return result.rows.map(row => ({
+                partyCode: row.party_code,
+                hostToken: row.host_token,
+                createdAt: row.created_at.getTime(),
+                removedSessions: row.removed_sessions,
+                strategy: row.strategy,
+                settings: row.settings,
+                plan: row.set_plan,
+                suspendedAt: row.suspended_at ? row.suspended_at.getTime() : null,
+            }));
+        },
+
+        async setSettings(partyCode, settings) {
+            await db.query('update parties set settings = $2 where party_code = $1', [partyCode, settings]);
+        },
+
+        // null removes the plan
+        async setPlan(partyCode, plan) {
+            await db.query('update parties set set_plan = $2 where party_code = $1', [partyCode, plan]);
+        },
+
+        async setStrategy(partyCode, strategy) {
+            await db.query('update parties set strategy = $2 where party_code = $1', [partyCode, strategy]);
+        },
+
+        // Set when nobody is left at the party, null when someone is back
+        async setSuspendedAt(partyCode, suspendedAt) {
+            await db.query('update parties set suspended_at = $2 where party_code = $1', [partyCode, suspendedAt ? new Date(suspendedAt) : null]);
+        },
+
+        async removeSession(partyCode, sessionId) {
+            await db.query(`
+                update parties
+                set removed_sessions = array_append(removed_sessions, $2)
+                where party_code = $1
+            `, [partyCode, sessionId]);
+        },
+
+        // The party and its history stay for the recap, only what would keep it going is removed
+        async end(partyCode) {
+            await db.query('update parties set ended_at = now() where party_code = $1', [partyCode]);
+            await db.query('delete from now_playing where party_code = $1', [partyCode]);
+            await db.query('delete from track_requests where party_code = $1', [partyCode]);
+        },
+    };
+
+    const playback = {
+        // Saves a newly started track as now playing and adds it to the history, with why it was picked
+        async start(partyCode, trackId, startedAt, explanation) {
+            await db.query(`
+                insert into now_playing (party_code, track_id, started_at, paused_at)
+                values ($1, $2, $3, null)
+                on conflict (party_code)
+                do update set track_id = $2, started_at = $3, paused_at = null
+            `, [partyCode, trackId, new Date(startedAt)]);
+
+            await db.query(`
+                insert into track_history (party_code, track_id, played_at, explanation)
+                values ($1, $2, $3, $4)
+            `, [partyCode, trackId, new Date(startedAt), explanation]);
+        },
+
+        // Saves the times of the track that is playing after a pause, resume or seek
+        async setTimes(partyCode, startedAt, pausedAt) {
+            await db.query(`
+                update now_playing
+                set started_at = $2, paused_at = $3
+                where party_code = $1
+            `, [partyCode, new Date(startedAt), pausedAt ? new Date(pausedAt) : null]);
+        },
+
+        async getNowPlaying() {
+            const result = await db.query(`
+                select party_code, track_id, started_at, paused_at
+                from now_playing
+            `);
+            return result.rows.map(row => ({
+                partyCode: row.party_code,
+                trackId: row.track_id,
+                startedAt: row.started_at.getTime(),
+                pausedAt: row.paused_at ? row.paused_at.getTime() : null,
+            }));
+        },
+
+        // Returns the last few tracks of every party that hasn't ended, oldest first
+        async getRecentHistory(limit) {
+            const result = await db.query(`
+                select party_code, track_id, explanation
+                from (
+                    select
+                        h.party_code,
+                        h.track_id,
+                        h.played_at,
+                        h.explanation,
+                        row_number() over (partition by h.party_code order by h.played_at desc) as position
+                    from track_history h
+                    join parties p on p.party_code = h.party_code
+                    where p.ended_at is null
+                ) recent
+                where position <= $1
+                order by played_at
+            `, [limit]);
+            return result.rows.map(row => ({
+                partyCode: row.party_code,
+                trackId: row.track_id,
+                explanation: row.explanation,
+            }));
+        },
+
+        // Returns everything the party played, oldest first
+        async getHistory(partyCode) {
+            const result = await db.query(`
+                select track_id, played_at
+                from track_history
+                where party_code = $1
+                order by played_at
+            `, [partyCode]);
+            return result.rows.map(row => ({
+                trackId: row.track_id,
+                playedAt: row.played_at.getTime(),
+            }));
+        },
+    };
+
+    const requests = {
+        async add(partyCode, trackRequest) {
+            await db.query(`
+                insert into track_requests (party_code, track_id, session_id, requester_name, requested_at)
+                values ($1, $2, $3, $4, $5)
+            `, [partyCode, trackRequest.trackId, trackRequest.sessionId, trackRequest.requesterName, new Date(trackRequest.requestedAt)]);
+        },
+
+        async upvote(partyCode, trackId, sessionId) {
+            await db.query(`
+                update track_requests
+                set upvoters = array_append(upvoters, $3)
+                where party_code = $1 and track_id = $2
+            `, [partyCode, trackId, sessionId]);
+        },
+
+        async remove(partyCode, trackId) {
+            await db.query('delete from track_requests where party_code = $1 and track_id = $2', [partyCode, trackId]);
+        },
+
+        async getAll() {
+            const result = await db.query(`
+                select party_code, track_id, session_id, requester_name, requested_at, upvoters
+                from track_requests
+            `);
+            return result.rows.map(row => ({
+                partyCode: row.party_code,
+                trackId: row.track_id,
+                sessionId: row.session_id,
+                requesterName: row.requester_name,
+                requestedAt: row.requested_at.getTime(),
+                upvoters: row.upvoters,
+            }));
+        },
+    };
+
+    const votes = {
+        // A guest has one vote per track, so voting again changes it.
+        // profileId is the guest's profile, or null without one.
+        async record(partyCode, trackId, sessionId, vote, profileId = null) {
+            await db.query(`
+                insert into votes (party_code, track_id, session_id, vote_type, profile_id)
+                values ($1, $2, $3, $4, $5)
+                on conflict (party_code, track_id, session_id)
+                do update set vote_type = $4, voted_at = now(), profile_id = $5
+            `, [partyCode, trackId, sessionId, vote, profileId]);
+        },
+
+        // Deletes every vote at the party, e.g. when it expired
+        async removeParty(partyCode) {
+            await db.query('delete from votes where party_code = $1', [partyCode]);
+        },
+
+        // Returns 'up', 'down' or null
+        async get(partyCode, trackId, sessionId) {
+            const result = await db.query(`
+                select vote_type
+                from votes
+                where party_code = $1 and track_id = $2 and session_id = $3
+            `, [partyCode, trackId, sessionId]);
+            return result.rows.length > 0 ? result.rows[0].vote_type : null;
+        },
+
+        async count(partyCode, trackId) {
+            const result = await db.query(`
+                select
+                    count(*) filter (where vote_type = 'up') as upvotes,
+                    count(*) filter (where vote_type = 'down') as downvotes
+                from votes
+                where party_code = $1 and track_id = $2
+            `, [partyCode, trackId]);
+            return {
+                upvotes: parseInt(result.rows[0].upvotes),
+                downvotes: parseInt(result.rows[0].downvotes),
+            };
+        },
+
+        // Returns { trackId, upvotes, downvotes } for every track voted on at the party
+        async getTallies(partyCode) {
+            const result = await db.query(`
+                select
+                    track_id,
+                    count(*) filter (where vote_type = 'up') as upvotes,
+                    count(*) filter (where vote_type = 'down') as downvotes
+                from votes
+                where party_code = $1
+                group by track_id
+            `, [partyCode]);
+            return result.rows.map(row => ({
+                trackId: row.track_id,
+                upvotes: parseInt(row.upvotes),
+                downvotes: parseInt(row.downvotes),
+            }));
+        },
+
+        // Returns a Map from track ID to upvotes minus downvotes at the party
+        async getScores(partyCode) {
+            const result = await db.query(`
+                select
+                    track_id,
+                    sum(case when vote_type = 'up' then 1 else -1 end) as score
+                from votes
+                where party_code = $1
+                group by track_id
+            `, [partyCode]);
+            return new Map(result.rows.map(row => [row.track_id, parseInt(row.score)]));
+        },
+
+        // Like getScores, but a vote loses half its weight every halfLife milliseconds
+        async getRecentScores(partyCode, halfLife) {
+            const result = await db.query(`
+                select
+                    track_id,
+                    sum(
+                        (case when vote_type = 'up' then 1 else -1 end)
+                        * power(0.5, extract(epoch from now() - voted_at) * 1000 / $2)
+                    ) as score
+                from votes
+                where party_code = $1
+                group by track_id
+            `, [partyCode, halfLife]);
+            return new Map(result.rows.map(row => [row.track_id, parseFloat(row.score)]));
+        },
+
+        // Returns a Map from track ID to { partyScore, totalScore }: the net votes at
+        // this party, and at every party including this one
+        async getScoresEverywhere(partyCode) {
+            const result = await db.query(`
+                select
+                    track_id,
+                    sum(case when vote_type = 'up' then 1 else -1 end) as score,
+                    sum(case when party_code = $1 then (case when vote_type = 'up' then 1 else -1 end) else 0 end) as party_score
+                from votes
+                group by track_id
+            `, [partyCode]);
+            return new Map(result.rows.map(row => [row.track_id, {
+                partyScore: parseInt(row.party_score),
+                totalScore: parseInt(row.score),
+            }]));
+        },
+
+        // Returns a Map from track ID to upvotes minus downvotes by these profiles, at every party
+        async getProfileScores(profileIds) {
+            const result = await db.query(`
+                select
+                    track_id,
+                    sum(case when vote_type = 'up' then 1 else -1 end) as score
+                from votes
+                where profile_id = any($1)
+                group by track_id
+            `, [profileIds]);
+            return new Map(result.rows.map(row => [row.track_id, parseInt(row.score)]));
+        },
+
+        // Returns the votes at the party counted per period of the given milliseconds, oldest first,
+        // as { period, upvotes, downvotes } where period is the timestamp the period starts at
+        async getTimeline(partyCode, periodLength) {
+            const result = await db.query(`
+                select
+                    floor(extract(epoch from voted_at) * 1000 / $2) * $2 as period,
+                    count(*) filter (where vote_type = 'up') as upvotes,
+                    count(*) filter (where vote_type = 'down') as downvotes
+                from votes
+                where party_code = $1
+                group by period
+                order by period
+            `, [partyCode, periodLength]);
+            return result.rows.map(row => ({
+                period: Number(row.period),
+                upvotes: parseInt(row.upvotes),
+                downvotes: parseInt(row.downvotes),
+            }));
+        },
+    };
+
+    const reactions = {
+        // Giving the same reaction to the same track again changes nothing
+        async record(partyCode, trackId, sessionId, reaction) {
+            await db.query(`
+                insert into reactions (party_code, track_id, session_id, reaction)
+                values ($1, $2, $3, $4)
+                on conflict do nothing
+            `, [partyCode, trackId, sessionId, reaction]);
+        },
+
+        // Returns how many guests gave each reaction to the track, e.g. { fire: 3, sleepy: 1 }
+        async count(partyCode, trackId) {
+            const result = await db.query(`
+                select reaction, count(*) as count
+                from reactions
+                where party_code = $1 and track_id = $2
+                group by reaction
+            `, [partyCode, trackId]);
+            return Object.fromEntries(result.rows.map(row => [row.reaction, parseInt(row.count)]));
+        },
+
+        // Returns { trackId, reaction, count } for every reaction given at the party
+        async getTallies(partyCode) {
+            const result = await db.query(`
+                select track_id, reaction, count(*) as count
+                from reactions
+                where party_code = $1
+                group by track_id, reaction
+            `, [partyCode]);
+            return result.rows.map(row => ({
+                trackId: row.track_id,
+                reaction: row.reaction,
+                count: parseInt(row.count),
+            }));
+        },
+
+        async removeParty(partyCode) {
+            await db.query('delete from reactions where party_code = $1', [partyCode]);
+        },
+    };
+
+    const messages = {
+        async add(message) {
+            await db.query(`
+                insert into messages (message_id, party_code, session_id, guest_name, text, posted_at)
+                values ($1, $2, $3, $4, $5, $6)
+            `, [message.messageId, message.partyCode, message.sessionId, message.name, message.text, new Date(message.postedAt)]);
+        },
+
+        // Returns false if there was no such message
+        async remove(partyCode, messageId) {
+            const result = await db.query('delete from messages where party_code = $1 and message_id = $2', [partyCode, messageId]);
+            return result.rowCount > 0;
+        },
+
+        // Returns the last few messages, oldest first
+        async getRecent(partyCode, limit) {
+            const result = await db.query(`
+                select message_id, session_id, guest_name, text, posted_at
+                from messages
+                where party_code = $1
+                order by posted_at desc
+                limit $2
+            `, [partyCode, limit]);
+            return result.rows.reverse().map(row => ({
+                messageId: row.message_id,
+                partyCode,
+                sessionId: row.session_id,
+                name: row.guest_name,
+                text: row.text,
+                postedAt: row.posted_at.getTime(),
+            }));
+        },
+
+        async removeParty(partyCode) {
+            await db.query('delete from messages where party_code = $1', [partyCode]);
+        },
+    };
+
+    const members = {
+        // Saves how many members were active at the party just now
+        async recordCount(partyCode, count) {
+            await db.query(`
+                insert into attendance (party_code, member_count)
+                values ($1, $2)
+            `, [partyCode, count]);
+        },
+
+        async getPeakCount(partyCode) {
+            const result = await db.query(`
+                select max(member_count) as peak
+                from attendance
+                where party_code = $1
+            `, [partyCode]);
+            return parseInt(result.rows[0].peak) || 0;
+        },
+    };
+
+    const profiles = {
+        async create(profile) {
+            await db.query(`
+                insert into profiles (profile_id, nickname, key_hash, created_at)
+                values ($1, $2, $3, $4)
+            `, [profile.profileId, profile.nickname, profile.keyHash, new Date(profile.createdAt)]);
+        },
+
+        // Returns the profile the device key belongs to, or null
+        async getByKeyHash(keyHash) {
+            const result = await db.query(`
+                select profile_id, nickname, created_at
+                from profiles
+                where key_hash = $1
+            `, [keyHash]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+            const row = result.rows[0];
+            return { profileId: row.profile_id, nickname: row.nickname, createdAt: row.created_at.getTime() };
+        },
+
+        async rename(profileId, nickname) {
+            await db.query('update profiles set nickname = $2 where profile_id = $1', [profileId, nickname]);
+        },
+
+        // Its votes stay, without the profile
+        async remove(profileId) {
+            await db.query('delete from profiles where profile_id = $1', [profileId]);
+        },
+
+        // Links a guest session to a profile, also the votes it already cast at the party
+        async linkSession(partyCode, sessionId, profileId) {
+            await db.query(`
+                insert into session_profiles (party_code, session_id, profile_id)
+                values ($1, $2, $3)
+                on conflict (party_code, session_id)
+                do update set profile_id = $3
+            `, [partyCode, sessionId, profileId]);
+            await db.query(`
+                update votes set profile_id = $3
+                where party_code = $1 and session_id = $2
+            `, [partyCode, sessionId, profileId]);
+        },
+
+        // Returns { partyCode, sessionId, profileId } for every linked session at a party that hasn't ended
+        async getSessionLinks() {
+            const result = await db.query(`
+                select s.party_code, s.session_id, s.profile_id
+                from session_profiles s
+                join parties p on p.party_code = s.party_code
+                where p.ended_at is null
+            `);
+            return result.rows.map(row => ({
+                partyCode: row.party_code,
+                sessionId: row.session_id,
+                profileId: row.profile_id,
+            }));
+        },
+
+        // Returns the tracks the profile liked more than it disliked, most recently voted on first,
+        // as { trackId, score, parties, lastVotedAt }
+        async getLikedTracks(profileId) {
+            const result = await db.query(`
+                select
+                    track_id,
+                    sum(case when vote_type = 'up' then 1 else -1 end) as score,
+                    count(distinct party_code) as parties,
+                    max(voted_at) as last_voted_at
+                from votes
+                where profile_id = $1
+                group by track_id
+                having sum(case when vote_type = 'up' then 1 else -1 end) > 0
+                order by last_voted_at desc
+            `, [profileId]);
+            return result.rows.map(row => ({
+                trackId: row.track_id,
+                score: parseInt(row.score),
+                parties: parseInt(row.parties),
+                lastVotedAt: row.last_voted_at.getTime(),
+            }));
+        },
+    };
+
+    const webhooks = {
+        async add(webhook) {
+            await db.query(`
+                insert into webhooks (webhook_id, party_code, url, secret, events, created_at)
+                values ($1, $2, $3, $4, $5, $6)
+            `, [webhook.webhookId, webhook.partyCode, webhook.url, webhook.secret, webhook.events, new Date(webhook.createdAt)]);
+        },
+
+        // Returns the webhooks of every party that hasn't ended
+        async getAll() {
+            const result = await db.query(`
+                select w.webhook_id, w.party_code, w.url, w.secret, w.events, w.created_at
+                from webhooks w
+                join parties p on p.party_code = w.party_code
+                where p.ended_at is null
+                order by w.created_at
+            `);
+            return result.rows.map(row => ({
+                webhookId: row.webhook_id,
+                partyCode: row.party_code,
+                url: row.url,
+                secret: row.secret,
+                events: row.events,
+                createdAt: row.created_at.getTime(),
+            }));
+        },
+
+        // True while the webhook is there and its party hasn't ended
+        async isActive(webhookId) {
+            const result = await db.query(`
+                select 1
+                from webhooks w
+                join parties p on p.party_code = w.party_code
+                where w.webhook_id = $1 and p.ended_at is null
+            `, [webhookId]);
+            return result.rows.length > 0;
+        },
+
+        // Its delivery log goes with it
+        async remove(partyCode, webhookId) {
+            await db.query('delete from webhooks where party_code = $1 and webhook_id = $2', [partyCode, webhookId]);
+        },
+
+        // Not for a webhook that was removed while the delivery was on its way
+        async recordDelivery(delivery) {
+            await db.query(`
+                insert into webhook_deliveries (delivery_id, webhook_id, event, attempt, attempted_at, status, error, duration_ms, succeeded)
+                select $1::text, $2::text, $3::text, $4::int, $5::timestamptz, $6::int, $7::text, $8::int, $9::boolean
+                where exists (select 1 from webhooks where webhook_id = $2)
+            `, [delivery.deliveryId, delivery.webhookId, delivery.event, delivery.attempt, new Date(delivery.attemptedAt),
+                delivery.status, delivery.error, delivery.durationMs, delivery.succeeded]);
+        },
+
+        // Returns the latest attempts, newest first
+        async getDeliveries(webhookId, limit) {
+            const result = await db.query(`
+                select delivery_id, event, attempt, attempted_at, status, error, duration_ms, succeeded
+                from webhook_deliveries
+                where webhook_id = $1
+                order by attempted_at desc, attempt desc
+                limit $2
+            `, [webhookId, limit]);
+            return result.rows.map(row => ({
+                deliveryId: row.delivery_id,
+                event: row.event,
+                attempt: row.attempt,
+                attemptedAt: row.attempted_at.getTime(),
+                status: row.status,
+                error: row.error,
+                durationMs: row.duration_ms,
+                succeeded: row.succeeded,
+            }));
+        },
+    };
+
+    async function ping() {
+        await db.query('select 1');
+    }
+
+    async function close() {
+        await db.end();
+    }
+
+    return { name: 'postgres', tracks, genres, parties, playback, requests, votes, reactions, messages, members, profiles, webhooks, ping, close };
+}
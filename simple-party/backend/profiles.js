@@ -0,0 +1,34 @@
+// This module hands out guest profiles and checks them.
+//
+// A profile is a nickname plus a device key the server makes up, so a regular guest's votes
+// count towards their taste at every party without any sign-up. The guest's browser keeps
+// the key and sends it as X-Profile-Key. Only a hash of the key is stored, like a password.
+// Anyone with the key can use the profile, and a lost key can't be recovered.
+
+import crypto from 'crypto';
+
+// Call this function when a guest makes a profile.
+// Returns { profileId, deviceKey, keyHash }: the device key goes to the guest, the hash is stored
+export function createProfileKey() {
+    const deviceKey = crypto.randomBytes(32).toString('base64url');
+    return {
+        profileId: crypto.randomUUID(),
+        deviceKey,
+        keyHash: hashProfileKey(deviceKey),
+    };
+}
+
+// Returns what storage.profiles.getByKeyHash looks the key up by
+export function hashProfileKey(deviceKey) {
+    return crypto.createHash('sha256').update(String(deviceKey)).digest('hex');
+}
+
+// Call this function to check a nickname sent by a guest.
+// Returns { nickname } trimmed, or { error, code } with a message for the guest
+export function validateNickname(input) {
+    const nickname = typeof input === 'string' ? input.trim() : '';
+    if (nickname === '' || nickname.length > 20) {
+        return { error: 'Nickname must be 1 to 20 characters', code: 'invalid-nickname', params: { max: 20 } };
+    }
+    return { nickname };
+}
@@ -0,0 +1,41 @@
+// This module limits how often the same guest or network can call an endpoint.
+
+// Call this function to create a middleware that allows at most `max` requests
+// per `windowMs` milliseconds for each key, and answers 429 Too Many Requests after that.
+// Parameters:
+// - name: used in the error message, e.g. 'votes'
+// - windowMs: the length of a window in milliseconds
+// - max: how many requests each key may make per window
+// - getKey: a function of the request, returning e.g. the IP address or session ID
+export function rateLimit(name, windowMs, max, getKey) {
+    const windows = new Map();
+
+    // Forget keys whose window is over, so the Map doesn't grow forever
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows.entries()) {
+            if (now - window.start >= windowMs) {
+                windows.delete(key);
+            }
+        }
+    }, windowMs).unref();
+
+    return (request, response, next) => {
+        const key = getKey(request);
+        const now = Date.now();
+
+        let window = windows.get(key);
+        if (!window || now - window.start >= windowMs) {
+            window = { start: now, count: 0 };
+            windows.set(key, window);
+        }
+        window.count++;
+
+        if (window.count > max) {
+            const retryAfter = Math.ceil((window.start + windowMs - now) / 1000);
+            response.set('Retry-After', String(retryAfter));
+            return response.status(429).json({ error: `Too many ${name}, please slow down`, code: 'rate-limited', params: { retryAfter } });
+        }
+        next();
+    };
+}
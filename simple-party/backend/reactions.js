@@ -0,0 +1,66 @@
+// This module contains the emoji reactions guests can send on the track that's playing,
+// and the checks for the short messages they can post to everyone at the party.
+//
+// A guest can give each reaction once per track, so the counts say how many people felt that way.
+// Reactions count towards the picks like half a vote (see strategies.js): the weight of each
+// reaction is added to the track's score, so a 😴 counts against it.
+
+export const reactions = {
+    'fire': { emoji: '🔥', weight: 0.5 },
+    'dance': { emoji: '💃', weight: 0.5 },
+    'love': { emoji: '❤️', weight: 0.5 },
+    'sleepy': { emoji: '😴', weight: -0.5 },
+};
+
+export const maxMessageLength = 140;
+export const maxNameLength = 20;
+
+// How many messages guests see when they open the party page
+export const recentMessageCount = 50;
+
+// Kept short on purpose: it catches the obvious words, not every way of spelling them
+const profanities = [
+    'arse', 'arsehole', 'asshole', 'bastard', 'bitch', 'bollocks', 'cock', 'cunt', 'dick', 'fag',
+    'faggot', 'fuck', 'motherfucker', 'nigga', 'nigger', 'piss', 'pussy', 'retard', 'shit', 'slut',
+    'twat', 'wanker', 'whore',
+];
+const profanityPattern = new RegExp(`\\b(${profanities.join('|')})(s|es|ed|er|ers|ing|y)?\\b`, 'gi');
+
+// Call this function to check a message sent by a guest.
+// Parameters:
+// - input: { text, name }, where name is optional
+// Returns { message } with the text and name to show, or { error, code, params } with a message for the guest
+export function validateMessage(input) {
+    if (!input || typeof input.text !== 'string') {
+        return { error: 'Message text is required', code: 'message-required' };
+    }
+
+    // One line, so a message can't push the others off the screen
+    const text = input.text.replace(/\s+/g, ' ').trim();
+    if (text.length === 0) {
+        return { error: 'Message text is required', code: 'message-required' };
+    }
+    if (text.length > maxMessageLength) {
+        return { error: `Messages can be at most ${maxMessageLength} characters`, code: 'message-too-long', params: { max: maxMessageLength } };
+    }
+
+    let name = null;
+    if (input.name !== undefined && input.name !== null && input.name !== '') {
+        if (typeof input.name !== 'string' || input.name.trim().length > maxNameLength) {
+            return { error: `Names can be at most ${maxNameLength} characters`, code: 'name-too-long', params: { max: maxNameLength } };
+        }
+        name = filterProfanity(input.name.trim()) || null;
+    }
+
+    return { message: { text: filterProfanity(text), name } };
+}
+
+// Returns the weight of each reaction kind, e.g. for scoring reaction counts
+export function getReactionWeight(reaction) {
+    return Object.hasOwn(reactions, reaction) ? reactions[reaction].weight : 0;
+}
+
+// Stars out the letters of rude words after the first, e.g. "sh**"
+export function filterProfanity(text) {
+    return text.replace(profanityPattern, word => word[0] + '*'.repeat(word.length - 1));
+}
@@ -0,0 +1,141 @@
+// This module puts together the recap of a party: what played, what the guests
+// thought of it (votes and reactions) and how busy it was. It works for running and ended parties alike.
+
+// Call this function to build the recap of a party.
+// Parameters:
+// - storage: where the party's history is kept, see storage.js
+// - partyCode: a string identifying the party
+// - tracks: the whole catalog
+// - genres: the genres with their labels
+// Returns null if there never was such a party
+export async function buildRecap(storage, partyCode, tracks, genres) {
+    const party = await storage.parties.get(partyCode);
+    if (!party) {
+        return null;
+    }
+
+    const history = await storage.playback.getHistory(partyCode);
+    const tallies = await storage.votes.getTallies(partyCode);
+    const reactionTallies = await storage.reactions.getTallies(partyCode);
+    const timeline = await storage.votes.getTimeline(partyCode, 5 * 60 * 1000);
+    const peakAttendance = await storage.members.getPeakCount(partyCode);
+
+    const votes = new Map(tallies.map(tally => [tally.trackId, {
+        upvotes: tally.upvotes,
+        downvotes: tally.downvotes,
+    }]));
+
+    // Track ID -> { fire: 3, sleepy: 1 }, and the same for the whole party
+    const reactions = new Map();
+    const reactionTotals = {};
+    for (const tally of reactionTallies) {
+        const trackReactions = reactions.get(tally.trackId) || {};
+        trackReactions[tally.reaction] = tally.count;
+        reactions.set(tally.trackId, trackReactions);
+        reactionTotals[tally.reaction] = (reactionTotals[tally.reaction] || 0) + tally.count;
+    }
+
+    const played = history
+        .map(entry => {
+            const track = tracks.find(t => t.track_id === entry.trackId);
+            if (!track) {
+                return null;  // Removed from the catalog since
+            }
+            const trackVotes = votes.get(track.track_id) || { upvotes: 0, downvotes: 0 };
+            return {
+                track_id: track.track_id,
+                title: track.title,
+                artist: track.artist,
+                genres: track.genres,
+                duration: track.duration,
+                playedAt: new Date(entry.playedAt).toISOString(),
+                ...trackVotes,
+                score: trackVotes.upvotes - trackVotes.downvotes,
+                reactions: reactions.get(track.track_id) || {},
+            };
+        })
+        .filter(track => track !== null);
+
+    // A track that played twice should only be ranked once
+    const rated = [...new Map(played.map(track => [track.track_id, track])).values()];
+
+    return {
+        partyCode: party.partyCode,
+        createdAt: new Date(party.createdAt).toISOString(),
+        endedAt: party.endedAt ? new Date(party.endedAt).toISOString() : null,
+        tracksPlayed: played.length,
+        totalVotes: [...votes.values()].reduce((sum, v) => sum + v.upvotes + v.downvotes, 0),
+        totalReactions: Object.values(reactionTotals).reduce((sum, count) => sum + count, 0),
+        reactionTotals,
+        peakAttendance,
+        mostLoved: rated.filter(t => t.score > 0).sort((a, b) => b.score - a.score).slice(0, 5),
+        mostHated: rated.filter(t => t.score < 0).sort((a, b) => a.score - b.score).slice(0, 5),
+        favouriteGenres: rankGenres(played, votes, tracks, genres),
+        voteTimeline: timeline.map(period => ({
+            ...period,
+            period: new Date(period.period).toISOString(),
+        })),
+        played,
+    };
+}
+
+// Call this function to turn the played tracks of a recap into CSV, e.g. to make a playlist
+export function recapToCsv(recap) {
+    const header = ['played_at', 'track_id', 'title', 'artist', 'genres', 'duration', 'upvotes', 'downvotes', 'reactions'];
+    const rows = recap.played.map(track => [
+        track.playedAt,
+        track.track_id,
+        track.title,
+        track.artist,
+        track.genres.join(';'),
+        track.duration,
+        track.upvotes,
+        track.downvotes,
+        Object.entries(track.reactions).map(([reaction, count]) => `${reaction}:${count}`).join(';'),
+    ]);
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// HELPER FUNCTIONS
+
+// Genres ranked by the votes on all the party's tracks in them, with how often they were played
+function rankGenres(played, votes, tracks, genres) {
+    const result = new Map();
+
+    function entryFor(genre) {
+        if (!result.has(genre)) {
+            const known = genres.find(g => g.genre === genre);
+            result.set(genre, { genre, label: known ? known.label : genre, plays: 0, score: 0 });
+        }
+        return result.get(genre);
+    }
+
+    for (const track of played) {
+        for (const genre of track.genres) {
+            entryFor(genre).plays++;
+        }
+    }
+
+    for (const [trackId, trackVotes] of votes.entries()) {
+        const track = tracks.find(t => t.track_id === trackId);
+        if (!track) {
+            continue;
+        }
+        for (const genre of track.genres) {
+            entryFor(genre).score += trackVotes.upvotes - trackVotes.downvotes;
+        }
+    }
+
+    return [...result.values()]
+        .sort((a, b) => b.score - a.score || b.plays - a.plays)
+        .slice(0, 5);
+}
+
+// Quotes a value if it contains anything that would break the CSV
+function csvField(value) {
+    const text = String(value);
+    if (/[",\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
@@ -1,23 +1,173 @@
 import express from 'express';
 import path from 'path';
-import { connect } from '../db/connect.js';
-import { play } from './player.js';
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { createStorage } from './storage.js';
+import { playerEvents, play, stop, pause, resume, seek, registerDevice, unregisterDevice, setVolume, getDevices, removeParty } from './player.js';
+import { subscribe, send, publish, closeAll as closeAllStreams } from './events.js';
+import { strategies, defaultStrategy, rankCandidates } from './strategies.js';
+import { createSession, verifySession, getGuestId } from './sessions.js';
+import { createProfileKey, hashProfileKey, validateNickname } from './profiles.js';
+import { reactions, validateMessage, recentMessageCount } from './reactions.js';
+import { validatePlan, startPlan, advancePlan, countPlannedTrack, getCurrentPhase, describePlan } from './setPlan.js';
+import { rateLimit } from './rateLimit.js';
+import { defaultSettings, maxHistorySize, validateSettings, isTrackAllowed, getCandidates } from './settings.js';
+import { buildRecap, recapToCsv } from './recap.js';
+import { importFormats, parseImport, validateTrack, checkImport, findDuplicate } from './catalog.js';
+import { log, withRequestId, withoutRequestId } from './log.js';
+import { counter, gauge, renderMetrics, metricsContentType } from './metrics.js';
+import { webhookEvents, maxWebhooksPerParty, validateWebhook, checkWebhookUrl, createWebhookSecret, sendWebhook } from './webhooks.js';
 
-// Connect to database and load all tracks into memory
-const db = await connect();
-const tracks = await loadTracks();
+// Connect to storage and load all tracks and genres into memory
+// (tracks are loaded again whenever an admin changes the catalog)
+const storage = await createStorage();
+let tracks = await loadTracks();
+const genres = await loadGenres();
 
 // Store active party data in memory
+// (parties, current tracks and history are also saved in storage, see restoreParties)
+const parties = new Map();
 const currentTracks = new Map();
 const trackHistory = new Map();
 const partyMembers = new Map();
+const publishedMemberCounts = new Map();
+const requestQueues = new Map();
+const pickExplanations = new Map();
+const playbackStates = new Map();
+const inFlightPicks = new Map();
+const lastActivity = new Map();
+const suspendedParties = new Map();
+const polls = new Map();
+const pollTimers = new Map();
+const partyWebhooks = new Map();
+const sessionProfiles = new Map();
+
+// Set once the server starts shutting down, see shutDown
+let shuttingDown = false;
+
+// How many songs one guest may have waiting in the request queue at a time
+const maxRequestsPerSession = 3;
+
+// How long a member counts as active after their last heartbeat
+const memberTimeout = 15000;
+
+// How long a party keeps playing after its last member left, before it is suspended
+// (paused until someone is back)
+const suspendAfter = (parseFloat(process.env.SUSPEND_AFTER_MINUTES) || 2) * 60 * 1000;
+
+// How long a party stays suspended before it ends by itself
+const partyTtl = (parseFloat(process.env.PARTY_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// What happens to the votes, reactions and messages of a party that ended by itself: "keep" them for its recap, or "delete" them
+const expiredPartyVotes = process.env.EXPIRED_PARTY_VOTES === 'delete' ? 'delete' : 'keep';
+
+// Address guests use to reach the server, for the QR code on the big screen, e.g. http://192.168.1.20:3003
+// (without it, the address the screen itself was opened with is used)
+const publicUrl = process.env.PUBLIC_URL;
+
+// Token for the admin endpoints, sent as "Authorization: Bearer <token>". Without it they are turned off.
+const adminToken = process.env.ADMIN_TOKEN;
+if (!adminToken) {
+    log.warn('ADMIN_TOKEN is not set, the admin endpoints are turned off');
+}
+
+// How long shutting down may wait for open requests and storage calls before exiting anyway
+const shutdownTimeout = (parseFloat(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 10) * 1000;
+
+// Numbers for GET /metrics, see metrics.js
+const votesCast = counter('nexttrack_votes_total', 'Votes cast on playing tracks, by vote (up or down)');
+const reactionsGiven = counter('nexttrack_reactions_total', 'Emoji reactions given to playing tracks, by reaction');
+const messagesPosted = counter('nexttrack_messages_total', 'Messages posted by guests');
+const trackPicks = counter('nexttrack_track_picks_total', 'Tracks picked to play next, by strategy (request for guest requests, poll for next-track polls)');
+const recentVoteTimes = [];
+gauge('nexttrack_active_parties', 'Parties running on this server, suspended ones included', () => parties.size);
+gauge('nexttrack_suspended_parties', 'Parties paused because nobody is there', () => suspendedParties.size);
+gauge('nexttrack_active_members', 'Members who sent a heartbeat lately, over all parties', () => {
+    return [...partyMembers.keys()].reduce((sum, partyCode) => sum + peekActiveMembers(partyCode), 0);
+});
+gauge('nexttrack_votes_per_minute', 'Votes cast in the last minute, over all parties', () => {
+    forgetOldVoteTimes();
+    return recentVoteTimes.length;
+});
+gauge('nexttrack_storage_ping_seconds', 'How long the storage took to answer while /metrics was read, -1 if it did not', async () => {
+    const start = process.hrtime.bigint();
+    try {
+        await storage.ping();
+        return Number(process.hrtime.bigint() - start) / 1e9;
+    } catch {
+        return -1;
+    }
+});
+
+// Share of the active members that must downvote a track to skip it (0.5 = half the room)
+const skipVoteShare = parseFloat(process.env.SKIP_VOTE_SHARE) || 0.5;
+
+// How many tracks guests choose from in a next-track poll
+const pollSize = 4;
+
+// How long before the end of a track its next-track poll opens (at most half the track)
+const pollOpensBefore = 60000;
+
+// How the picks that don't come from a strategy are explained to guests
+const pickLabels = {
+    'request': 'Guest request',
+    'poll': 'Guest poll',
+};
+
+playerEvents.on('track-ended', handleTrackEnded);
+playerEvents.on('state-changed', handlePlayerStateChanged);
+playerEvents.on('devices-changed', (partyCode, devices) => {
+    publish(partyCode, 'devices-changed', { devices });
+});
+
+await restoreParties();
 
 const port = process.env.PORT || 3003;
 const server = express();
 
-server.use(express.json());
+// Catalog imports are parsed by importParsers instead, with a bigger limit, and only for admins
+const importPath = '/api/admin/tracks/import';
+const jsonParser = express.json();
+server.use((request, response, next) => {
+    if (request.path === importPath) {
+        return next();
+    }
+    jsonParser(request, response, next);
+});
 server.use(logRequests);
 
+// Phones on the same Wi-Fi share an IP address, so the per-IP limits leave room for a whole party
+const voteLimits = [
+    rateLimit('votes', 10000, 10, request => `session:${request.sessionId}`),
+    rateLimit('votes', 60000, 300, request => `ip:${request.ip}`),
+];
+const heartbeatLimits = [
+    rateLimit('heartbeats', 10000, 5, request => `session:${request.sessionId}`),
+    rateLimit('heartbeats', 60000, 600, request => `ip:${request.ip}`),
+];
+const reactionLimits = [
+    rateLimit('reactions', 10000, 20, request => `session:${request.sessionId}`),
+    rateLimit('reactions', 60000, 600, request => `ip:${request.ip}`),
+];
+const messageLimits = [
+    rateLimit('messages', 30000, 3, request => `session:${request.sessionId}`),
+    rateLimit('messages', 60000, 60, request => `ip:${request.ip}`),
+];
+// Every session has its own votes and ballots, so one IP can only make so many guests at a party,
+// about as many as a big party on one Wi-Fi has
+const joinLimits = [
+    rateLimit('joins', 60000, 30, request => `ip:${request.ip}`),
+    rateLimit('joins', 12 * 60 * 60 * 1000, 150, request => `ip:${request.ip}:party:${request.params.partyCode}`),
+];
+const profileLimits = [
+    rateLimit('profiles', 60 * 60 * 1000, 10, request => `ip:${request.ip}`),
+];
+
+// Health checks and metrics, for load balancers and monitoring
+server.get('/healthz', checkHealth);
+server.get('/readyz', checkReadiness);
+server.get('/metrics', getMetrics);
+
 // Serve specific static files explicitly
 server.get('/styles.css', (req, res) => {
     res.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'styles.css'));
@@ -35,41 +185,319 @@ server.get('/landing.js', (req, res) => {
     res.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'landing.js'));
 });
 
+server.get('/recap.js', (req, res) => {
+    res.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'recap.js'));
+});
+
+server.get('/screen.js', (req, res) => {
+    res.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'screen.js'));
+});
+
+server.get('/screen.css', (req, res) => {
+    res.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'screen.css'));
+});
+
+server.get('/profile.js', (req, res) => {
+    res.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'profile.js'));
+});
+
+server.get('/i18n.js', (req, res) => {
+    res.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'i18n.js'));
+});
+
+server.get('/locales/en.js', (req, res) => {
+    res.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'locales', 'en.js'));
+});
+
+server.get('/locales/da.js', (req, res) => {
+    res.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'locales', 'da.js'));
+});
+
 // API endpoints
-server.get('/api/party/:partyCode/currentTrack', getCurrentTrack);
-server.get('/api/party/:partyCode/votes', getVoteCounts);
-server.get('/api/party/:partyCode/myvote/:sessionId', getMyVote);
-server.post('/api/party/:partyCode/vote', recordVote);
-server.post('/api/party/:partyCode/heartbeat', recordHeartbeat);
-server.get('/api/party/:partyCode/members', getMemberCount);
+server.get('/api/genres', getGenres);
+server.get('/api/strategies', getStrategies);
+server.get('/api/reactions', getReactionKinds);
+server.get('/api/tracks', searchTracks);
+server.get('/api/tracks/:trackId', getTrack);
+server.post('/api/parties', createParty);
+server.get('/api/party/:partyCode', requireParty, getParty);
+server.get('/api/party/:partyCode/currentTrack', requireParty, getCurrentTrack);
+server.get('/api/party/:partyCode/votes', requireParty, getVoteCounts);
+server.post('/api/party/:partyCode/join', requireParty, ...joinLimits, joinParty);
+server.get('/api/party/:partyCode/myvote', requireParty, requireSession, getMyVote);
+server.post('/api/party/:partyCode/vote', requireParty, requireSession, ...voteLimits, recordVote);
+server.post('/api/party/:partyCode/heartbeat', requireParty, requireSession, ...heartbeatLimits, recordHeartbeat);
+server.get('/api/party/:partyCode/members', requireParty, getMemberCount);
+server.get('/api/party/:partyCode/events', requireParty, streamEvents);
+server.get('/api/party/:partyCode/explain', requireParty, explainTrack);
+server.get('/api/party/:partyCode/tracks', requireParty, searchTracks);
+server.get('/api/party/:partyCode/settings', requireParty, getSettings);
+server.get('/api/party/:partyCode/plan', requireParty, getPlan);
+server.get('/api/party/:partyCode/requests', requireParty, getRequests);
+server.post('/api/party/:partyCode/requests', requireParty, requireSession, addRequest);
+server.post('/api/party/:partyCode/requests/:trackId/upvote', requireParty, requireSession, upvoteRequest);
+server.get('/api/party/:partyCode/poll', requireParty, requireSession, getPoll);
+server.post('/api/party/:partyCode/poll/ballot', requireParty, requireSession, ...voteLimits, castBallot);
+server.get('/api/party/:partyCode/reactions', requireParty, getReactionCounts);
+server.post('/api/party/:partyCode/reactions', requireParty, requireSession, ...reactionLimits, addReaction);
+server.get('/api/party/:partyCode/messages', requireParty, getMessages);
+server.post('/api/party/:partyCode/messages', requireParty, requireSession, ...messageLimits, postMessage);
+server.get('/api/party/:partyCode/recap', getRecap);
+server.get('/api/party/:partyCode/upcoming', requireParty, getUpcoming);
+server.get('/api/party/:partyCode/qr', requireParty, getJoinQrCode);
+server.put('/api/party/:partyCode/profile', requireParty, requireSession, requireProfile, linkProfile);
+
+// Guest profiles, identified by the device key sent as X-Profile-Key
+server.post('/api/profiles', ...profileLimits, createProfile);
+server.get('/api/profile', requireProfile, getProfile);
+server.put('/api/profile', requireProfile, renameProfile);
+server.delete('/api/profile', requireProfile, deleteProfile);
+server.get('/api/profile/likes', requireProfile, getLikedTracks);
+
+// Host-only endpoints
+server.post('/api/party/:partyCode/skip', requireParty, requireHost, skipTrack);
+server.post('/api/party/:partyCode/pause', requireParty, requireHost, pauseParty);
+server.post('/api/party/:partyCode/resume', requireParty, requireHost, resumeParty);
+server.post('/api/party/:partyCode/seek', requireParty, requireHost, seekTrack);
+server.get('/api/party/:partyCode/devices', requireParty, requireHost, getPartyDevices);
+server.post('/api/party/:partyCode/devices', requireParty, requireHost, addDevice);
+server.delete('/api/party/:partyCode/devices/:deviceId', requireParty, requireHost, removeDevice);
+server.put('/api/party/:partyCode/devices/:deviceId/volume', requireParty, requireHost, changeVolume);
+server.get('/api/party/:partyCode/guests', requireParty, requireHost, getGuests);
+server.delete('/api/party/:partyCode/guests/:guestId', requireParty, requireHost, removeGuest);
+server.delete('/api/party/:partyCode/messages/:messageId', requireParty, requireHost, deleteMessage);
+server.put('/api/party/:partyCode/strategy', requireParty, requireHost, setStrategy);
+server.put('/api/party/:partyCode/settings', requireParty, requireHost, updateSettings);
+server.put('/api/party/:partyCode/plan', requireParty, requireHost, updatePlan);
+server.delete('/api/party/:partyCode/plan', requireParty, requireHost, removePlan);
+server.get('/api/party/:partyCode/plan/preview', requireParty, requireHost, previewPlan);
+server.get('/api/party/:partyCode/webhooks', requireParty, requireHost, getWebhooks);
+server.post('/api/party/:partyCode/webhooks', requireParty, requireHost, addWebhook);
+server.delete('/api/party/:partyCode/webhooks/:webhookId', requireParty, requireHost, removeWebhook);
+server.get('/api/party/:partyCode/webhooks/:webhookId/deliveries', requireParty, requireHost, getWebhookDeliveries);
+server.post('/api/party/:partyCode/webhooks/:webhookId/test', requireParty, requireHost, testWebhook);
+server.delete('/api/party/:partyCode', requireParty, requireHost, endParty);
+
+// Admin endpoints
+const playlistTypes = ['audio/x-mpegurl', 'audio/mpegurl', 'application/x-mpegurl', 'application/vnd.apple.mpegurl'];
+const importParsers = [
+    express.json({ limit: '5mb' }),
+    express.text({ type: ['text/*', ...playlistTypes], limit: '5mb' }),
+];
+server.post('/api/admin/tracks', requireAdmin, addTrack);
+server.post(importPath, requireAdmin, ...importParsers, importTracks);
+server.put('/api/admin/tracks/:trackId', requireAdmin, updateTrack);
+server.delete('/api/admin/tracks/:trackId', requireAdmin, removeTrack);
 
 // Root route - landing page
 server.get('/', (request, response) => {
-    console.log('Serving landing.html');
+    log.info('Serving landing.html');
     response.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'landing.html'));
 });
 
 // Party route
 server.get('/party/:partyCode', (request, response) => {
-    console.log('Serving index.html for party:', request.params.partyCode);
+    log.info('Serving index.html', { partyCode: request.params.partyCode });
     response.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'index.html'));
 });
 
-server.listen(port, () => console.log('Server running on port', port));
+// Screen route - the party on a projector or TV, with a QR code to join
+server.get('/party/:partyCode/screen', (request, response) => {
+    log.info('Serving screen.html', { partyCode: request.params.partyCode });
+    response.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'screen.html'));
+});
+
+// Profile route - a guest's nickname and the tracks they liked at every party
+server.get('/profile', (request, response) => {
+    log.info('Serving profile.html');
+    response.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'profile.html'));
+});
+
+// Recap route - what played at a party, also after it ended
+server.get('/party/:partyCode/recap', (request, response) => {
+    log.info('Serving recap.html', { partyCode: request.params.partyCode });
+    response.sendFile(path.join(import.meta.dirname, '..', 'frontend', 'recap.html'));
+});
+
+// Errors the handlers didn't answer themselves, e.g. a body that isn't JSON, answered like theirs
+server.use((error, request, response, next) => {
+    if (response.headersSent) {
+        return next(error);
+    }
+    if (error.type && error.status >= 400 && error.status < 500) {
+        log.warn('Unreadable request body', { error: error.message });
+        return response.status(error.status).json({ error: 'The request body could not be read', code: 'invalid-body' });
+    }
+    log.error('Request failed', { error: error.message });
+    response.status(500).json({ error: 'Something went wrong', code: 'server-error' });
+});
+
+const httpServer = server.listen(port, () => log.info('Server running', { port }));
+
+// Members that stop sending heartbeats should disappear from the count
+// even when nobody else is joining or leaving, and parties everyone left should stop playing
+const idleCheck = setInterval(() => {
+    for (const partyCode of partyMembers.keys()) {
+        publishMemberCount(partyCode);
+    }
+    for (const partyCode of [...parties.keys()]) {
+        checkIdle(partyCode);
+    }
+}, 5000);
+
+process.on('SIGTERM', () => shutDown('SIGTERM'));
+process.on('SIGINT', () => shutDown('SIGINT'));
 
 // ENDPOINT HANDLERS
+//
+// Errors are answered as { error, code, params }. The error is in English for whoever reads the API,
+// the code stays the same so pages can show the error in the guest's language (see frontend/i18n.js),
+// and params holds the numbers the message needs, e.g. { max: 3 }. Failures on our side all have
+// the code 'server-error'.
 
-function getCurrentTrack(request, response) {
-    const partyCode = request.params.partyCode;
-    let track = currentTracks.get(partyCode);
+// Alive and able to reach the storage
+function checkHealth(request, response) {
+    storage.ping()
+    .then(() => {
+        response.json({ status: 'ok', storage: storage.name });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(503).json({ status: 'unavailable', storage: storage.name });
+    });
+}
+
+// Like checkHealth, but also says no while shutting down, so no new guests are sent here
+function checkReadiness(request, response) {
+    if (shuttingDown) {
+        return response.status(503).json({ status: 'shutting down', storage: storage.name });
+    }
+    checkHealth(request, response);
+}
+
+function getMetrics(request, response) {
+    renderMetrics()
+    .then(text => {
+        response.type(metricsContentType).send(text);
+    })
+    .catch(error => {
+        log.error('Metrics error', { error: error.message });
+        response.status(500).json({ error: 'Failed to collect metrics', code: 'server-error' });
+    });
+}
+
+function getGenres(request, response) {
+    const result = genres.map(genre => ({
+        ...genre,
+        trackCount: tracks.filter(t => t.genres.includes(genre.genre)).length
+    }));
+    response.json(result);
+}
+
+function getStrategies(request, response) {
+    const result = Object.entries(strategies).map(([strategy, { label }]) => ({ strategy, label }));
+    response.json(result);
+}
+
+function getReactionKinds(request, response) {
+    const result = Object.entries(reactions).map(([reaction, { emoji }]) => ({ reaction, emoji }));
+    response.json(result);
+}
+
+// Finds tracks whose title or artist contains the search text, one page at a time.
+// Searching within a party only finds tracks its settings allow.
+function searchTracks(request, response) {
+    const search = (request.query.q || '').trim().toLowerCase();
+    const page = Math.max(1, parseInt(request.query.page) || 1);
+    const pageSize = Math.min(50, Math.max(1, parseInt(request.query.pageSize) || 10));
+    const party = parties.get(request.params.partyCode);
+    
+    const matches = tracks
+        .filter(t => !party || isTrackAllowed(t, party.settings))
+        .filter(t => t.title.toLowerCase().includes(search) || t.artist.toLowerCase().includes(search))
+        .sort((a, b) => a.title.localeCompare(b.title));
+    
+    response.json({
+        tracks: matches.slice((page - 1) * pageSize, page * pageSize),
+        total: matches.length,
+        page,
+        pageSize
+    });
+}
+
+function getTrack(request, response) {
+    const track = tracks.find(t => t.track_id === request.params.trackId);
     
     if (!track) {
-        track = pickNextTrack(partyCode);
+        return response.status(404).json({ error: 'Track not found', code: 'track-not-found' });
     }
     
     response.json(track);
 }
 
+function createParty(request, response) {
+    const party = {
+        partyCode: null,
+        hostToken: crypto.randomBytes(24).toString('hex'),
+        createdAt: Date.now(),
+        removedSessions: new Set(),
+        strategy: defaultStrategy,
+        settings: { ...defaultSettings },
+        plan: null,
+    };
+    
+    insertParty(party)
+    .then(partyCode => {
+        party.partyCode = partyCode;
+        parties.set(partyCode, party);
+        lastActivity.set(partyCode, Date.now());
+        registerDevice(partyCode, 'Main speaker');
+        log.info('Party created', { partyCode });
+        
+        // The host token is only ever handed out here, to the one who created the party
+        response.status(201).json({ partyCode, hostToken: party.hostToken });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to create party', code: 'server-error' });
+    });
+}
+
+function getParty(request, response) {
+    const party = parties.get(request.params.partyCode);
+    response.json({
+        partyCode: party.partyCode,
+        createdAt: party.createdAt,
+        strategy: party.strategy,
+        playbackState: playbackStates.get(party.partyCode) || 'idle'
+    });
+}
+
+// Gives a guest a signed session for the party, which they send as "X-Session-Token" from then on
+function joinParty(request, response) {
+    const session = createSession(request.params.partyCode);
+    response.status(201).json({ token: session.token, guestId: session.guestId });
+}
+
+function getCurrentTrack(request, response) {
+    const partyCode = request.params.partyCode;
+    
+    ensureTrack(partyCode)
+    .then(track => {
+        if (!track) {
+            return response.status(404).json({ error: 'Party not found', code: 'party-not-found' });
+        }
+        response.json(withServerTime(track));
+    })
+    .catch(error => {
+        if (error.code === 'no-playable-tracks') {
+            return response.status(409).json({ error: error.message, code: error.code });
+        }
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to pick a track', code: 'server-error' });
+    });
+}
+
 function getVoteCounts(request, response) {
     const partyCode = request.params.partyCode;
     const track = currentTracks.get(partyCode);
@@ -78,87 +506,79 @@ function getVoteCounts(request, response) {
         return response.json({ upvotes: 0, downvotes: 0 });
     }
     
-    db.query(`
-        select vote_type, count(*) as count
-        from votes
-        where party_code = $1 and track_id = $2
-        group by vote_type
-    `, [partyCode, track.track_id])
-    .then(result => {
-        let upvotes = 0;
-        let downvotes = 0;
-        
-        for (const row of result.rows) {
-            if (row.vote_type === 'up') upvotes = parseInt(row.count);
-            if (row.vote_type === 'down') downvotes = parseInt(row.count);
-        }
-        
-        response.json({ upvotes, downvotes });
+    countVotes(partyCode, track.track_id)
+    .then(counts => {
+        response.json(counts);
+    })
+    .catch(error => {
+        log.error('Vote lookup failed', { partyCode, error: error.message });
+        response.status(500).json({ error: 'Failed to count votes', code: 'server-error' });
     });
 }
 
 function getMyVote(request, response) {
     const partyCode = request.params.partyCode;
-    const sessionId = request.params.sessionId;
+    const sessionId = request.sessionId;
     const track = currentTracks.get(partyCode);
     
     if (!track) {
         return response.json({ myVote: null });
     }
     
-    db.query(`
-        select vote_type
-        from votes
-        where party_code = $1 and track_id = $2 and session_id = $3
-    `, [partyCode, track.track_id, sessionId])
-    .then(result => {
-        if (result.rows.length > 0) {
-            response.json({ myVote: result.rows[0].vote_type });
-        } else {
-            response.json({ myVote: null });
-        }
+    storage.votes.get(partyCode, track.track_id, sessionId)
+    .then(myVote => {
+        response.json({ myVote });
+    })
+    .catch(error => {
+        log.error('Vote lookup failed', { partyCode, error: error.message });
+        response.status(500).json({ error: 'Failed to get vote', code: 'server-error' });
     });
 }
 
 function recordVote(request, response) {
     const partyCode = request.params.partyCode;
-    const { vote, sessionId } = request.body;
+    const { vote } = request.body || {};
+    const sessionId = request.sessionId;
     const track = currentTracks.get(partyCode);
     
     if (!track) {
-        return response.status(404).json({ error: 'No track playing' });
+        return response.status(404).json({ error: 'No track playing', code: 'no-track-playing' });
     }
     
     if (vote !== 'up' && vote !== 'down') {
-        return response.status(400).json({ error: 'Vote must be "up" or "down"' });
+        return response.status(400).json({ error: 'Vote must be "up" or "down"', code: 'invalid-vote' });
     }
     
-    if (!sessionId) {
-        return response.status(400).json({ error: 'Session ID required' });
+    // Made-up sessions never send heartbeats, so only people who are here can vote
+    if (!isActiveMember(partyCode, sessionId)) {
+        return response.status(403).json({ error: 'Only active members can vote', code: 'not-active-member' });
     }
     
-    db.query(`
-        insert into votes (party_code, track_id, session_id, vote_type)
-        values ($1, $2, $3, $4)
-        on conflict (party_code, track_id, session_id)
-        do update set vote_type = $4, voted_at = now()
-    `, [partyCode, track.track_id, sessionId, vote])
+    storage.votes.record(partyCode, track.track_id, sessionId, vote, getSessionProfile(partyCode, sessionId))
     .then(() => {
         response.json({ success: true });
+        votesCast.inc({ vote });
+        recentVoteTimes.push(Date.now());
+        forgetOldVoteTimes();
+        
+        countVotes(partyCode, track.track_id)
+        .then(counts => {
+            publish(partyCode, 'vote-counts-changed', counts);
+            skipIfVotedOut(partyCode, track, counts.downvotes);
+        })
+        .catch(error => {
+            log.error('Database error', { error: error.message });
+        });
     })
     .catch(error => {
-        console.error('Database error:', error.message);
-        response.status(500).json({ error: 'Failed to store vote' });
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to store vote', code: 'server-error' });
     });
 }
 
 function recordHeartbeat(request, response) {
     const partyCode = request.params.partyCode;
-    const { sessionId } = request.body;
-    
-    if (!sessionId) {
-        return response.status(400).json({ error: 'Session ID required' });
-    }
+    const sessionId = request.sessionId;
     
     let members = partyMembers.get(partyCode);
     if (!members) {
@@ -166,150 +586,2098 @@ function recordHeartbeat(request, response) {
         partyMembers.set(partyCode, members);
     }
     
+    const isNewMember = !members.has(sessionId);
     members.set(sessionId, Date.now());
+    lastActivity.set(partyCode, Date.now());
     
     response.json({ success: true });
+    
+    if (suspendedParties.has(partyCode)) {
+        wakeParty(partyCode);
+    }
+    
+    if (isNewMember) {
+        publishMemberCount(partyCode);
+        notifyWebhooks(partyCode, 'member-joined', { guestId: getGuestId(sessionId) });
+    }
 }
 
 function getMemberCount(request, response) {
     const partyCode = request.params.partyCode;
-    const members = partyMembers.get(partyCode);
+    response.json({ count: countActiveMembers(partyCode) });
+}
+
+function streamEvents(request, response) {
+    const partyCode = request.params.partyCode;
+    subscribe(partyCode, response);
     
-    if (!members) {
-        return response.json({ count: 0 });
+    // Send the current state right away so the client doesn't have to poll for it
+    const track = currentTracks.get(partyCode);
+    if (track) {
+        send(response, 'track-changed', withServerTime(track));
+        countVotes(partyCode, track.track_id)
+        .then(counts => {
+            send(response, 'vote-counts-changed', counts);
+        })
+        .catch(error => {
+            // The stream is already open, the counts come with the next vote instead
+            log.error('Vote lookup failed', { partyCode, error: error.message });
+        });
     }
+    send(response, 'member-count-changed', { count: countActiveMembers(partyCode) });
+    send(response, 'queue-changed', { requests: describeQueue(partyCode) });
+    send(response, 'poll-changed', { poll: describePoll(partyCode) });
+}
+
+// SONG REQUESTS
+
+// Tells guests why the current track was picked
+function explainTrack(request, response) {
+    const partyCode = request.params.partyCode;
+    const track = currentTracks.get(partyCode);
+    const explanation = pickExplanations.get(partyCode);
     
-    const now = Date.now();
-    const timeout = 15000;
-    
-    let activeCount = 0;
-    for (const [sessionId, lastSeen] of members.entries()) {
-        if (now - lastSeen < timeout) {
-            activeCount++;
-        } else {
-            members.delete(sessionId);
-        }
+    if (!track || !explanation || explanation.track_id !== track.track_id) {
+        return response.status(404).json({ error: 'No explanation for the current track', code: 'no-explanation' });
     }
     
-    response.json({ count: activeCount });
+    response.json(explanation);
 }
 
-// TRACK SELECTION ALGORITHM
+// What is likely to play next: the request queue, then the candidates with the most votes
+function getUpcoming(request, response) {
+    const partyCode = request.params.partyCode;
+    const party = parties.get(partyCode);
+    const currentTrack = currentTracks.get(partyCode);
+    const requests = describeQueue(partyCode);
+    const count = Math.min(10, Math.max(1, parseInt(request.query.count) || 5));
+    
+    const candidates = getCandidates(tracks, trackHistory.get(partyCode) || [], party.settings)
+        .filter(t => !requests.some(r => r.track_id === t.track_id))
+        .filter(t => !currentTrack || t.track_id !== currentTrack.track_id);
+    
+    rankCandidates({ partyCode, storage, tracks, candidates, memberProfiles: getMemberProfiles(partyCode), phase: getNextPhase(party) })
+    .then(ranked => {
+        response.json({
+            requests: requests.slice(0, count),
+            candidates: ranked.slice(0, Math.max(0, count - requests.length)).map(({ track, score }) => ({
+                track_id: track.track_id,
+                title: track.title,
+                artist: track.artist,
+                duration: track.duration,
+                genres: track.genres,
+                score
+            }))
+        });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to load upcoming tracks', code: 'server-error' });
+    });
+}
 
-async function pickNextTrack(partyCode) {
-    let recentTracks = trackHistory.get(partyCode) || [];
+// The party's address, and a QR code (as SVG) with it so guests can join by scanning the big screen
+function getJoinQrCode(request, response) {
+    const baseUrl = publicUrl || `${request.protocol}://${request.get('host')}`;
+    const joinUrl = `${baseUrl.replace(/\/$/, '')}/party/${request.params.partyCode}`;
     
-    const voteResult = await db.query(`
-        select 
-            track_id,
-            sum(case when vote_type = 'up' then 1 else -1 end) as score
-        from votes
-        where party_code = $1
-        group by track_id
-        order by score desc
-    `, [partyCode]);
-    
-    const likedResult = await db.query(`
-        select 
-            track_id,
-            sum(case when vote_type = 'up' then 1 else -1 end) as score
-        from votes
-        where party_code = $1
-        group by track_id
-        having sum(case when vote_type = 'up' then 1 else -1 end) > 0
-    `, [partyCode]);
-    
-    const likedTrackIds = likedResult.rows.map(r => r.track_id);
-    const likedTracks = tracks.filter(t => likedTrackIds.includes(t.track_id));
-    
-    if (likedTracks.length > 0) {
-        const categories = likedTracks.map(t => getCategory(t.track_id));
-        console.log(`[${partyCode}] Party likes: ${categories.join(', ')}`);
-    }
-    
-    let bestTrack = null;
-    let bestScore = -999999;
-    
-    for (const track of tracks) {
-        if (recentTracks.includes(track.track_id)) {
-            continue;
-        }
-        
-        let voteScore = 0;
-        const votedTrack = voteResult.rows.find(v => v.track_id === track.track_id);
-        if (votedTrack) {
-            voteScore = parseInt(votedTrack.score);
-        }
-        
-        let similarityBonus = 0;
-        for (const likedTrack of likedTracks) {
-            if (getCategory(track.track_id) === getCategory(likedTrack.track_id)) {
-                similarityBonus += 2;
-            }
-            
-            if (track.artist === likedTrack.artist) {
-                similarityBonus += 3;
-            }
-        }
-        
-        const totalScore = voteScore + similarityBonus;
-        
-        if (totalScore > bestScore || (totalScore === bestScore && Math.random() < 0.1)) {
-            bestScore = totalScore;
-            bestTrack = track;
-        }
+    QRCode.toString(joinUrl, { type: 'svg', margin: 1 })
+    .then(svg => {
+        response.json({ url: joinUrl, svg });
+    })
+    .catch(error => {
+        log.error('QR code error', { error: error.message });
+        response.status(500).json({ error: 'Failed to make QR code', code: 'server-error' });
+    });
+}
+
+function getRequests(request, response) {
+    response.json({ requests: describeQueue(request.params.partyCode) });
+}
+
+function addRequest(request, response) {
+    const partyCode = request.params.partyCode;
+    const { trackId } = request.body || {};
+    const sessionId = request.sessionId;
+    const requesterName = ((request.body || {}).name || '').trim().substring(0, 20);
+    
+    const track = tracks.find(t => t.track_id === String(trackId));
+    if (!track) {
+        return response.status(404).json({ error: 'Track not found', code: 'track-not-found' });
     }
     
-    if (!bestTrack || bestScore === 0) {
-        const availableTracks = tracks.filter(t => !recentTracks.includes(t.track_id));
-        const randomIndex = Math.floor(Math.random() * availableTracks.length);
-        bestTrack = availableTracks[randomIndex];
+    if (!isTrackAllowed(track, parties.get(partyCode).settings)) {
+        return response.status(400).json({ error: "That track isn't allowed at this party", code: 'track-not-allowed' });
     }
     
-    console.log(`[${partyCode}] Playing: "${bestTrack.title}" (${getCategory(bestTrack.track_id)})`);
+    const queue = getQueue(partyCode);
+    const currentTrack = currentTracks.get(partyCode);
     
-    recentTracks.push(bestTrack.track_id);
-    if (recentTracks.length > 5) {
-        recentTracks = recentTracks.slice(-5);
+    if (queue.some(r => r.trackId === track.track_id) || (currentTrack && currentTrack.track_id === track.track_id)) {
+        return response.status(409).json({ error: 'That track is already playing or requested', code: 'track-already-requested' });
     }
-    trackHistory.set(partyCode, recentTracks);
     
-    const startedAt = Date.now();
-    const trackWithTimestamp = {
-        ...bestTrack,
-        startedAt: startedAt
+    if (queue.filter(r => r.sessionId === sessionId).length >= maxRequestsPerSession) {
+        return response.status(429).json({ error: `You can have at most ${maxRequestsPerSession} requests waiting`, code: 'too-many-requests', params: { max: maxRequestsPerSession } });
+    }
+    
+    const trackRequest = {
+        trackId: track.track_id,
+        sessionId,
+        requesterName,
+        requestedAt: Date.now(),
+        upvoters: new Set(),
     };
     
-    currentTracks.set(partyCode, trackWithTimestamp);
+    queue.push(trackRequest);
     
-    play(partyCode, bestTrack.track_id.toString(), bestTrack.duration, startedAt, () => {
-        currentTracks.delete(partyCode);
-        pickNextTrack(partyCode);
+    storage.requests.add(partyCode, trackRequest)
+    .then(() => {
+        response.status(201).json({ success: true });
+        publishQueue(partyCode);
+    })
+    .catch(error => {
+        queue.splice(queue.indexOf(trackRequest), 1);
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to store request', code: 'server-error' });
     });
+}
+
+function upvoteRequest(request, response) {
+    const partyCode = request.params.partyCode;
+    const sessionId = request.sessionId;
+    const trackRequest = getQueue(partyCode).find(r => r.trackId === request.params.trackId);
     
-    return trackWithTimestamp;
+    if (!trackRequest) {
+        return response.status(404).json({ error: 'Request not found', code: 'request-not-found' });
+    }
+    
+    if (trackRequest.upvoters.has(sessionId)) {
+        return response.json({ success: true });
+    }
+    
+    trackRequest.upvoters.add(sessionId);
+    
+    storage.requests.upvote(partyCode, trackRequest.trackId, sessionId)
+    .then(() => {
+        response.json({ success: true });
+        publishQueue(partyCode);
+    })
+    .catch(error => {
+        trackRequest.upvoters.delete(sessionId);
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to store upvote', code: 'server-error' });
+    });
 }
 
-// HELPER FUNCTIONS
+function getQueue(partyCode) {
+    let queue = requestQueues.get(partyCode);
+    if (!queue) {
+        queue = [];
+        requestQueues.set(partyCode, queue);
+    }
+    return queue;
+}
 
-function getCategory(trackId) {
-    const id = parseInt(trackId);
-    if (id >= 1000 && id < 2000) return 'pop';
-    if (id >= 2000 && id < 3000) return 'chill';
-    if (id >= 3000 && id < 4000) return 'energy';
-    if (id >= 4000 && id < 5000) return 'party';
-    if (id >= 5000 && id < 6000) return 'running';
-    if (id >= 6000 && id < 7000) return 'relaxing';
-    return 'other';
+// Most upvoted requests first, and first come, first served among equals
+function sortQueue(queue) {
+    return [...queue].sort((a, b) => b.upvoters.size - a.upvoters.size || a.requestedAt - b.requestedAt);
 }
 
-async function loadTracks() {
-    const result = await db.query('select track_id, title, artist, duration from tracks');
-    console.log(`Loaded ${result.rows.length} tracks from database`);
-    return result.rows;
+// The queue as guests see it, without session IDs
+function describeQueue(partyCode) {
+    return sortQueue(getQueue(partyCode)).map(r => {
+        const track = tracks.find(t => t.track_id === r.trackId);
+        return {
+            track_id: track.track_id,
+            title: track.title,
+            artist: track.artist,
+            duration: track.duration,
+            genres: track.genres,
+            requesterName: r.requesterName,
+            requestedAt: r.requestedAt,
+            upvotes: r.upvoters.size
+        };
+    });
 }
 
-function logRequests(request, response, next) {
-    console.log(new Date().toISOString(), request.method, request.url);
-    next();
+function publishQueue(partyCode) {
+    publish(partyCode, 'queue-changed', { requests: describeQueue(partyCode) });
+}
+
+// Removes the first request in the queue that may be played now, and returns the pick
+function takeNextRequest(partyCode, candidates) {
+    const queue = getQueue(partyCode);
+    const trackRequest = sortQueue(queue).find(r => candidates.some(t => t.track_id === r.trackId));
+    
+    if (!trackRequest) {
+        return null;
+    }
+    
+    queue.splice(queue.indexOf(trackRequest), 1);
+    publishQueue(partyCode);
+    
+    storage.requests.remove(partyCode, trackRequest.trackId)
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+    });
+    
+    const requester = trackRequest.requesterName;
+    const breakdown = [
+        requester
+            ? { code: 'requested-by', label: `Requested by ${requester}`, params: { name: requester } }
+            : { code: 'requested-by-guest', label: 'Requested by a guest' },
+        { code: 'request-upvotes', label: 'Upvotes on the request', points: trackRequest.upvoters.size },
+    ];
+    
+    return {
+        track: tracks.find(t => t.track_id === trackRequest.trackId),
+        strategy: 'request',
+        score: trackRequest.upvoters.size,
+        breakdown
+    };
+}
+
+// REACTIONS AND MESSAGES
+//
+// Guests can react to the track with emoji and post short messages everyone sees.
+// Messages are kept in storage only, the page loads the last few when it opens.
+
+function getReactionCounts(request, response) {
+    const partyCode = request.params.partyCode;
+    const track = currentTracks.get(partyCode);
+    
+    if (!track) {
+        return response.json({ trackId: null, counts: {} });
+    }
+    
+    storage.reactions.count(partyCode, track.track_id)
+    .then(counts => {
+        response.json({ trackId: track.track_id, counts });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to count reactions', code: 'server-error' });
+    });
+}
+
+function addReaction(request, response) {
+    const partyCode = request.params.partyCode;
+    const { reaction } = request.body || {};
+    const sessionId = request.sessionId;
+    const track = currentTracks.get(partyCode);
+    
+    if (!track) {
+        return response.status(404).json({ error: 'No track playing', code: 'no-track-playing' });
+    }
+    
+    if (!Object.hasOwn(reactions, reaction)) {
+        return response.status(400).json({ error: `Reaction must be one of: ${Object.keys(reactions).join(', ')}`, code: 'invalid-reaction' });
+    }
+    
+    if (!isActiveMember(partyCode, sessionId)) {
+        return response.status(403).json({ error: 'Only active members can react', code: 'not-active-member' });
+    }
+    
+    storage.reactions.record(partyCode, track.track_id, sessionId, reaction)
+    .then(() => {
+        response.json({ success: true });
+        reactionsGiven.inc({ reaction });
+        publishReactionCounts(partyCode, track.track_id);
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to store reaction', code: 'server-error' });
+    });
+}
+
+function getMessages(request, response) {
+    storage.messages.getRecent(request.params.partyCode, recentMessageCount)
+    .then(messages => {
+        response.json({ messages: messages.map(describeMessage) });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to load messages', code: 'server-error' });
+    });
+}
+
+function postMessage(request, response) {
+    const partyCode = request.params.partyCode;
+    const sessionId = request.sessionId;
+    const { message: input, error, code, params } = validateMessage(request.body || {});
+    
+    if (error) {
+        return response.status(400).json({ error, code, params });
+    }
+    
+    if (!isActiveMember(partyCode, sessionId)) {
+        return response.status(403).json({ error: 'Only active members can post messages', code: 'not-active-member' });
+    }
+    
+    const message = {
+        messageId: crypto.randomUUID(),
+        partyCode,
+        sessionId,
+        name: input.name,
+        text: input.text,
+        postedAt: Date.now(),
+    };
+    
+    storage.messages.add(message)
+    .then(() => {
+        const described = describeMessage(message);
+        messagesPosted.inc();
+        publish(partyCode, 'message-posted', { message: described });
+        response.status(201).json(described);
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to post message', code: 'server-error' });
+    });
+}
+
+// Hosts can take down messages that shouldn't be there, for everyone
+function deleteMessage(request, response) {
+    const partyCode = request.params.partyCode;
+    const messageId = request.params.messageId;
+    
+    storage.messages.remove(partyCode, messageId)
+    .then(removed => {
+        if (!removed) {
+            return response.status(404).json({ error: 'Message not found', code: 'message-not-found' });
+        }
+        publish(partyCode, 'message-deleted', { messageId });
+        log.info('Message deleted', { partyCode, messageId });
+        response.json({ success: true });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to delete message', code: 'server-error' });
+    });
+}
+
+function publishReactionCounts(partyCode, trackId) {
+    storage.reactions.count(partyCode, trackId)
+    .then(counts => {
+        publish(partyCode, 'reaction-counts-changed', { trackId, counts });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+    });
+}
+
+// The session stays on the server, guests see the guest ID like in the host's guest list
+function describeMessage(message) {
+    return {
+        messageId: message.messageId,
+        guestId: getGuestId(message.sessionId),
+        name: message.name,
+        text: message.text,
+        postedAt: new Date(message.postedAt).toISOString()
+    };
+}
+
+// HOST CONTROLS
+
+function skipTrack(request, response) {
+    const partyCode = request.params.partyCode;
+    
+    skipCurrentTrack(partyCode, 'host')
+    .then(track => {
+        response.json(withServerTime(track));
+    })
+    .catch(error => {
+        if (error.code === 'no-playable-tracks') {
+            return response.status(409).json({ error: error.message, code: error.code });
+        }
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to pick next track', code: 'server-error' });
+    });
+}
+
+function getSettings(request, response) {
+    response.json(parties.get(request.params.partyCode).settings);
+}
+
+function updateSettings(request, response) {
+    const partyCode = request.params.partyCode;
+    const party = parties.get(partyCode);
+    const { settings, error, code, params } = validateSettings(request.body || {}, party.settings, genres);
+    
+    if (error) {
+        return response.status(400).json({ error, code, params });
+    }
+    
+    if (!tracks.some(t => isTrackAllowed(t, settings))) {
+        return response.status(400).json({ error: 'No tracks in the catalog match these settings', code: 'no-matching-tracks' });
+    }
+    
+    storage.parties.setSettings(partyCode, settings)
+    .then(() => {
+        party.settings = settings;
+        publish(partyCode, 'settings-changed', settings);
+        log.info('Settings changed', { partyCode });
+        response.json(settings);
+        
+        // Turning polls on opens one near the end of the current track, turning them off drops the open one
+        if (!settings.nextTrackPoll) {
+            closePoll(partyCode);
+        }
+        const track = currentTracks.get(partyCode);
+        if (track) {
+            schedulePoll(partyCode, track);
+        }
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to save settings', code: 'server-error' });
+    });
+}
+
+function setStrategy(request, response) {
+    const partyCode = request.params.partyCode;
+    const { strategy } = request.body || {};
+    
+    if (!Object.hasOwn(strategies, strategy)) {
+        return response.status(400).json({ error: 'Unknown strategy', code: 'unknown-strategy' });
+    }
+    
+    storage.parties.setStrategy(partyCode, strategy)
+    .then(() => {
+        parties.get(partyCode).strategy = strategy;
+        log.info('Strategy changed', { partyCode, strategy });
+        response.json({ strategy });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to change strategy', code: 'server-error' });
+    });
+}
+
+function pauseParty(request, response) {
+    const partyCode = request.params.partyCode;
+    const track = currentTracks.get(partyCode);
+    
+    if (!track) {
+        return response.status(404).json({ error: 'No track playing', code: 'no-track-playing' });
+    }
+    
+    // The player tells us about the new state, see handlePlayerStateChanged
+    pause(partyCode);
+    
+    response.json(withServerTime(track));
+}
+
+function resumeParty(request, response) {
+    const partyCode = request.params.partyCode;
+    const track = currentTracks.get(partyCode);
+    
+    if (!track) {
+        return response.status(404).json({ error: 'No track playing', code: 'no-track-playing' });
+    }
+    
+    resume(partyCode);
+    
+    response.json(withServerTime(track));
+}
+
+function seekTrack(request, response) {
+    const partyCode = request.params.partyCode;
+    const track = currentTracks.get(partyCode);
+    const position = Number((request.body || {}).position);
+    
+    if (!track) {
+        return response.status(404).json({ error: 'No track playing', code: 'no-track-playing' });
+    }
+    
+    if (!Number.isFinite(position)) {
+        return response.status(400).json({ error: 'Position must be a number of milliseconds', code: 'invalid-position' });
+    }
+    
+    seek(partyCode, position);
+    
+    response.json(withServerTime(track));
+}
+
+function getPartyDevices(request, response) {
+    response.json({ devices: getDevices(request.params.partyCode) });
+}
+
+function addDevice(request, response) {
+    const name = ((request.body || {}).name || '').trim().substring(0, 40);
+    
+    if (!name) {
+        return response.status(400).json({ error: 'Device name required', code: 'device-name-required' });
+    }
+    
+    const device = registerDevice(request.params.partyCode, name);
+    response.status(201).json(device);
+}
+
+function removeDevice(request, response) {
+    if (!unregisterDevice(request.params.partyCode, request.params.deviceId)) {
+        return response.status(404).json({ error: 'Device not found', code: 'device-not-found' });
+    }
+    response.json({ success: true });
+}
+
+function changeVolume(request, response) {
+    const volume = Number((request.body || {}).volume);
+    
+    if (!Number.isFinite(volume)) {
+        return response.status(400).json({ error: 'Volume must be a number from 0 to 100', code: 'invalid-volume' });
+    }
+    
+    const device = setVolume(request.params.partyCode, request.params.deviceId, volume);
+    if (!device) {
+        return response.status(404).json({ error: 'Device not found', code: 'device-not-found' });
+    }
+    response.json(device);
+}
+
+function getGuests(request, response) {
+    const partyCode = request.params.partyCode;
+    countActiveMembers(partyCode);  // Drops guests that timed out
+    
+    const members = partyMembers.get(partyCode) || new Map();
+    const guests = [];
+    for (const [sessionId, lastSeen] of members.entries()) {
+        guests.push({ guestId: getGuestId(sessionId), lastSeen });
+    }
+    
+    response.json({ guests });
+}
+
+function removeGuest(request, response) {
+    const partyCode = request.params.partyCode;
+    const guestId = request.params.guestId;
+    
+    const members = partyMembers.get(partyCode) || new Map();
+    const sessionId = [...members.keys()].find(id => getGuestId(id) === guestId);
+    
+    if (!sessionId) {
+        return response.status(404).json({ error: 'Guest not found', code: 'guest-not-found' });
+    }
+    
+    parties.get(partyCode).removedSessions.add(sessionId);
+    storage.parties.removeSession(partyCode, sessionId)
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+    });
+    
+    members.delete(sessionId);
+    
+    publish(partyCode, 'guest-removed', { guestId });
+    publishMemberCount(partyCode);
+    notifyWebhooks(partyCode, 'member-left', { guestId, reason: 'removed' });
+    
+    response.json({ success: true });
+}
+
+function endParty(request, response) {
+    const partyCode = request.params.partyCode;
+    
+    closeParty(partyCode, 'host');
+    log.info('Party ended', { partyCode });
+    
+    // The party and its history are kept for the recap
+    storage.parties.end(partyCode)
+    .then(() => {
+        response.json({ success: true });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to end party', code: 'server-error' });
+    });
+}
+
+// Works for ended parties too, so it doesn't need requireParty.
+// Add ?format=csv for the played tracks as CSV, or ?download=1 to save the JSON as a file.
+function getRecap(request, response) {
+    const partyCode = request.params.partyCode;
+    
+    buildRecap(storage, partyCode, tracks, genres)
+    .then(recap => {
+        if (!recap) {
+            return response.status(404).json({ error: 'Party not found', code: 'party-not-found' });
+        }
+        
+        if (request.query.format === 'csv') {
+            response.attachment(`party-${partyCode}.csv`);
+            response.type('text/csv');
+            return response.send(recapToCsv(recap));
+        }
+        
+        if (request.query.download) {
+            response.attachment(`party-${partyCode}.json`);
+        }
+        response.json(recap);
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to build recap', code: 'server-error' });
+    });
+}
+
+// CATALOG MANAGEMENT (admin only)
+
+function addTrack(request, response) {
+    const { track, error } = validateTrack({ ...request.body, track_id: null }, genres);
+    if (error) {
+        return response.status(400).json({ error, code: 'invalid-track' });
+    }
+    
+    const duplicate = findDuplicate(track, tracks);
+    if (duplicate) {
+        return response.status(409).json({ error: `Already in the catalog as track ${duplicate.track_id}`, code: 'duplicate-track', params: { trackId: duplicate.track_id } });
+    }
+    
+    storage.tracks.save([track])
+    .then(async ([saved]) => {
+        tracks = await loadTracks();
+        log.info('Track added', { trackId: saved.track_id, title: saved.title });
+        response.status(201).json(saved);
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to add track', code: 'server-error' });
+    });
+}
+
+// Only the fields in the body change
+function updateTrack(request, response) {
+    const existing = tracks.find(t => t.track_id === request.params.trackId);
+    if (!existing) {
+        return response.status(404).json({ error: 'Track not found', code: 'track-not-found' });
+    }
+    
+    const { track, error } = validateTrack({ ...existing, ...request.body, track_id: existing.track_id }, genres);
+    if (error) {
+        return response.status(400).json({ error, code: 'invalid-track' });
+    }
+    
+    const duplicate = findDuplicate(track, tracks);
+    if (duplicate) {
+        return response.status(409).json({ error: `Already in the catalog as track ${duplicate.track_id}`, code: 'duplicate-track', params: { trackId: duplicate.track_id } });
+    }
+    
+    storage.tracks.save([track])
+    .then(async ([saved]) => {
+        tracks = await loadTracks();
+        log.info('Track updated', { trackId: saved.track_id, title: saved.title });
+        response.json(saved);
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to update track', code: 'server-error' });
+    });
+}
+
+// A track that is playing somewhere plays to the end, but requests for it are dropped
+function removeTrack(request, response) {
+    const trackId = request.params.trackId;
+    if (!tracks.some(t => t.track_id === trackId)) {
+        return response.status(404).json({ error: 'Track not found', code: 'track-not-found' });
+    }
+    
+    if (tracks.length === 1) {
+        return response.status(400).json({ error: "The catalog can't be empty", code: 'catalog-empty' });
+    }
+    
+    storage.tracks.remove(trackId)
+    .then(async () => {
+        tracks = await loadTracks();
+        
+        for (const [partyCode, queue] of requestQueues.entries()) {
+            const index = queue.findIndex(r => r.trackId === trackId);
+            if (index !== -1) {
+                queue.splice(index, 1);
+                publishQueue(partyCode);
+            }
+        }
+        
+        log.info('Track removed', { trackId });
+        response.json({ success: true });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to remove track', code: 'server-error' });
+    });
+}
+
+// Adds or updates every valid track in the file and reports the rest by row.
+// The format comes from ?format=csv|json|m3u, or else from the Content-Type.
+function importTracks(request, response) {
+    const format = request.query.format || guessImportFormat(request);
+    if (!importFormats.includes(format)) {
+        return response.status(400).json({ error: `Format must be one of: ${importFormats.join(', ')}`, code: 'invalid-import-format' });
+    }
+    
+    const parsed = parseImport(request.body, format);
+    if (parsed.error) {
+        return response.status(400).json({ error: parsed.error, code: 'invalid-import' });
+    }
+    
+    const { tracks: toSave, errors } = checkImport(parsed.rows, tracks, genres);
+    const updated = toSave.filter(t => t.track.track_id && tracks.some(existing => existing.track_id === t.track.track_id)).length;
+    
+    storage.tracks.save(toSave.map(t => t.track))
+    .then(async () => {
+        tracks = await loadTracks();
+        log.info('Tracks imported', { format, imported: toSave.length, skipped: errors.length });
+        response.json({
+            added: toSave.length - updated,
+            updated,
+            errors
+        });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to import tracks', code: 'server-error' });
+    });
+}
+
+function guessImportFormat(request) {
+    if (request.is('json')) return 'json';
+    if (request.is('text/csv')) return 'csv';
+    if (request.is(playlistTypes)) return 'm3u';
+    return null;
+}
+
+// IDLE PARTIES
+//
+// A party nobody has sent a heartbeat to for suspendAfter is suspended: its track
+// is paused, so it doesn't pick track after track for an empty room. The first
+// heartbeat after that wakes it up again, and so does a track the host starts by skipping.
+// A party that stays suspended for partyTtl ends by itself, just like when the host ends it.
+
+function checkIdle(partyCode) {
+    const now = Date.now();
+    const suspendedAt = suspendedParties.get(partyCode);
+    
+    if (suspendedAt !== undefined) {
+        if (now - suspendedAt >= partyTtl) {
+            expireParty(partyCode);
+        }
+        return;
+    }
+    
+    if (now - (lastActivity.get(partyCode) || 0) < suspendAfter) {
+        return;
+    }
+    
+    // Wait for the pick to finish, so the new track is paused too
+    if (inFlightPicks.has(partyCode)) {
+        return;
+    }
+    
+    suspendParty(partyCode, now);
+}
+
+function suspendParty(partyCode, suspendedAt) {
+    suspendedParties.set(partyCode, suspendedAt);
+    playbackStates.set(partyCode, 'suspended');
+    
+    // Pausing at exactly suspendedAt lets wakeParty tell our pause from the host's,
+    // also after a restart. A track the host paused just stays paused.
+    pause(partyCode, suspendedAt);
+    
+    storage.parties.setSuspendedAt(partyCode, suspendedAt)
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+    });
+    log.info('Suspended, nobody is here', { partyCode });
+}
+
+function wakeParty(partyCode) {
+    const suspendedAt = suspendedParties.get(partyCode);
+    const track = currentTracks.get(partyCode);
+    
+    suspendedParties.delete(partyCode);
+    
+    if (track) {
+        playbackStates.set(partyCode, 'playing');
+        if (track.pausedAt === suspendedAt) {
+            resume(partyCode);
+        }
+    } else {
+        playbackStates.delete(partyCode);
+    }
+    
+    storage.parties.setSuspendedAt(partyCode, null)
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+    });
+    log.info('Woke up', { partyCode, suspendedMinutes: Math.round((Date.now() - suspendedAt) / 60000) });
+}
+
+function expireParty(partyCode) {
+    closeParty(partyCode, 'expired');
+    log.info('Party expired', { partyCode });
+    
+    storage.parties.end(partyCode)
+    .then(() => {
+        if (expiredPartyVotes === 'delete') {
+            return Promise.all([
+                storage.votes.removeParty(partyCode),
+                storage.reactions.removeParty(partyCode),
+                storage.messages.removeParty(partyCode),
+            ]);
+        }
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+    });
+}
+
+// Stops playback, tells everyone the party is over and forgets everything kept in memory for it.
+// reason is 'host' when the host ended it, 'expired' when it ended by itself.
+function closeParty(partyCode, reason) {
+    notifyWebhooks(partyCode, 'party-ended', { reason });
+    partyWebhooks.delete(partyCode);
+    sessionProfiles.delete(partyCode);
+    removeParty(partyCode);
+    parties.delete(partyCode);
+    currentTracks.delete(partyCode);
+    trackHistory.delete(partyCode);
+    partyMembers.delete(partyCode);
+    publishedMemberCounts.delete(partyCode);
+    requestQueues.delete(partyCode);
+    pickExplanations.delete(partyCode);
+    playbackStates.delete(partyCode);
+    lastActivity.delete(partyCode);
+    suspendedParties.delete(partyCode);
+    polls.delete(partyCode);
+    clearTimeout(pollTimers.get(partyCode));
+    pollTimers.delete(partyCode);
+    
+    publish(partyCode, 'party-ended', {});
+}
+
+// NEXT-TRACK POLLS
+//
+// With the nextTrackPoll setting, guests choose the next track themselves: near the end of
+// each track a poll opens with the best few candidates, every active member gets one ballot
+// (which they may change), and the winner plays next. Ties go to the candidate with the higher
+// score. A request waiting in the queue plays next anyway, so no poll opens while there is one.
+// Polls are only kept in memory, so after a restart the poll opens again without ballots.
+
+function getPoll(request, response) {
+    const partyCode = request.params.partyCode;
+    const poll = polls.get(partyCode);
+    
+    response.json({
+        poll: describePoll(partyCode),
+        myBallot: poll ? poll.ballots.get(request.sessionId) || null : null
+    });
+}
+
+function castBallot(request, response) {
+    const partyCode = request.params.partyCode;
+    const sessionId = request.sessionId;
+    const trackId = String((request.body || {}).trackId);
+    const poll = polls.get(partyCode);
+    
+    if (!poll) {
+        return response.status(404).json({ error: 'No poll open', code: 'no-poll' });
+    }
+    
+    if (!poll.candidates.some(c => c.track.track_id === trackId)) {
+        return response.status(400).json({ error: "That track isn't in the poll", code: 'not-in-poll' });
+    }
+    
+    // Made-up sessions never send heartbeats, so only people who are here can vote
+    if (!isActiveMember(partyCode, sessionId)) {
+        return response.status(403).json({ error: 'Only active members can vote', code: 'not-active-member' });
+    }
+    
+    poll.ballots.set(sessionId, trackId);
+    publishPoll(partyCode);
+    response.json({ myBallot: trackId });
+}
+
+// Sets a timer to open the poll for the next track near the end of this one.
+// Called whenever the track starts, pauses, resumes or moves, so the timer keeps up with it.
+function schedulePoll(partyCode, track) {
+    clearTimeout(pollTimers.get(partyCode));
+    pollTimers.delete(partyCode);
+    
+    const party = parties.get(partyCode);
+    const poll = polls.get(partyCode);
+    if (!party || !party.settings.nextTrackPoll || track.pausedAt || (poll && poll.trackId === track.track_id)) {
+        return;
+    }
+    
+    // Like the player's timer for the end of the track, it outlives the request that started the track
+    const opensAt = track.startedAt + track.duration - Math.min(pollOpensBefore, track.duration / 2);
+    pollTimers.set(partyCode, withoutRequestId(() => setTimeout(() => {
+        pollTimers.delete(partyCode);
+        openPoll(partyCode, track)
+        .catch(error => {
+            log.error('Database error', { error: error.message });
+        });
+    }, Math.max(0, opensAt - Date.now()))));
+}
+
+// Picks the candidates for the poll with the same scores as the up next list
+async function openPoll(partyCode, track) {
+    const party = parties.get(partyCode);
+    if (!party || currentTracks.get(partyCode) !== track) {
+        return;
+    }
+    
+    const candidates = getCandidates(tracks, trackHistory.get(partyCode) || [], party.settings)
+        .filter(t => t.track_id !== track.track_id);
+    if (getQueue(partyCode).some(r => candidates.some(t => t.track_id === r.trackId))) {
+        return;
+    }
+    
+    const memberProfiles = getMemberProfiles(partyCode);
+    const ranked = await rankCandidates({ partyCode, storage, tracks, candidates, memberProfiles, phase: getNextPhase(party) });
+    
+    // The track may have ended or been skipped while we were waiting for the database
+    if (currentTracks.get(partyCode) !== track || ranked.length < 2) {
+        return;
+    }
+    
+    polls.set(partyCode, {
+        trackId: track.track_id,
+        candidates: ranked.slice(0, pollSize),
+        ballots: new Map(),
+    });
+    publishPoll(partyCode);
+    log.info('Poll opened', { partyCode, trackIds: ranked.slice(0, pollSize).map(c => c.track.track_id) });
+}
+
+function closePoll(partyCode) {
+    if (polls.delete(partyCode)) {
+        publishPoll(partyCode);
+    }
+}
+
+// Closes the poll and returns the pick for its winner, if it's still allowed to play
+function takePollWinner(partyCode, candidates) {
+    const poll = polls.get(partyCode);
+    if (!poll) {
+        return null;
+    }
+    closePoll(partyCode);
+    
+    const results = tallyBallots(poll)
+        .filter(result => candidates.some(t => t.track_id === result.track.track_id));
+    if (results.length === 0) {
+        return null;
+    }
+    
+    const winner = results[0];
+    return {
+        track: tracks.find(t => t.track_id === winner.track.track_id),
+        strategy: 'poll',
+        score: winner.votes,
+        breakdown: [
+            { code: 'poll-votes', label: 'Votes in the poll', points: winner.votes },
+            {
+                code: 'poll-won',
+                label: `Won against ${results.length - 1} other tracks, with a score of ${winner.score} before the poll`,
+                params: { count: results.length - 1, score: winner.score },
+            },
+        ]
+    };
+}
+
+// Returns the candidates with their votes, the winner first
+function tallyBallots(poll) {
+    const results = poll.candidates.map(({ track, score }) => ({
+        track,
+        score,
+        votes: [...poll.ballots.values()].filter(trackId => trackId === track.track_id).length
+    }));
+    
+    // Candidates are already sorted by score, and sort keeps that order between equal votes
+    return results.sort((a, b) => b.votes - a.votes);
+}
+
+// The open poll as guests see it, or null when there isn't one
+function describePoll(partyCode) {
+    const poll = polls.get(partyCode);
+    if (!poll) {
+        return null;
+    }
+    
+    return {
+        trackId: poll.trackId,
+        candidates: poll.candidates.map(({ track, score }) => ({
+            track_id: track.track_id,
+            title: track.title,
+            artist: track.artist,
+            duration: track.duration,
+            genres: track.genres,
+            score,
+            votes: [...poll.ballots.values()].filter(trackId => trackId === track.track_id).length
+        }))
+    };
+}
+
+function publishPoll(partyCode) {
+    publish(partyCode, 'poll-changed', { poll: describePoll(partyCode) });
+}
+
+// DJ SET PLANS
+//
+// The host can plan the arc of the night as phases, each steering the picks towards
+// its genres and energy for some minutes or tracks. See setPlan.js for how.
+
+function getPlan(request, response) {
+    const party = parties.get(request.params.partyCode);
+    response.json({ plan: party.plan ? describePlan(party.plan, Date.now()) : null });
+}
+
+// Replaces the plan with a new one, which starts from its first phase
+function updatePlan(request, response) {
+    const partyCode = request.params.partyCode;
+    const party = parties.get(partyCode);
+    const { phases, error, code, params } = validatePlan(request.body, genres);
+    
+    if (error) {
+        return response.status(400).json({ error, code, params });
+    }
+    
+    const plan = startPlan(phases, Date.now());
+    
+    storage.parties.setPlan(partyCode, plan)
+    .then(() => {
+        party.plan = plan;
+        publish(partyCode, 'plan-changed', { plan: describePlan(plan, Date.now()) });
+        log.info('Set plan changed', { partyCode, phases: phases.length });
+        response.json({ plan: describePlan(plan, Date.now()) });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to save plan', code: 'server-error' });
+    });
+}
+
+function removePlan(request, response) {
+    const partyCode = request.params.partyCode;
+    const party = parties.get(partyCode);
+    
+    storage.parties.setPlan(partyCode, null)
+    .then(() => {
+        party.plan = null;
+        publish(partyCode, 'plan-changed', { plan: null });
+        log.info('Set plan removed', { partyCode });
+        response.json({ plan: null });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to remove plan', code: 'server-error' });
+    });
+}
+
+// Plays the next few picks through, to show the host where the plan takes the party.
+// Only a rough idea: requests and polls are left out, the votes stay as they are now,
+// and every pick scores like the heuristic (see rankCandidates) without drawing among equals.
+function previewPlan(request, response) {
+    const partyCode = request.params.partyCode;
+    const count = Math.min(20, Math.max(1, parseInt(request.query.count) || 10));
+    
+    simulatePicks(partyCode, count)
+    .then(picks => {
+        response.json({ picks });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to preview plan', code: 'server-error' });
+    });
+}
+
+async function simulatePicks(partyCode, count) {
+    const party = parties.get(partyCode);
+    const currentTrack = currentTracks.get(partyCode);
+    const recentTracks = [...(trackHistory.get(partyCode) || [])];
+    const memberProfiles = getMemberProfiles(partyCode);
+    let plan = party.plan;
+    
+    // The clock runs from the end of the track playing now
+    let clock = Date.now();
+    if (currentTrack) {
+        const elapsed = (currentTrack.pausedAt || Date.now()) - currentTrack.startedAt;
+        clock += Math.max(0, currentTrack.duration - elapsed);
+    }
+    
+    const picks = [];
+    for (let i = 0; i < count; i++) {
+        plan = plan && advancePlan(plan, clock);
+        const phase = plan ? getCurrentPhase(plan) : null;
+        
+        // Nothing can play, see pickNextTrack
+        const candidates = getCandidates(tracks, recentTracks, party.settings);
+        if (candidates.length === 0) {
+            break;
+        }
+        const [best] = await rankCandidates({ partyCode, storage, tracks, candidates, memberProfiles, phase });
+        
+        picks.push({
+            track_id: best.track.track_id,
+            title: best.track.title,
+            artist: best.track.artist,
+            genres: best.track.genres,
+            energy: best.track.energy,
+            startsAt: clock,
+            phase: phase ? phase.name : null,
+            score: best.score,
+            breakdown: best.breakdown
+        });
+        
+        recentTracks.push(best.track.track_id);
+        clock += best.track.duration;
+        plan = plan && countPlannedTrack(plan);
+    }
+    return picks;
+}
+
+// Returns the phase the next pick steers towards, null without a plan
+function getNextPhase(party) {
+    return party.plan ? getCurrentPhase(advancePlan(party.plan, Date.now())) : null;
+}
+
+// Keeps how far the party is into its plan, after a track was picked in it
+function savePlan(partyCode, plan) {
+    const party = parties.get(partyCode);
+    const phaseChanged = party.plan.phaseIndex !== plan.phaseIndex;
+    
+    party.plan = plan;
+    publish(partyCode, 'plan-changed', { plan: describePlan(plan, Date.now()) });
+    if (phaseChanged) {
+        log.info('Set plan phase started', { partyCode, phase: getCurrentPhase(plan).name });
+    }
+    
+    storage.parties.setPlan(partyCode, plan)
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+    });
+}
+
+// GUEST PROFILES
+//
+// A profile is optional: a nickname and a device key (see profiles.js), so votes at one party
+// count towards the guest's taste at the next. A guest links each party session to their profile,
+// and a party without votes yet picks by what the members here with a profile liked before.
+
+function createProfile(request, response) {
+    const { nickname, error, code, params } = validateNickname((request.body || {}).nickname);
+    
+    if (error) {
+        return response.status(400).json({ error, code, params });
+    }
+    
+    const { profileId, deviceKey, keyHash } = createProfileKey();
+    const createdAt = Date.now();
+    
+    storage.profiles.create({ profileId, nickname, keyHash, createdAt })
+    .then(() => {
+        log.info('Profile created', { profileId });
+        response.status(201).json({ profileId, nickname, deviceKey, createdAt: new Date(createdAt).toISOString() });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to create profile', code: 'server-error' });
+    });
+}
+
+function getProfile(request, response) {
+    response.json(describeProfile(request.profile));
+}
+
+function renameProfile(request, response) {
+    const { nickname, error, code, params } = validateNickname((request.body || {}).nickname);
+    
+    if (error) {
+        return response.status(400).json({ error, code, params });
+    }
+    
+    storage.profiles.rename(request.profile.profileId, nickname)
+    .then(() => {
+        response.json(describeProfile({ ...request.profile, nickname }));
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to rename profile', code: 'server-error' });
+    });
+}
+
+// Forgets the profile, its votes stay without it
+function deleteProfile(request, response) {
+    const profileId = request.profile.profileId;
+    
+    storage.profiles.remove(profileId)
+    .then(() => {
+        for (const links of sessionProfiles.values()) {
+            for (const [sessionId, linkedProfileId] of links.entries()) {
+                if (linkedProfileId === profileId) {
+                    links.delete(sessionId);
+                }
+            }
+        }
+        log.info('Profile deleted', { profileId });
+        response.json({ success: true });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to delete profile', code: 'server-error' });
+    });
+}
+
+// Tracks the guest liked more than they disliked, at every party, most recent first
+function getLikedTracks(request, response) {
+    storage.profiles.getLikedTracks(request.profile.profileId)
+    .then(likedTracks => {
+        const result = [];
+        for (const liked of likedTracks) {
+            const track = tracks.find(t => t.track_id === liked.trackId);
+            if (!track) {
+                continue;  // Removed from the catalog since
+            }
+            result.push({
+                track_id: track.track_id,
+                title: track.title,
+                artist: track.artist,
+                duration: track.duration,
+                genres: track.genres,
+                score: liked.score,
+                parties: liked.parties,
+                lastVotedAt: new Date(liked.lastVotedAt).toISOString()
+            });
+        }
+        response.json({ tracks: result });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to load liked tracks', code: 'server-error' });
+    });
+}
+
+// Links the guest's session at the party to their profile, votes cast before included
+function linkProfile(request, response) {
+    const partyCode = request.params.partyCode;
+    const sessionId = request.sessionId;
+    const profileId = request.profile.profileId;
+    
+    storage.profiles.linkSession(partyCode, sessionId, profileId)
+    .then(() => {
+        getSessionProfiles(partyCode).set(sessionId, profileId);
+        response.json(describeProfile(request.profile));
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to link profile', code: 'server-error' });
+    });
+}
+
+function getSessionProfiles(partyCode) {
+    let links = sessionProfiles.get(partyCode);
+    if (!links) {
+        links = new Map();
+        sessionProfiles.set(partyCode, links);
+    }
+    return links;
+}
+
+// Returns the profile ID of the session, or null if it has none
+function getSessionProfile(partyCode, sessionId) {
+    const links = sessionProfiles.get(partyCode);
+    return (links && links.get(sessionId)) || null;
+}
+
+// Returns the profile IDs of the members here now, each once
+function getMemberProfiles(partyCode) {
+    const members = partyMembers.get(partyCode) || new Map();
+    const profileIds = [...members.keys()]
+        .filter(sessionId => isActiveMember(partyCode, sessionId))
+        .map(sessionId => getSessionProfile(partyCode, sessionId))
+        .filter(profileId => profileId !== null);
+    return [...new Set(profileIds)];
+}
+
+function describeProfile(profile) {
+    return {
+        profileId: profile.profileId,
+        nickname: profile.nickname,
+        createdAt: new Date(profile.createdAt).toISOString()
+    };
+}
+
+// WEBHOOKS
+//
+// Hosts can have party events sent to their own URLs, see webhooks.js for what is sent.
+// The secret is only shown when the webhook is added, it's needed to check the signatures.
+
+function getWebhooks(request, response) {
+    response.json({
+        events: webhookEvents,
+        webhooks: getPartyWebhooks(request.params.partyCode).map(describeWebhook)
+    });
+}
+
+function addWebhook(request, response) {
+    const partyCode = request.params.partyCode;
+    const { webhook: input, error, code, params } = validateWebhook(request.body || {});
+    
+    if (error) {
+        return response.status(400).json({ error, code, params });
+    }
+    
+    const webhook = {
+        webhookId: crypto.randomUUID(),
+        partyCode,
+        url: input.url,
+        events: input.events,
+        secret: createWebhookSecret(),
+        createdAt: Date.now()
+    };
+    
+    checkWebhookUrl(webhook.url)
+    .then(({ error, code }) => {
+        if (error) {
+            return response.status(400).json({ error, code });
+        }
+        
+        // Counted after the lookup, so webhooks added while we waited count too
+        const webhooks = getPartyWebhooks(partyCode);
+        if (webhooks.length >= maxWebhooksPerParty) {
+            return response.status(409).json({ error: `A party can have at most ${maxWebhooksPerParty} webhooks`, code: 'too-many-webhooks', params: { max: maxWebhooksPerParty } });
+        }
+        
+        return storage.webhooks.add(webhook)
+        .then(() => {
+            webhooks.push(webhook);
+            log.info('Webhook added', { partyCode, webhookId: webhook.webhookId, events: webhook.events });
+            response.status(201).json({ ...describeWebhook(webhook), secret: webhook.secret });
+        });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to add webhook', code: 'server-error' });
+    });
+}
+
+function removeWebhook(request, response) {
+    const partyCode = request.params.partyCode;
+    const webhookId = request.params.webhookId;
+    const webhooks = getPartyWebhooks(partyCode);
+    
+    if (!webhooks.some(w => w.webhookId === webhookId)) {
+        return response.status(404).json({ error: 'Webhook not found', code: 'webhook-not-found' });
+    }
+    
+    storage.webhooks.remove(partyCode, webhookId)
+    .then(() => {
+        partyWebhooks.set(partyCode, webhooks.filter(w => w.webhookId !== webhookId));
+        log.info('Webhook removed', { partyCode, webhookId });
+        response.json({ success: true });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to remove webhook', code: 'server-error' });
+    });
+}
+
+// The delivery log: every attempt, newest first
+function getWebhookDeliveries(request, response) {
+    const webhook = findWebhook(request.params.partyCode, request.params.webhookId);
+    const limit = Math.min(200, Math.max(1, parseInt(request.query.limit) || 50));
+    
+    if (!webhook) {
+        return response.status(404).json({ error: 'Webhook not found', code: 'webhook-not-found' });
+    }
+    
+    storage.webhooks.getDeliveries(webhook.webhookId, limit)
+    .then(deliveries => {
+        response.json({
+            deliveries: deliveries.map(delivery => ({
+                ...delivery,
+                attemptedAt: new Date(delivery.attemptedAt).toISOString()
+            }))
+        });
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to load deliveries', code: 'server-error' });
+    });
+}
+
+// Sends a ping event, to check the receiver gets it and the signature adds up
+function testWebhook(request, response) {
+    const webhook = findWebhook(request.params.partyCode, request.params.webhookId);
+    
+    if (!webhook) {
+        return response.status(404).json({ error: 'Webhook not found', code: 'webhook-not-found' });
+    }
+    
+    const deliveryId = sendWebhook(storage, webhook, 'ping', { message: 'Hello from NextTrack' });
+    response.status(202).json({ deliveryId });
+}
+
+// Sends the event to every webhook of the party that asked for it
+function notifyWebhooks(partyCode, event, data) {
+    for (const webhook of partyWebhooks.get(partyCode) || []) {
+        if (webhook.events.includes(event)) {
+            sendWebhook(storage, webhook, event, data);
+        }
+    }
+}
+
+function getPartyWebhooks(partyCode) {
+    let webhooks = partyWebhooks.get(partyCode);
+    if (!webhooks) {
+        webhooks = [];
+        partyWebhooks.set(partyCode, webhooks);
+    }
+    return webhooks;
+}
+
+function findWebhook(partyCode, webhookId) {
+    return (partyWebhooks.get(partyCode) || []).find(w => w.webhookId === webhookId) || null;
+}
+
+// Everything about a webhook but its secret
+function describeWebhook(webhook) {
+    return {
+        webhookId: webhook.webhookId,
+        url: webhook.url,
+        events: webhook.events,
+        createdAt: new Date(webhook.createdAt).toISOString()
+    };
+}
+
+// What webhooks are told about a track, e.g. genres and energy for a light controller
+function describeWebhookTrack(track) {
+    return {
+        track_id: track.track_id,
+        title: track.title,
+        artist: track.artist,
+        duration: track.duration,
+        genres: track.genres,
+        tempo: track.tempo,
+        energy: track.energy
+    };
+}
+
+// PLAYBACK LIFECYCLE
+//
+// Each party goes idle → picking → playing → ended → picking → ... and a new track
+// is only ever picked through startNextTrack. While a pick is in flight, everyone
+// asking for a track waits for that same pick, so a party never starts two tracks at once.
+
+// Returns the track playing at the party, picking one first if nothing is playing
+function ensureTrack(partyCode) {
+    const track = currentTracks.get(partyCode);
+    if (track) {
+        return Promise.resolve(track);
+    }
+    return startNextTrack(partyCode);
+}
+
+// Picks and starts the next track, or returns the pick already in flight.
+// Parameters:
+// - partyCode: a string identifying the party
+// - skipped: set when the previous track was cut short, see pickNextTrack
+function startNextTrack(partyCode, skipped = null) {
+    const inFlight = inFlightPicks.get(partyCode);
+    if (inFlight) {
+        return inFlight;
+    }
+    
+    playbackStates.set(partyCode, 'picking');
+    
+    const pick = pickNextTrack(partyCode, skipped)
+    .then(track => {
+        // No track means the party ended while we were picking
+        if (!track) {
+            playbackStates.delete(partyCode);
+        } else if (suspendedParties.has(partyCode)) {
+            // The host skipped while nobody was here, so a track plays after all. Waking up lets
+            // checkIdle suspend the party again, if still nobody comes.
+            wakeParty(partyCode);
+        } else {
+            playbackStates.set(partyCode, 'playing');
+        }
+        return track;
+    })
+    .catch(error => {
+        playbackStates.set(partyCode, 'idle');
+        throw error;
+    })
+    .finally(() => {
+        inFlightPicks.delete(partyCode);
+    });
+    
+    inFlightPicks.set(partyCode, pick);
+    return pick;
+}
+
+// Ends the current track, without starting the next one
+function endCurrentTrack(partyCode) {
+    clearTimeout(pollTimers.get(partyCode));
+    pollTimers.delete(partyCode);
+    stop(partyCode);
+    currentTracks.delete(partyCode);
+    playbackStates.set(partyCode, 'ended');
+}
+
+// TRACK SELECTION ALGORITHM
+
+// Only call this through startNextTrack, which makes sure only one pick runs at a time.
+// Parameters:
+// - partyCode: a string identifying the party
+// - skipped: set when the previous track was cut short, { title, reason }, so guests can be told why
+async function pickNextTrack(partyCode, skipped = null) {
+    const party = parties.get(partyCode);
+    if (!party) {
+        return null;
+    }
+    
+    let recentTracks = trackHistory.get(partyCode) || [];
+    
+    // getCandidates already lets tracks play again when that's all there is. Nothing left means no track
+    // in the catalog meets the settings any more, e.g. the admin removed some. The settings still hold
+    // then, so no explicit track plays at a party that turned them off.
+    let candidates = getCandidates(tracks, recentTracks, party.settings);
+    if (candidates.length === 0) {
+        log.warn('No tracks match the party settings', { partyCode });
+        throw noPlayableTracksError();
+    }
+    
+    // The DJ set plan moves on first if its phase has run out, so the pick steers towards the new one
+    const originalPlan = party.plan;
+    const plan = originalPlan && advancePlan(originalPlan, Date.now());
+    
+    // The winner of a next-track poll comes first, then songs guests asked for,
+    // and only then does the party's strategy get to pick
+    let pick = takePollWinner(partyCode, candidates) || takeNextRequest(partyCode, candidates);
+    if (!pick) {
+        const memberProfiles = getMemberProfiles(partyCode);
+        const phase = plan ? getCurrentPhase(plan) : null;
+        pick = await strategies[party.strategy].pick({ partyCode, storage, tracks, candidates, memberProfiles, phase });
+        pick.strategy = party.strategy;
+    }
+    
+    // The party may have ended while we were waiting for the database
+    if (!parties.has(partyCode)) {
+        return null;
+    }
+    trackPicks.inc({ strategy: pick.strategy });
+    
+    // Every track counts towards the phase, also requests and poll winners.
+    // Unless the host changed the plan while we were waiting, then the new one starts fresh.
+    if (plan && party.plan === originalPlan) {
+        savePlan(partyCode, countPlannedTrack(plan));
+    }
+    
+    const bestTrack = pick.track;
+    const explanation = {
+        track_id: bestTrack.track_id,
+        title: bestTrack.title,
+        artist: bestTrack.artist,
+        strategy: pick.strategy,
+        strategyLabel: pickLabels[pick.strategy] || strategies[pick.strategy].label,
+        score: pick.score,
+        breakdown: pick.breakdown
+    };
+    pickExplanations.set(partyCode, explanation);
+    
+    log.info('Playing', { partyCode, trackId: bestTrack.track_id, title: bestTrack.title, genres: bestTrack.genres, strategy: pick.strategy, score: pick.score });
+    
+    recentTracks.push(bestTrack.track_id);
+    if (recentTracks.length > maxHistorySize) {
+        recentTracks = recentTracks.slice(-maxHistorySize);
+    }
+    trackHistory.set(partyCode, recentTracks);
+    
+    const startedAt = Date.now();
+    const trackWithTimestamp = {
+        ...bestTrack,
+        startedAt: startedAt,
+        pausedAt: null,
+        skipped: skipped
+    };
+    
+    currentTracks.set(partyCode, trackWithTimestamp);
+    publish(partyCode, 'track-changed', withServerTime(trackWithTimestamp));
+    publishVoteCounts(partyCode, bestTrack.track_id);
+    publishReactionCounts(partyCode, bestTrack.track_id);
+    notifyWebhooks(partyCode, 'track-started', {
+        track: describeWebhookTrack(bestTrack),
+        strategy: pick.strategy,
+        startedAt: new Date(startedAt).toISOString()
+    });
+    
+    startPlayer(partyCode, trackWithTimestamp);
+    await savePlayback(partyCode, trackWithTimestamp, explanation);
+    
+    return trackWithTimestamp;
+}
+
+// Ends the current track early and starts the next one.
+// Parameters:
+// - partyCode: a string identifying the party
+// - reason: 'host' when the host pressed skip, 'votes' when the room downvoted it
+// - votedOut: for 'votes', the track the room downvoted; it's only skipped while it's still playing
+function skipCurrentTrack(partyCode, reason, votedOut = null) {
+    // A pick is on its way, e.g. an earlier skip's. Wait for it and skip the track it picked,
+    // otherwise this skip would answer with that track and leave the party without one.
+    const inFlight = inFlightPicks.get(partyCode);
+    if (inFlight) {
+        return inFlight.then(() => skipCurrentTrack(partyCode, reason, votedOut));
+    }
+    
+    const track = currentTracks.get(partyCode);
+    
+    // Nothing playing yet, so start the first track
+    if (!track) {
+        return ensureTrack(partyCode);
+    }
+    
+    // Another skip got to it first
+    if (votedOut && track !== votedOut) {
+        return Promise.resolve(track);
+    }
+    
+    endCurrentTrack(partyCode);
+    log.info('Skipped', { partyCode, trackId: track.track_id, title: track.title, reason });
+    notifyWebhooks(partyCode, 'track-skipped', { track: describeWebhookTrack(track), reason });
+    
+    return startNextTrack(partyCode, { title: track.title, reason: reason });
+}
+
+// Skips the track once enough of the active members have downvoted it
+function skipIfVotedOut(partyCode, track, downvotes) {
+    // Only if it's still playing, another vote may have skipped it already
+    if (currentTracks.get(partyCode) !== track) {
+        return;
+    }
+    
+    const activeMembers = Math.max(1, countActiveMembers(partyCode));
+    const neededDownvotes = Math.ceil(activeMembers * skipVoteShare);
+    
+    if (downvotes >= neededDownvotes) {
+        notifyWebhooks(partyCode, 'vote-threshold-reached', {
+            track: describeWebhookTrack(track),
+            downvotes,
+            activeMembers,
+            neededDownvotes
+        });
+        skipCurrentTrack(partyCode, 'votes', track)
+        .catch(error => {
+            log.error('Failed to pick a track', { partyCode, error: error.message });
+        });
+    }
+}
+
+function startPlayer(partyCode, track) {
+    play(partyCode, track.track_id, track.duration, track.startedAt);
+    
+    if (track.pausedAt) {
+        pause(partyCode, track.pausedAt);
+    }
+    schedulePoll(partyCode, track);
+}
+
+// PLAYER EVENTS
+
+function handleTrackEnded(partyCode, trackId) {
+    const track = currentTracks.get(partyCode);
+    if (!track || track.track_id !== trackId) {
+        return;
+    }
+    
+    endCurrentTrack(partyCode);
+    notifyWebhooks(partyCode, 'track-ended', { track: describeWebhookTrack(track) });
+    startNextTrack(partyCode)
+    .catch(error => {
+        log.error('Failed to pick a track', { partyCode, error: error.message });
+    });
+}
+
+// Keeps the current track in step with the player after a pause, resume or seek
+function handlePlayerStateChanged(partyCode, state) {
+    const track = currentTracks.get(partyCode);
+    if (!track || !state || track.track_id !== state.trackId) {
+        return;
+    }
+    
+    if (track.startedAt === state.started && track.pausedAt === state.pausedAt) {
+        return;
+    }
+    
+    track.startedAt = state.started;
+    track.pausedAt = state.pausedAt;
+    publish(partyCode, 'track-changed', withServerTime(track));
+    savePlaybackTimes(partyCode, track);
+    schedulePoll(partyCode, track);
+}
+
+// PERSISTENCE (So a restart doesn't end every party)
+
+// Saves a newly started track as now playing and adds it to the history, with why it was picked
+async function savePlayback(partyCode, track, explanation) {
+    try {
+        await storage.playback.start(partyCode, track.track_id, track.startedAt, explanation);
+    } catch (error) {
+        // The party keeps playing even if we couldn't save it
+        log.error('Database error', { error: error.message });
+    }
+}
+
+// Saves the times of the track that is playing after a pause, resume or seek
+function savePlaybackTimes(partyCode, track) {
+    storage.playback.setTimes(partyCode, track.startedAt, track.pausedAt)
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+    });
+}
+
+// Loads all running parties from storage when the server starts, and carries on
+// playing their tracks from where they were. A track that should have ended
+// while the server was down ends right away, and the next one is picked.
+async function restoreParties() {
+    for (const saved of await storage.parties.getRunning()) {
+        parties.set(saved.partyCode, {
+            partyCode: saved.partyCode,
+            hostToken: saved.hostToken,
+            createdAt: saved.createdAt,
+            removedSessions: new Set(saved.removedSessions),
+            strategy: Object.hasOwn(strategies, saved.strategy) ? saved.strategy : defaultStrategy,
+            settings: { ...defaultSettings, ...saved.settings },
+            plan: saved.plan || null,
+        });
+        
+        if (saved.suspendedAt) {
+            suspendedParties.set(saved.partyCode, saved.suspendedAt);
+        }
+    }
+    
+    // Only the last few tracks of each party are needed to avoid repeats.
+    // Here and below, only parties that are still running are restored, not ended or expired ones.
+    for (const entry of await storage.playback.getRecentHistory(maxHistorySize)) {
+        if (!parties.has(entry.partyCode)) {
+            continue;
+        }
+        
+        const recentTracks = trackHistory.get(entry.partyCode) || [];
+        recentTracks.push(entry.trackId);
+        trackHistory.set(entry.partyCode, recentTracks);
+        
+        // Entries are oldest first, so the last explanation is for the track playing now
+        if (entry.explanation) {
+            pickExplanations.set(entry.partyCode, entry.explanation);
+        }
+    }
+    
+    for (const playing of await storage.playback.getNowPlaying()) {
+        const track = tracks.find(t => t.track_id === playing.trackId);
+        if (!parties.has(playing.partyCode)) {
+            continue;
+        }
+        if (!track) {
+            continue;  // Track was removed from the catalog, a new one is picked on the next request
+        }
+        
+        const trackWithTimestamp = {
+            ...track,
+            startedAt: playing.startedAt,
+            pausedAt: playing.pausedAt
+        };
+        
+        currentTracks.set(playing.partyCode, trackWithTimestamp);
+        playbackStates.set(playing.partyCode, 'playing');
+        startPlayer(playing.partyCode, trackWithTimestamp);
+    }
+    
+    // Speakers are simulated, so every party just gets its default one back.
+    // Guests get a new chance to come back before a party is suspended again.
+    for (const partyCode of parties.keys()) {
+        registerDevice(partyCode, 'Main speaker');
+        lastActivity.set(partyCode, Date.now());
+        
+        if (suspendedParties.has(partyCode)) {
+            playbackStates.set(partyCode, 'suspended');
+        }
+    }
+    
+    for (const link of await storage.profiles.getSessionLinks()) {
+        getSessionProfiles(link.partyCode).set(link.sessionId, link.profileId);
+    }
+    
+    for (const webhook of await storage.webhooks.getAll()) {
+        getPartyWebhooks(webhook.partyCode).push(webhook);
+    }
+    
+    for (const saved of await storage.requests.getAll()) {
+        if (!parties.has(saved.partyCode) || !tracks.some(t => t.track_id === saved.trackId)) {
+            continue;
+        }
+        getQueue(saved.partyCode).push({
+            trackId: saved.trackId,
+            sessionId: saved.sessionId,
+            requesterName: saved.requesterName,
+            requestedAt: saved.requestedAt,
+            upvoters: new Set(saved.upvoters),
+        });
+    }
+    
+    log.info('Restored parties', { parties: parties.size, playing: currentTracks.size });
+}
+
+// LIVE UPDATES
+
+function countVotes(partyCode, trackId) {
+    return storage.votes.count(partyCode, trackId);
+}
+
+function publishVoteCounts(partyCode, trackId) {
+    countVotes(partyCode, trackId)
+    .then(counts => {
+        publish(partyCode, 'vote-counts-changed', counts);
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+    });
+}
+
+function countActiveMembers(partyCode) {
+    const members = partyMembers.get(partyCode);
+    
+    if (!members) {
+        return 0;
+    }
+    
+    const now = Date.now();
+    
+    let activeCount = 0;
+    for (const [sessionId, lastSeen] of members.entries()) {
+        if (now - lastSeen < memberTimeout) {
+            activeCount++;
+        } else {
+            members.delete(sessionId);
+            notifyWebhooks(partyCode, 'member-left', { guestId: getGuestId(sessionId), reason: 'timeout' });
+        }
+    }
+    
+    return activeCount;
+}
+
+// Like countActiveMembers, but leaves the members who timed out for it to drop,
+// so reading GET /metrics doesn't send member-left webhooks
+function peekActiveMembers(partyCode) {
+    const members = partyMembers.get(partyCode);
+    
+    if (!members) {
+        return 0;
+    }
+    
+    const now = Date.now();
+    return [...members.values()].filter(lastSeen => now - lastSeen < memberTimeout).length;
+}
+
+function isActiveMember(partyCode, sessionId) {
+    const members = partyMembers.get(partyCode);
+    const lastSeen = members && members.get(sessionId);
+    return Boolean(lastSeen) && Date.now() - lastSeen < memberTimeout;
+}
+
+// Only publishes when the count is different from what clients were last told.
+// Every change is also saved, so the recap can show how busy the party got.
+function publishMemberCount(partyCode) {
+    const count = countActiveMembers(partyCode);
+    if (publishedMemberCounts.get(partyCode) === count) {
+        return;
+    }
+    publishedMemberCounts.set(partyCode, count);
+    publish(partyCode, 'member-count-changed', { count });
+    
+    storage.members.recordCount(partyCode, count)
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+    });
+}
+
+// SHUTTING DOWN
+
+// Stops taking requests, lets the open ones finish and waits for the last storage
+// calls, then exits. Guests' browsers reconnect by themselves once the server is back
+// (or to another one), and restoreParties picks up where this one left off.
+async function shutDown(signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    log.info('Shutting down', { signal });
+    
+    setTimeout(() => {
+        log.error('Shutting down took too long, exiting anyway', { timeoutMs: shutdownTimeout });
+        process.exit(1);
+    }, shutdownTimeout).unref();
+    
+    clearInterval(idleCheck);
+    
+    // Event streams stay open until we end them, so close waits for the rest
+    const closed = new Promise(resolve => httpServer.close(() => resolve()));
+    closeAllStreams();
+    await closed;
+    
+    while (storage.callsInProgress() > 0) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    await storage.close();
+    
+    log.info('Shut down');
+    process.exit(0);
+}
+
+// HELPER FUNCTIONS
+
+// Saves a new party under a random 4-character code that was never used before
+// (ended parties keep their code, so their recap stays at the same address).
+// Returns the code.
+async function insertParty(party) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const partyCode = crypto.randomUUID().substring(0, 4);
+        if (await storage.parties.insert({ ...party, partyCode })) {
+            return partyCode;
+        }
+    }
+    throw new Error('No free party code found');
+}
+
+// Thrown by pickNextTrack when no track in the catalog may play at the party.
+// The handlers answer it with its code, like the errors they find themselves.
+function noPlayableTracksError() {
+    const error = new Error('No tracks in the catalog can play with these party settings');
+    error.code = 'no-playable-tracks';
+    return error;
+}
+
+// Adds the server's clock to a track sent to clients, so they can work out
+// how far into the track we are even when their own clock is off
+function withServerTime(track) {
+    return { ...track, serverNow: Date.now() };
+}
+
+async function loadTracks() {
+    const result = await storage.tracks.getAll();
+    log.info('Loaded tracks', { tracks: result.length, storage: storage.name });
+    return result;
+}
+
+function loadGenres() {
+    return storage.genres.getAll();
+}
+
+// Stops requests for parties that were never created (or have ended)
+function requireParty(request, response, next) {
+    if (!parties.has(request.params.partyCode)) {
+        return response.status(404).json({ error: 'Party not found', code: 'party-not-found' });
+    }
+    next();
+}
+
+// Stops requests that don't carry a session token from joinParty as "X-Session-Token: <token>",
+// and makes the session ID available as request.sessionId
+function requireSession(request, response, next) {
+    const partyCode = request.params.partyCode;
+    const sessionId = verifySession(partyCode, request.get('X-Session-Token'));
+    
+    if (!sessionId) {
+        return response.status(401).json({ error: 'Join the party first', code: 'not-joined' });
+    }
+    
+    if (parties.get(partyCode).removedSessions.has(sessionId)) {
+        return response.status(403).json({ error: 'You were removed from this party', code: 'removed-from-party' });
+    }
+    
+    request.sessionId = sessionId;
+    next();
+}
+
+// Looks up the profile of the device key sent as X-Profile-Key, see profiles.js
+function requireProfile(request, response, next) {
+    const deviceKey = request.get('X-Profile-Key');
+    
+    if (!deviceKey) {
+        return response.status(401).json({ error: 'Make a profile first', code: 'no-profile' });
+    }
+    
+    storage.profiles.getByKeyHash(hashProfileKey(deviceKey))
+    .then(profile => {
+        if (!profile) {
+            return response.status(401).json({ error: 'Unknown profile', code: 'unknown-profile' });
+        }
+        request.profile = profile;
+        next();
+    })
+    .catch(error => {
+        log.error('Database error', { error: error.message });
+        response.status(500).json({ error: 'Failed to load profile', code: 'server-error' });
+    });
+}
+
+// Stops requests that don't carry the host token of the party as "Authorization: Bearer <token>"
+function requireHost(request, response, next) {
+    const party = parties.get(request.params.partyCode);
+    const header = request.get('Authorization') || '';
+    const token = Buffer.from(header.replace(/^Bearer /, ''));
+    const hostToken = Buffer.from(party.hostToken);
+    
+    if (token.length !== hostToken.length || !crypto.timingSafeEqual(token, hostToken)) {
+        return response.status(403).json({ error: 'Only the host can do that', code: 'not-host' });
+    }
+    next();
+}
+
+// Stops requests that don't carry the admin token as "Authorization: Bearer <token>"
+function requireAdmin(request, response, next) {
+    if (!adminToken) {
+        return response.status(403).json({ error: 'Admin endpoints are turned off', code: 'admin-disabled' });
+    }
+    
+    const header = request.get('Authorization') || '';
+    const token = Buffer.from(header.replace(/^Bearer /, ''));
+    const expected = Buffer.from(adminToken);
+    
+    if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+        return response.status(403).json({ error: 'Only an admin can do that', code: 'not-admin' });
+    }
+    next();
+}
+
+// Gives every request an ID, taken from the X-Request-Id header if a proxy set one,
+// sends it back in that header and adds it to every log line written for the request.
+// The request itself is logged when it's done (for event streams, when the guest leaves).
+function logRequests(request, response, next) {
+    const header = request.get('X-Request-Id');
+    const requestId = header && /^[\w.:-]{1,128}$/.test(header) ? header : crypto.randomUUID();
+    const start = process.hrtime.bigint();
+    
+    response.set('X-Request-Id', requestId);
+    response.on('close', () => {
+        log.info('Request', {
+            requestId,
+            method: request.method,
+            url: request.originalUrl,
+            status: response.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+        });
+    });
+    
+    withRequestId(requestId, next);
+}
+
+// Votes older than a minute no longer count for nexttrack_votes_per_minute
+function forgetOldVoteTimes() {
+    const minuteAgo = Date.now() - 60000;
+    while (recentVoteTimes.length > 0 && recentVoteTimes[0] < minuteAgo) {
+        recentVoteTimes.shift();
+    }
 }
\ No newline at end of file
@@ -0,0 +1,55 @@
+// This module hands out guest sessions and checks them.
+//
+// A guest gets a session when they join a party. The session token is the session ID
+// plus a signature, so a guest can't make up session IDs or use one from another party.
+// Set SESSION_SECRET in .env, or tokens stop working when the server restarts.
+
+import crypto from 'crypto';
+import { log } from './log.js';
+
+let secret = process.env.SESSION_SECRET;
+if (!secret) {
+    log.warn('SESSION_SECRET is not set, guests will have to rejoin after a restart');
+    secret = crypto.randomBytes(32).toString('hex');
+}
+
+// Call this function when a guest joins a party.
+// Returns { sessionId, token, guestId }: the token goes to the guest, and the guestId is
+// what others (like the host) see instead of the session ID
+export function createSession(partyCode) {
+    const sessionId = crypto.randomUUID();
+    return {
+        sessionId,
+        token: `${sessionId}.${sign(partyCode, sessionId)}`,
+        guestId: getGuestId(sessionId),
+    };
+}
+
+// Call this function to check a token sent by a guest.
+// Returns the session ID, or null if the token isn't valid for this party
+export function verifySession(partyCode, token) {
+    if (typeof token !== 'string') {
+        return null;
+    }
+
+    const [sessionId, signature] = token.split('.');
+    if (!sessionId || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(partyCode, sessionId));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return sessionId;
+}
+
+// A short ID for a session that can be shown to others without giving the session away
+export function getGuestId(sessionId) {
+    return crypto.createHmac('sha256', secret).update(`guest:${sessionId}`).digest('base64url').substring(0, 12);
+}
+
+function sign(partyCode, sessionId) {
+    return crypto.createHmac('sha256', secret).update(`${partyCode}:${sessionId}`).digest('base64url');
+}
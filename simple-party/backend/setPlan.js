@@ -0,0 +1,175 @@
+// This module contains the DJ set plan a host can give their party, so the night has an arc:
+// e.g. chill while people arrive, party genres and high energy at the peak, then winding down.
+//
+// A plan is a list of phases, played in order. Each phase has:
+// - name: shown to the guests, e.g. "Warm up"
+// - minutes or tracks: how long the phase lasts, in minutes or in tracks.
+//   The last phase may have neither, and then lasts until the party ends.
+// - genres: the genres to prefer, an empty list prefers none
+// - energy: the energy to aim for, from 0 (calm) to 1 (intense), or null to not mind
+// - strength: how much the phase counts against the votes, from 0 to 10 points
+//
+// The strategies still score the tracks on votes; a track that fits the phase gets up to
+// strength points for its genre and strength points for its energy on top (see scorePhase).
+//
+// A saved plan also remembers how far the party is into it: phaseIndex, phaseStartedAt and
+// phaseTracks. A phase that runs out is saved as over when the next track is picked, but a phase
+// of some minutes is over on the minute, so describePlan goes by the clock in between.
+
+export const maxPhases = 10;
+export const maxStrength = 10;
+
+const defaultStrength = 5;
+
+// Energy further than this from the phase's aim gets no points
+const energyRange = 0.4;
+
+// Call this function to check a plan sent by a host.
+// Parameters:
+// - input: { phases }, see the top of this module
+// - genres: the genres in the catalog, as loaded from the genres table
+// Returns { phases } with the checked phases, or { error, code, params } with a message for the host
+export function validatePlan(input, genres) {
+    if (!input || !Array.isArray(input.phases) || input.phases.length === 0) {
+        return { error: 'A plan needs a list of phases', code: 'plan-needs-phases' };
+    }
+    if (input.phases.length > maxPhases) {
+        return { error: `A plan can have at most ${maxPhases} phases`, code: 'too-many-phases', params: { max: maxPhases } };
+    }
+
+    const phases = [];
+    for (const [index, phase] of input.phases.entries()) {
+        const number = index + 1;
+        const isLast = index === input.phases.length - 1;
+
+        if (!phase || typeof phase.name !== 'string' || phase.name.trim().length === 0 || phase.name.trim().length > 40) {
+            return { error: `Phase ${number} needs a name of up to 40 characters`, code: 'invalid-phase-name', params: { phase: number, max: 40 } };
+        }
+
+        const minutes = phase.minutes ?? null;
+        const trackCount = phase.tracks ?? null;
+        if (minutes !== null && trackCount !== null) {
+            return { error: `Phase ${number} can last some minutes or some tracks, not both`, code: 'phase-length-twice', params: { phase: number } };
+        }
+        if (minutes === null && trackCount === null && !isLast) {
+            return { error: `Phase ${number} needs a length in minutes or tracks, only the last phase can go on until the end`, code: 'phase-length-missing', params: { phase: number } };
+        }
+        if (minutes !== null && !(Number.isInteger(minutes) && minutes > 0 && minutes <= 24 * 60)) {
+            return { error: `Phase ${number} must last a whole number of minutes, up to a day`, code: 'invalid-phase-minutes', params: { phase: number } };
+        }
+        if (trackCount !== null && !(Number.isInteger(trackCount) && trackCount > 0 && trackCount <= 500)) {
+            return { error: `Phase ${number} must last a whole number of tracks, up to 500`, code: 'invalid-phase-tracks', params: { phase: number, max: 500 } };
+        }
+
+        const phaseGenres = phase.genres ?? [];
+        if (!Array.isArray(phaseGenres) || phaseGenres.some(g => !genres.some(genre => genre.genre === g))) {
+            return { error: `The genres of phase ${number} must be a list of known genres`, code: 'invalid-phase-genres', params: { phase: number } };
+        }
+
+        const energy = phase.energy ?? null;
+        if (energy !== null && !(typeof energy === 'number' && energy >= 0 && energy <= 1)) {
+            return { error: `The energy of phase ${number} must be from 0 to 1, or empty to not mind`, code: 'invalid-phase-energy', params: { phase: number } };
+        }
+
+        const strength = phase.strength ?? defaultStrength;
+        if (!(typeof strength === 'number' && strength >= 0 && strength <= maxStrength)) {
+            return { error: `The strength of phase ${number} must be from 0 to ${maxStrength}`, code: 'invalid-phase-strength', params: { phase: number, max: maxStrength } };
+        }
+
+        phases.push({
+            name: phase.name.trim(),
+            minutes,
+            tracks: trackCount,
+            genres: [...new Set(phaseGenres)],
+            energy,
+            strength,
+        });
+    }
+
+    return { phases };
+}
+
+// Call this function to start a plan from its first phase
+export function startPlan(phases, now) {
+    return { phases, startedAt: now, phaseIndex: 0, phaseStartedAt: now, phaseTracks: 0 };
+}
+
+// Call this function before picking a track, to move on from phases that have run out.
+// Returns the plan as it is for the next pick, the same object if nothing changed.
+export function advancePlan(plan, now) {
+    let advanced = plan;
+    while (isPhaseOver(advanced, now)) {
+        // A phase of some minutes ends when they are up, one of some tracks when its last track was picked
+        const phase = getCurrentPhase(advanced);
+        const endedAt = phase.minutes !== null ? advanced.phaseStartedAt + phase.minutes * 60 * 1000 : now;
+        advanced = { ...advanced, phaseIndex: advanced.phaseIndex + 1, phaseStartedAt: endedAt, phaseTracks: 0 };
+    }
+    return advanced;
+}
+
+// Call this function after a track was picked in the current phase
+export function countPlannedTrack(plan) {
+    return { ...plan, phaseTracks: plan.phaseTracks + 1 };
+}
+
+export function getCurrentPhase(plan) {
+    return plan.phases[plan.phaseIndex];
+}
+
+// Returns the points a track gets for fitting a phase, as parts of a breakdown (see strategies.js)
+export function scorePhase(track, phase) {
+    const breakdown = [];
+
+    if (phase.genres.length > 0) {
+        const fits = track.genres.some(genre => phase.genres.includes(genre));
+        breakdown.push({ code: 'phase-genre', label: `Genre fits the "${phase.name}" phase`, params: { phase: phase.name }, points: fits ? phase.strength : 0 });
+    }
+
+    if (phase.energy !== null) {
+        let points = 0;
+        if (track.energy !== null) {
+            const closeness = Math.max(0, 1 - Math.abs(track.energy - phase.energy) / energyRange);
+            points = Math.round(phase.strength * closeness * 10) / 10;
+        }
+        breakdown.push({ code: 'phase-energy', label: `Energy fits the "${phase.name}" phase`, params: { phase: phase.name }, points });
+    }
+
+    return breakdown;
+}
+
+// Returns what the party page shows about the plan: the phase now, how long it has left, and the next one.
+// The phase is the one at the time given, also when its minutes ran out since the last pick.
+export function describePlan(savedPlan, now) {
+    const plan = advancePlan(savedPlan, now);
+    const phase = getCurrentPhase(plan);
+    const next = plan.phases[plan.phaseIndex + 1];
+
+    return {
+        phases: plan.phases,
+        startedAt: plan.startedAt,
+        current: {
+            index: plan.phaseIndex,
+            name: phase.name,
+            genres: phase.genres,
+            energy: phase.energy,
+            startedAt: plan.phaseStartedAt,
+            endsAt: next && phase.minutes !== null ? plan.phaseStartedAt + phase.minutes * 60 * 1000 : null,
+            tracksLeft: next && phase.tracks !== null ? Math.max(0, phase.tracks - plan.phaseTracks) : null,
+        },
+        next: next ? next.name : null,
+    };
+}
+
+// HELPER FUNCTIONS
+
+// The last phase is never over, it goes on until the party ends
+function isPhaseOver(plan, now) {
+    if (plan.phaseIndex >= plan.phases.length - 1) {
+        return false;
+    }
+    const phase = getCurrentPhase(plan);
+    if (phase.minutes !== null) {
+        return now - plan.phaseStartedAt >= phase.minutes * 60 * 1000;
+    }
+    return plan.phaseTracks >= phase.tracks;
+}
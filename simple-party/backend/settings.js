@@ -0,0 +1,109 @@
+// This module contains the rules a host can set for their party, and how tracks are checked against them.
+//
+// Settings:
+// - allowedGenres: only tracks with one of these genres are played, an empty list allows all
+// - minDuration, maxDuration: shortest and longest track allowed in milliseconds, null for no limit
+// - allowExplicit: false leaves out tracks marked explicit
+// - historySize: a track isn't played again until this many other tracks have played
+// - artistSpacing: an artist isn't played again until this many other tracks have played
+// - nextTrackPoll: near the end of each track, guests vote on a few candidates for the next one
+
+export const defaultSettings = {
+    allowedGenres: [],
+    minDuration: null,
+    maxDuration: null,
+    allowExplicit: true,
+    historySize: 5,
+    artistSpacing: 0,
+    nextTrackPoll: false,
+};
+
+// How far back the no-repeat rules can look
+export const maxHistorySize = 50;
+
+// Call this function to check settings sent by a host.
+// Parameters:
+// - input: the settings to check, only the ones that change need to be there
+// - current: the settings the party has now
+// - genres: the genres in the catalog, as loaded from the genres table
+// Returns { settings } with the complete new settings, or { error, code, params } with a message for the host
+export function validateSettings(input, current, genres) {
+    const settings = { ...current };
+
+    if (input.allowedGenres !== undefined) {
+        if (!Array.isArray(input.allowedGenres) || input.allowedGenres.some(g => !genres.some(genre => genre.genre === g))) {
+            return { error: 'Allowed genres must be a list of known genres', code: 'invalid-genres' };
+        }
+        settings.allowedGenres = [...new Set(input.allowedGenres)];
+    }
+
+    for (const key of ['minDuration', 'maxDuration']) {
+        if (input[key] !== undefined) {
+            if (input[key] !== null && !(Number.isInteger(input[key]) && input[key] > 0)) {
+                return { error: 'Track lengths must be a number of milliseconds, or empty for no limit', code: 'invalid-track-length' };
+            }
+            settings[key] = input[key];
+        }
+    }
+
+    if (settings.minDuration !== null && settings.maxDuration !== null && settings.minDuration > settings.maxDuration) {
+        return { error: 'The shortest track length is longer than the longest', code: 'track-lengths-reversed' };
+    }
+
+    if (input.allowExplicit !== undefined) {
+        if (typeof input.allowExplicit !== 'boolean') {
+            return { error: 'Allow explicit must be true or false', code: 'invalid-allow-explicit' };
+        }
+        settings.allowExplicit = input.allowExplicit;
+    }
+
+    if (input.nextTrackPoll !== undefined) {
+        if (typeof input.nextTrackPoll !== 'boolean') {
+            return { error: 'Next track poll must be true or false', code: 'invalid-next-track-poll' };
+        }
+        settings.nextTrackPoll = input.nextTrackPoll;
+    }
+
+    for (const key of ['historySize', 'artistSpacing']) {
+        if (input[key] !== undefined) {
+            if (!Number.isInteger(input[key]) || input[key] < 0 || input[key] > maxHistorySize) {
+                return { error: `No-repeat windows must be a whole number from 0 to ${maxHistorySize}`, code: 'invalid-no-repeat', params: { max: maxHistorySize } };
+            }
+            settings[key] = input[key];
+        }
+    }
+
+    return { settings };
+}
+
+// Returns true if the track may be played at a party with these settings
+export function isTrackAllowed(track, settings) {
+    if (settings.allowedGenres.length > 0 && !track.genres.some(genre => settings.allowedGenres.includes(genre))) {
+        return false;
+    }
+    if (settings.minDuration !== null && track.duration < settings.minDuration) {
+        return false;
+    }
+    if (settings.maxDuration !== null && track.duration > settings.maxDuration) {
+        return false;
+    }
+    if (!settings.allowExplicit && track.explicit) {
+        return false;
+    }
+    return true;
+}
+
+// Returns the tracks that may be played next, given the IDs of the tracks played recently (oldest first)
+export function getCandidates(tracks, recentTrackIds, settings) {
+    const allowed = tracks.filter(t => isTrackAllowed(t, settings));
+
+    const recentIds = settings.historySize > 0 ? recentTrackIds.slice(-settings.historySize) : [];
+    const recentArtists = settings.artistSpacing > 0
+        ? recentTrackIds.slice(-settings.artistSpacing).map(id => (tracks.find(t => t.track_id === id) || {}).artist)
+        : [];
+
+    const candidates = allowed.filter(t => !recentIds.includes(t.track_id) && !recentArtists.includes(t.artist));
+
+    // A small catalog can run out of tracks that follow every rule, and then repeats are better than silence
+    return candidates.length > 0 ? candidates : allowed;
+}
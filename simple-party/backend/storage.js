@@ -0,0 +1,78 @@
+// This module picks where the server keeps its data, set with STORAGE in .env:
+// - postgres: the database set up with PG_HOST and friends (see db/connect.js)
+// - memory: nothing is saved, for demos and trying things out without a database
+// Without STORAGE, Postgres is used if PG_HOST is set, and memory otherwise.
+//
+// Both keep the same groups of functions, all of them async:
+// - tracks: getAll, save, remove
+// - genres: getAll
+// - parties: insert, get, getRunning, setSettings, setPlan, setStrategy, setSuspendedAt, removeSession, end
+// - playback: start, setTimes, getNowPlaying, getRecentHistory, getHistory
+// - requests: add, upvote, remove, getAll
+// - votes: record, removeParty, get, count, getTallies, getScores, getRecentScores, getScoresEverywhere, getProfileScores, getTimeline
+// - reactions: record, count, getTallies, removeParty
+// - messages: add, remove, getRecent, removeParty
+// - members: recordCount, getPeakCount
+// - profiles: create, getByKeyHash, rename, remove, linkSession, getSessionLinks, getLikedTracks
+// - webhooks: add, getAll, isActive, remove, recordDelivery, getDeliveries
+// - ping: throws if the data can't be reached, for GET /readyz
+// - close: lets go of the connections when the server shuts down
+// Timestamps go in and come out as milliseconds, and track IDs as strings.
+//
+// createStorage times every call for GET /metrics, and adds callsInProgress
+// so shutting down can wait for the last writes.
+
+import { createPostgresStorage } from './postgresStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+import { histogram } from './metrics.js';
+import { log } from './log.js';
+
+const storageDuration = histogram(
+    'nexttrack_storage_duration_seconds',
+    'How long storage calls take, by function, e.g. votes.record',
+    [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+);
+
+export const storageBackends = {
+    'postgres': createPostgresStorage,
+    'memory': createMemoryStorage,
+};
+
+export async function createStorage(backend = process.env.STORAGE || (process.env.PG_HOST ? 'postgres' : 'memory')) {
+    if (!storageBackends[backend]) {
+        throw new Error(`Unknown STORAGE "${backend}", use one of: ${Object.keys(storageBackends).join(', ')}`);
+    }
+    const storage = instrument(await storageBackends[backend]());
+    log.info('Storing data', { backend });
+    return storage;
+}
+
+// HELPER FUNCTIONS
+
+function instrument(storage) {
+    let inProgress = 0;
+
+    const timed = (operation, call) => async (...args) => {
+        const start = process.hrtime.bigint();
+        inProgress++;
+        try {
+            return await call(...args);
+        } finally {
+            inProgress--;
+            storageDuration.observe({ operation }, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+    };
+
+    const result = { name: storage.name, callsInProgress: () => inProgress };
+    for (const [key, value] of Object.entries(storage)) {
+        if (typeof value === 'function') {
+            result[key] = timed(key, value);
+        } else if (typeof value === 'object') {
+            result[key] = {};
+            for (const [name, call] of Object.entries(value)) {
+                result[key][name] = timed(`${key}.${name}`, call);
+            }
+        }
+    }
+    return result;
+}
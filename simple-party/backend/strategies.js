@@ -0,0 +1,220 @@
+// This module contains the different ways of picking the next track at a party.
+// Each party uses one strategy, which the host can change.
+//
+// A strategy has a label shown to the host, and a pick function that gets:
+// - partyCode: a string identifying the party
+// - storage: where votes are kept, see storage.js
+// - tracks: the whole catalog
+// - candidates: the tracks that may be played next (recently played tracks are left out)
+// - memberProfiles: the profile IDs of the members here now, for parties without votes yet
+// - phase: the phase of the host's DJ set plan to steer towards, or null without a plan (see setPlan.js)
+// - weights: the points for being like a liked track, similarityWeights unless given (tools/simulate.js tries others)
+// and returns { track, score, breakdown }, where breakdown is a list of { code, label, params, points }
+// explaining how the score was reached. Parts without points are just notes. Like errors, each part
+// has an English label and a code, with params for what the label says, e.g. { count: 3 },
+// so pages can show it in the guest's language.
+
+import { scorePhase } from './setPlan.js';
+import { getReactionWeight } from './reactions.js';
+
+export const defaultStrategy = 'heuristic';
+
+// Points a candidate gets for each liked track it shares a genre with, has a similar energy
+// and tempo to, or has the same artist as
+export const similarityWeights = { genre: 2, energy: 1, artist: 3 };
+
+// The part of the breakdown for the votes at the party, the same in most strategies
+const partyVotesPart = { code: 'party-votes', label: 'Votes at this party' };
+
+export const strategies = {
+    'heuristic': {
+        label: 'Votes and similar tracks',
+        pick: pickHeuristic,
+    },
+    'weighted-random': {
+        label: 'Surprise me (weighted random)',
+        pick: pickWeightedRandom,
+    },
+    'recent-votes': {
+        label: 'Recent votes count most',
+        pick: pickRecentVotes,
+    },
+    'popular': {
+        label: 'Popular at all parties',
+        pick: pickPopular,
+    },
+};
+
+// Net votes and reactions at the party plus a bonus for being like the tracks the party liked
+async function pickHeuristic({ partyCode, storage, tracks, candidates, memberProfiles, phase, weights }) {
+    const scores = await storage.votes.getScores(partyCode);
+    const { votes, votesPart } = await withMemberTaste(storage, memberProfiles, scores, partyVotesPart);
+    const similar = scoreWithSimilarity(candidates, tracks, votes, votesPart, weights);
+    const scored = withPhaseFit(await withReactions(storage, partyCode, similar), phase);
+    return pickBest(scored);
+}
+
+// Same scores as the heuristic, but any track can win: every point doubles the chance
+async function pickWeightedRandom({ partyCode, storage, tracks, candidates, memberProfiles, phase, weights }) {
+    const scores = await storage.votes.getScores(partyCode);
+    const { votes, votesPart } = await withMemberTaste(storage, memberProfiles, scores, partyVotesPart);
+    const similar = scoreWithSimilarity(candidates, tracks, votes, votesPart, weights);
+    const scored = withPhaseFit(await withReactions(storage, partyCode, similar), phase);
+
+    const drawWeights = scored.map(s => Math.pow(2, Math.min(10, Math.max(-5, s.score))));
+    const totalWeight = drawWeights.reduce((sum, weight) => sum + weight, 0);
+
+    let random = Math.random() * totalWeight;
+    for (let i = 0; i < scored.length; i++) {
+        random -= drawWeights[i];
+        if (random <= 0) {
+            const chance = Math.round(drawWeights[i] / totalWeight * 100);
+            return {
+                ...scored[i],
+                breakdown: [...scored[i].breakdown, { code: 'drawn-at-random', label: `Drawn at random (${chance}% chance)`, params: { chance } }],
+            };
+        }
+    }
+    return scored[scored.length - 1];
+}
+
+// Like the heuristic, but a vote loses half its weight every 30 minutes,
+// so the party can change its mind as the night goes on. Reactions don't fade, they count for little anyway.
+async function pickRecentVotes({ partyCode, storage, tracks, candidates, memberProfiles, phase, weights }) {
+    const halfLife = 30 * 60 * 1000;
+    const scores = await storage.votes.getRecentScores(partyCode, halfLife);
+
+    const recentVotes = new Map([...scores].map(([trackId, score]) => [trackId, Math.round(score * 10) / 10]));
+    const { votes, votesPart } = await withMemberTaste(storage, memberProfiles, recentVotes, { code: 'recent-votes', label: 'Recent votes at this party' });
+    const similar = scoreWithSimilarity(candidates, tracks, votes, votesPart, weights);
+    const scored = withPhaseFit(await withReactions(storage, partyCode, similar), phase);
+    return pickBest(scored);
+}
+
+// Votes from every party ever, so crowd favourites come up even at a new party
+async function pickPopular({ partyCode, storage, candidates, phase }) {
+    const scores = await storage.votes.getScoresEverywhere(partyCode);
+
+    const scored = candidates.map(track => {
+        const trackScores = scores.get(track.track_id);
+        const partyVotes = trackScores ? trackScores.partyScore : 0;
+        const otherVotes = trackScores ? trackScores.totalScore - partyVotes : 0;
+
+        // Other parties count half as much as this one
+        const breakdown = [
+            { ...partyVotesPart, points: partyVotes },
+            { code: 'other-party-votes', label: 'Votes at other parties', points: otherVotes / 2 },
+        ];
+        return { track, score: sumPoints(breakdown), breakdown };
+    });
+    return pickBest(withPhaseFit(scored, phase));
+}
+
+// Call this function to guess which candidates are likely to come next, best first,
+// e.g. to show on the big screen. It scores like the heuristic, so for the other
+// strategies it is only a rough idea.
+export async function rankCandidates({ partyCode, storage, tracks, candidates, memberProfiles, phase, weights }) {
+    const scores = await storage.votes.getScores(partyCode);
+    const { votes, votesPart } = await withMemberTaste(storage, memberProfiles, scores, partyVotesPart);
+    const similar = scoreWithSimilarity(candidates, tracks, votes, votesPart, weights);
+    return withPhaseFit(await withReactions(storage, partyCode, similar), phase)
+        .sort((a, b) => b.score - a.score);
+}
+
+// HELPER FUNCTIONS
+
+// A party without votes yet goes by what the members here with a profile liked at earlier parties.
+// Returns { votes, votesPart } to score with: the party's own votes once there are any,
+// and the code and label for their part of the breakdown.
+async function withMemberTaste(storage, memberProfiles = [], votes, votesPart) {
+    if (votes.size > 0 || memberProfiles.length === 0) {
+        return { votes, votesPart };
+    }
+    return {
+        votes: await storage.votes.getProfileScores(memberProfiles),
+        votesPart: { code: 'profile-likes', label: 'Liked by guests here at earlier parties' },
+    };
+}
+
+// Scores each candidate on its votes, plus points for each liked track (one with a positive score) it is like,
+// by default +2 for sharing a genre, +1 for similar energy and tempo, +3 for the same artist
+function scoreWithSimilarity(candidates, tracks, votes, votesPart, weights = similarityWeights) {
+    const likedTracks = tracks.filter(t => votes.get(t.track_id) > 0);
+
+    return candidates.map(track => {
+        let genreBonus = 0;
+        let energyBonus = 0;
+        let artistBonus = 0;
+
+        for (const likedTrack of likedTracks) {
+            if (track.genres.some(genre => likedTrack.genres.includes(genre))) {
+                genreBonus += weights.genre;
+            }
+            if (isSimilarEnergy(track, likedTrack)) {
+                energyBonus += weights.energy;
+            }
+            if (track.artist === likedTrack.artist) {
+                artistBonus += weights.artist;
+            }
+        }
+
+        const breakdown = [
+            { ...votesPart, points: votes.get(track.track_id) || 0 },
+            { code: 'similar-genres', label: 'Shares genres with liked tracks', points: genreBonus },
+            { code: 'similar-energy', label: 'Similar energy to liked tracks', points: energyBonus },
+            { code: 'same-artist', label: 'Same artist as liked tracks', points: artistBonus },
+        ];
+        return { track, score: sumPoints(breakdown), breakdown };
+    });
+}
+
+// Adds the emoji reactions at the party, each worth its weight (half a vote, see reactions.js)
+async function withReactions(storage, partyCode, scored) {
+    const points = new Map();
+    for (const tally of await storage.reactions.getTallies(partyCode)) {
+        points.set(tally.trackId, (points.get(tally.trackId) || 0) + tally.count * getReactionWeight(tally.reaction));
+    }
+    return scored.map(s => {
+        const breakdown = [...s.breakdown, { code: 'reactions', label: 'Reactions at this party', points: points.get(s.track.track_id) || 0 }];
+        return { ...s, score: sumPoints(breakdown), breakdown };
+    });
+}
+
+// Adds the points for fitting the phase of the DJ set plan, if the party has one
+function withPhaseFit(scored, phase) {
+    if (!phase) {
+        return scored;
+    }
+    return scored.map(s => {
+        const breakdown = [...s.breakdown, ...scorePhase(s.track, phase)];
+        return { ...s, score: sumPoints(breakdown), breakdown };
+    });
+}
+
+// Picks the highest score, at random among equals (e.g. every track nobody has voted on yet)
+function pickBest(scored) {
+    const bestScore = Math.max(...scored.map(s => s.score));
+    const best = scored.filter(s => s.score === bestScore);
+    const pick = best[Math.floor(Math.random() * best.length)];
+
+    if (best.length === 1) {
+        return pick;
+    }
+    return {
+        ...pick,
+        breakdown: [...pick.breakdown, { code: 'tie-break', label: `Picked at random among ${best.length} equally good tracks`, params: { count: best.length } }],
+    };
+}
+
+function sumPoints(breakdown) {
+    return breakdown.reduce((sum, part) => sum + (part.points || 0), 0);
+}
+
+// Tracks feel alike when their energy and tempo are close (tracks without metadata never are)
+function isSimilarEnergy(track, otherTrack) {
+    if (track.energy === null || otherTrack.energy === null || track.tempo === null || otherTrack.tempo === null) {
+        return false;
+    }
+    return Math.abs(track.energy - otherTrack.energy) <= 0.15
+        && Math.abs(track.tempo - otherTrack.tempo) <= 15;
+}
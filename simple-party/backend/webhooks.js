@@ -0,0 +1,233 @@
+// This module sends party events to the webhooks hosts register, e.g. for a light
+// controller that follows the genre, or a chat bot that posts the track that's playing.
+//
+// Each delivery is a POST with a JSON body { deliveryId, event, partyCode, sentAt, data }
+// and these headers:
+// - X-NextTrack-Event: the event, e.g. track-started
+// - X-NextTrack-Delivery: the delivery ID, the same for every retry so receivers can skip repeats
+// - X-NextTrack-Timestamp: when this attempt was sent, in milliseconds
+// - X-NextTrack-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>", keyed with the webhook's secret>
+//
+// A delivery that fails (no answer within 5 seconds, a network error, or a status other than 2xx)
+// is tried again after 1 second, 10 seconds, 1 minute and 5 minutes. 4xx answers other than
+// 408 and 429 are not tried again, the receiver won't change its mind, and neither are deliveries
+// to private addresses (see below).
+// Every attempt is saved, so the host can see what happened (see storage.webhooks.getDeliveries).
+// Retries are only kept in memory, so they stop when the server does, and they also stop
+// once the host removes the webhook or the party ends.
+//
+// Webhooks may only send to public addresses, checked when one is added and again before every
+// attempt, because the host name may point somewhere else by then. Otherwise a host could make
+// the server reach into the network it runs in, and tell from the delivery log what answers there.
+// Set WEBHOOK_ALLOW_PRIVATE_URLS=1 to allow private addresses anyway, e.g. for
+// tools/webhookReceiver.js, a receiver to try this out with on your own machine.
+
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { log } from './log.js';
+
+export const webhookEvents = [
+    'track-started',
+    'track-ended',
+    'track-skipped',
+    'vote-threshold-reached',
+    'member-joined',
+    'member-left',
+    'party-ended',
+];
+
+// How many webhooks one party may have
+export const maxWebhooksPerParty = 5;
+
+const retryDelays = [1000, 10000, 60000, 300000];
+const requestTimeout = 5000;
+
+const allowPrivateUrls = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === '1';
+
+// Loopback, private networks, link-local (where cloud servers answer questions about themselves),
+// and the other ranges that don't lead to the internet. IPv4 addresses written as IPv6
+// (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+const privateAddresses = new net.BlockList();
+privateAddresses.addSubnet('0.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('10.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('100.64.0.0', 10, 'ipv4');
+privateAddresses.addSubnet('127.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('169.254.0.0', 16, 'ipv4');
+privateAddresses.addSubnet('172.16.0.0', 12, 'ipv4');
+privateAddresses.addSubnet('192.0.0.0', 24, 'ipv4');
+privateAddresses.addSubnet('192.168.0.0', 16, 'ipv4');
+privateAddresses.addSubnet('198.18.0.0', 15, 'ipv4');
+privateAddresses.addSubnet('224.0.0.0', 3, 'ipv4');
+privateAddresses.addAddress('::', 'ipv6');
+privateAddresses.addAddress('::1', 'ipv6');
+privateAddresses.addSubnet('fc00::', 7, 'ipv6');
+privateAddresses.addSubnet('fe80::', 10, 'ipv6');
+privateAddresses.addSubnet('ff00::', 8, 'ipv6');
+
+// Call this function to check a webhook sent by a host.
+// Parameters:
+// - input: { url, events }, where events is a list of webhookEvents and defaults to all of them
+// Returns { webhook } with the url and events, or { error, code } with a message for the host
+export function validateWebhook(input) {
+    if (!input || typeof input.url !== 'string') {
+        return { error: 'URL is required', code: 'url-required' };
+    }
+
+    let url;
+    try {
+        url = new URL(input.url);
+    } catch {
+        return { error: 'URL is not valid', code: 'invalid-url' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { error: 'URL must start with http:// or https://', code: 'invalid-url-protocol' };
+    }
+
+    const events = input.events === undefined ? webhookEvents : input.events;
+    if (!Array.isArray(events) || events.length === 0 || events.some(e => !webhookEvents.includes(e))) {
+        return { error: `Events must be a list of: ${webhookEvents.join(', ')}`, code: 'invalid-webhook-events' };
+    }
+
+    return { webhook: { url: url.href, events: [...new Set(events)] } };
+}
+
+// Call this function to check that a webhook URL leads to a public address, after validateWebhook.
+// Every address the host name has must be public, as fetch may connect to any of them.
+// Parameters:
+// - url: the webhook's URL, a string
+// Returns {} if it does, or { error, code } with a message for the host
+export async function checkWebhookUrl(url) {
+    if (allowPrivateUrls) {
+        return {};
+    }
+
+    // IPv6 addresses are in brackets in URLs, e.g. http://[::1]/
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+    let addresses;
+    try {
+        addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch {
+        return { error: `Could not find the address of ${hostname}`, code: 'webhook-host-not-found' };
+    }
+
+    if (addresses.some(({ address, family }) => privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+        return { error: 'Webhooks can only send to public addresses', code: 'webhook-url-not-public' };
+    }
+    return {};
+}
+
+// Call this function to make the secret a new webhook signs its deliveries with
+export function createWebhookSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Returns the signature for X-NextTrack-Signature, receivers compute the same to check it
+export function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Call this function to send an event to a webhook, retrying until it gets through or runs out of tries.
+// Parameters:
+// - storage: where every attempt is saved, see storage.js
+// - webhook: { webhookId, partyCode, url, secret }
+// - event: one of webhookEvents, or 'ping' for a test
+// - data: any value that can be converted to JSON
+// Returns the delivery ID right away, the delivery goes on in the background
+export function sendWebhook(storage, webhook, event, data) {
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({
+        deliveryId,
+        event,
+        partyCode: webhook.partyCode,
+        sentAt: new Date().toISOString(),
+        data,
+    });
+
+    attemptDelivery(storage, webhook, { deliveryId, event, body }, 1);
+    return deliveryId;
+}
+
+// HELPER FUNCTIONS
+
+async function attemptDelivery(storage, webhook, delivery, attempt) {
+    if (attempt > 1 && !(await isStillActive(storage, webhook))) {
+        return;
+    }
+
+    const timestamp = Date.now();
+    const target = await checkWebhookUrl(webhook.url);
+    const { status, error } = target.error ? { status: null, error: target.error } : await post(webhook, delivery, timestamp);
+
+    const succeeded = status !== null && status >= 200 && status < 300;
+    const retryable = !succeeded && !target.error && (status === null || status >= 500 || status === 408 || status === 429);
+    const willRetry = retryable && attempt <= retryDelays.length;
+
+    try {
+        await storage.webhooks.recordDelivery({
+            deliveryId: delivery.deliveryId,
+            webhookId: webhook.webhookId,
+            event: delivery.event,
+            attempt,
+            attemptedAt: timestamp,
+            status,
+            error,
+            durationMs: Date.now() - timestamp,
+            succeeded,
+        });
+    } catch (storageError) {
+        log.error('Database error', { error: storageError.message });
+    }
+
+    if (!succeeded) {
+        log.warn('Webhook delivery failed', {
+            partyCode: webhook.partyCode,
+            webhookId: webhook.webhookId,
+            event: delivery.event,
+            attempt,
+            status,
+            error,
+            willRetry,
+        });
+    }
+
+    if (willRetry) {
+        setTimeout(() => attemptDelivery(storage, webhook, delivery, attempt + 1), retryDelays[attempt - 1]).unref();
+    }
+}
+
+// Sends one attempt, returns { status, error } where status is null if there was no answer
+async function post(webhook, delivery, timestamp) {
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'NextTrack-Webhooks',
+                'X-NextTrack-Event': delivery.event,
+                'X-NextTrack-Delivery': delivery.deliveryId,
+                'X-NextTrack-Timestamp': String(timestamp),
+                'X-NextTrack-Signature': signPayload(webhook.secret, timestamp, delivery.body),
+            },
+            body: delivery.body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(requestTimeout),
+        });
+        // The body isn't needed, but it has to be read or the connection stays open
+        await response.arrayBuffer().catch(() => {});
+        return { status: response.status, error: null };
+    } catch (fetchError) {
+        return { status: null, error: fetchError.name === 'TimeoutError' ? `No answer within ${requestTimeout / 1000} seconds` : fetchError.message };
+    }
+}
+
+// False once the host removed the webhook or its party ended, so there's no point in trying again
+async function isStillActive(storage, webhook) {
+    try {
+        return await storage.webhooks.isActive(webhook.webhookId);
+    } catch (storageError) {
+        log.error('Database error', { error: storageError.message });
+        return false;
+    }
+}
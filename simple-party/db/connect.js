@@ -1,7 +1,8 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
 
-dotenv.config();
+// quiet, so the server's log stays JSON
+dotenv.config({ quiet: true });
 
 const pool = new pg.Pool({
     host: process.env.PG_HOST,
@@ -9,12 +10,12 @@ const pool = new pg.Pool({
     database: process.env.PG_DATABASE,
     user: process.env.PG_USER,
     password: process.env.PG_PASSWORD,
-    ssl: { rejectUnauthorized: false },
+    // Hosted databases need SSL, set PG_SSL=false for one on your own machine
+    ssl: process.env.PG_SSL === 'false' ? false : { rejectUnauthorized: false },
 });
 
 export async function connect() {
-    const result = await pool.query('SELECT NOW()');
-    console.log('Database connected:', result.rows[0].now);
+    await pool.query('SELECT NOW()');
     return pool;
 }
 
@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { connect } from './connect.js';
+
+// Applies the numbered migrations in db/migrations in order, and records each one
+// in the schema_migrations table so it only runs once.
+//
+// Usage:
+//   npm run migrate            apply all pending migrations
+//   npm run migrate:status     list applied and pending migrations
+//
+// A migration is either an .sql file, or a .js file exporting `async function up(db)`.
+// File names start with the version number, e.g. 004-add-something.sql.
+// Each migration runs in its own transaction.
+
+const migrationsDir = path.join(import.meta.dirname, 'migrations');
+const command = process.argv[2] || 'up';
+
+if (command !== 'up' && command !== 'status') {
+    console.error(`Unknown command "${command}", use "up" or "status"`);
+    process.exit(1);
+}
+
+const db = await connect();
+
+await db.query(`
+    create table if not exists schema_migrations (
+        version int primary key,
+        name text not null,
+        applied_at timestamptz not null default now()
+    )
+`);
+
+const migrations = loadMigrations();
+const appliedResult = await db.query('select version, name, applied_at from schema_migrations order by version');
+const applied = new Map(appliedResult.rows.map(row => [row.version, row]));
+const pending = migrations.filter(m => !applied.has(m.version));
+
+if (command === 'status') {
+    printStatus();
+    await db.end();
+    process.exit(checkOrder() ? 0 : 1);
+}
+
+if (!checkOrder()) {
+    await db.end();
+    process.exit(1);
+}
+
+if (pending.length === 0) {
+    console.log('Database is up to date.');
+}
+
+for (const migration of pending) {
+    console.log(`Applying ${migration.file}...`);
+    await applyMigration(migration);
+}
+
+await db.end();
+
+console.log('Migrations done.');
+
+// HELPER FUNCTIONS
+
+function loadMigrations() {
+    const result = [];
+    const versions = new Set();
+
+    for (const file of fs.readdirSync(migrationsDir).sort()) {
+        const match = file.match(/^(\d+)-(.+)\.(sql|js)$/);
+        if (!match) {
+            continue;
+        }
+
+        const version = parseInt(match[1]);
+        if (versions.has(version)) {
+            throw new Error(`Two migrations have version ${version}`);
+        }
+        versions.add(version);
+
+        result.push({ version, name: match[2], file, type: match[3] });
+    }
+
+    return result.sort((a, b) => a.version - b.version);
+}
+
+// Refuses to continue when the database and the migrations folder don't agree:
+// - a migration was applied that no longer exists, or
+// - a pending migration is older than one already applied (e.g. from a merged branch),
+//   since it would run against a schema it wasn't written for
+function checkOrder() {
+    let ok = true;
+    const latestApplied = Math.max(0, ...applied.keys());
+
+    for (const version of applied.keys()) {
+        if (!migrations.some(m => m.version === version)) {
+            console.error(`Migration ${version} (${applied.get(version).name}) was applied but its file is missing`);
+            ok = false;
+        }
+    }
+
+    for (const migration of pending) {
+        if (migration.version < latestApplied) {
+            console.error(`Migration ${migration.file} is older than migration ${latestApplied}, which was already applied`);
+            ok = false;
+        }
+    }
+
+    if (!ok) {
+        console.error('Refusing to migrate. Renumber the migration so it comes after the applied ones.');
+    }
+    return ok;
+}
+
+function printStatus() {
+    for (const migration of migrations) {
+        const row = applied.get(migration.version);
+        if (row) {
+            console.log(`applied  ${migration.file}  (${row.applied_at.toISOString()})`);
+        } else {
+            console.log(`pending  ${migration.file}`);
+        }
+    }
+    console.log(`${applied.size} applied, ${pending.length} pending`);
+}
+
+async function applyMigration(migration) {
+    const client = await db.connect();
+    const file = path.join(migrationsDir, migration.file);
+
+    try {
+        await client.query('begin');
+
+        if (migration.type === 'sql') {
+            await client.query(fs.readFileSync(file, 'utf8'));
+        } else {
+            const module = await import(pathToFileURL(file));
+            await module.up(client);
+        }
+
+        await client.query(`
+            insert into schema_migrations (version, name)
+            values ($1, $2)
+        `, [migration.version, migration.name]);
+
+        await client.query('commit');
+    } catch (error) {
+        await client.query('rollback');
+        console.error(`Migration ${migration.file} failed:`, error.message);
+        await db.end();
+        process.exit(1);
+    } finally {
+        client.release();
+    }
+}
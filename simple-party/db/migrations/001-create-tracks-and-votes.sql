@@ -0,0 +1,20 @@
+-- The original tracks and votes tables.
+-- "if not exists" lets databases made by the old create-db script adopt migrations
+-- without losing their votes.
+
+create table if not exists tracks (
+    track_id bigint primary key,
+    title text not null,
+    artist text not null,
+    duration int not null
+);
+
+-- Votes table with session_id for individual user tracking
+create table if not exists votes (
+    party_code text not null,
+    track_id bigint not null,
+    session_id text not null,
+    vote_type text not null check (vote_type in ('up', 'down')),
+    voted_at timestamp default now(),
+    primary key (party_code, track_id, session_id)
+);
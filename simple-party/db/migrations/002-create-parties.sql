@@ -0,0 +1,22 @@
+-- Parties with their host token, so they survive a server restart
+create table parties (
+    party_code text primary key,
+    host_token text not null,
+    created_at timestamptz not null default now(),
+    removed_sessions text[] not null default '{}'
+);
+
+-- The track each party is playing right now (paused_at is null while playing)
+create table now_playing (
+    party_code text primary key references parties (party_code) on delete cascade,
+    track_id bigint not null,
+    started_at timestamptz not null,
+    paused_at timestamptz
+);
+
+-- Every track a party has played, newest last
+create table track_history (
+    party_code text not null references parties (party_code) on delete cascade,
+    track_id bigint not null,
+    played_at timestamptz not null default now()
+);
@@ -0,0 +1,16 @@
+-- Genres with the label shown to guests
+create table genres (
+    genre text primary key,
+    label text not null
+);
+
+-- Metadata for the selection algorithm
+-- - genres: one or more values from the genres table
+-- - tempo: beats per minute
+-- - energy: from 0 (calm) to 1 (intense)
+alter table tracks
+    add column genres text[] not null default '{}',
+    add column tempo int,
+    add column energy real check (energy between 0 and 1),
+    add column release_year int,
+    add column explicit boolean not null default false;
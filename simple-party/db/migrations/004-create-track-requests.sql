@@ -0,0 +1,10 @@
+-- Songs guests asked for, waiting to be played (a row is deleted when its track starts)
+create table track_requests (
+    party_code text not null references parties (party_code) on delete cascade,
+    track_id bigint not null,
+    session_id text not null,
+    requester_name text not null default '',
+    requested_at timestamptz not null default now(),
+    upvoters text[] not null default '{}',
+    primary key (party_code, track_id)
+);
@@ -0,0 +1,7 @@
+-- The strategy each party uses to pick tracks (see backend/strategies.js)
+alter table parties
+    add column strategy text not null default 'heuristic';
+
+-- Why each track was picked: strategy, score and the breakdown of the score
+alter table track_history
+    add column explanation jsonb;
@@ -0,0 +1,3 @@
+-- The rules the host set for the party (see backend/settings.js), missing keys use the defaults
+alter table parties
+    add column settings jsonb not null default '{}';
@@ -0,0 +1,10 @@
+-- Ended parties are kept, so their history and votes can still be shown in the recap
+alter table parties
+    add column ended_at timestamptz;
+
+-- How many members were active, written every time the count changes
+create table attendance (
+    party_code text not null references parties (party_code) on delete cascade,
+    recorded_at timestamptz not null default now(),
+    member_count int not null
+);
@@ -0,0 +1,4 @@
+-- When everyone left a party and it was paused, null while it's going
+-- (see "IDLE PARTIES" in backend/server.js)
+alter table parties
+    add column suspended_at timestamptz;
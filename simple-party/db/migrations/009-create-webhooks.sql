@@ -0,0 +1,26 @@
+-- Addresses a host wants party events sent to (see backend/webhooks.js)
+create table webhooks (
+    webhook_id text primary key,
+    party_code text not null references parties (party_code) on delete cascade,
+    url text not null,
+    secret text not null,
+    events text[] not null,
+    created_at timestamptz not null default now()
+);
+
+-- Every attempt to deliver an event, so the host can see why a webhook isn't working.
+-- Retries of the same event share a delivery_id.
+create table webhook_deliveries (
+    delivery_id text not null,
+    webhook_id text not null references webhooks (webhook_id) on delete cascade,
+    event text not null,
+    attempt int not null,
+    attempted_at timestamptz not null,
+    status int,
+    error text,
+    duration_ms int not null,
+    succeeded boolean not null,
+    primary key (delivery_id, attempt)
+);
+
+create index webhook_deliveries_by_webhook on webhook_deliveries (webhook_id, attempted_at);
@@ -0,0 +1,22 @@
+-- Guest profiles, so taste carries across parties (see backend/profiles.js).
+-- key_hash is a hash of the device key the guest's browser keeps.
+create table profiles (
+    profile_id text primary key,
+    nickname text not null,
+    key_hash text not null unique,
+    created_at timestamptz not null default now()
+);
+
+-- Which guest sessions at a party belong to a profile
+create table session_profiles (
+    party_code text not null references parties (party_code) on delete cascade,
+    session_id text not null,
+    profile_id text not null references profiles (profile_id) on delete cascade,
+    primary key (party_code, session_id)
+);
+
+-- Votes stay when a profile is deleted, they just don't belong to anyone any more
+alter table votes
+    add column profile_id text references profiles (profile_id) on delete set null;
+
+create index votes_by_profile on votes (profile_id);
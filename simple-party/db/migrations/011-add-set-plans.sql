@@ -0,0 +1,4 @@
+-- The host's DJ set plan for the night and how far the party is into it
+-- (see backend/setPlan.js), null when the party has no plan
+alter table parties
+    add column set_plan jsonb;
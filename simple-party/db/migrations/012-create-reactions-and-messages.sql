@@ -0,0 +1,22 @@
+-- Emoji reactions on tracks (see backend/reactions.js), next to the votes.
+-- A guest gives each kind of reaction once per track.
+create table reactions (
+    party_code text not null references parties (party_code) on delete cascade,
+    track_id bigint not null,
+    session_id text not null,
+    reaction text not null,
+    reacted_at timestamptz not null default now(),
+    primary key (party_code, track_id, session_id, reaction)
+);
+
+-- The short messages guests post to everyone at the party
+create table messages (
+    message_id text primary key,
+    party_code text not null references parties (party_code) on delete cascade,
+    session_id text not null,
+    guest_name text,
+    text text not null,
+    posted_at timestamptz not null
+);
+
+create index messages_by_party on messages (party_code, posted_at);
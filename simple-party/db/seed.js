@@ -0,0 +1,58 @@
+import { upload } from 'pg-upload';
+import { connect } from './connect.js';
+
+// Loads the genres and tracks from the CSV files into the database.
+// Safe to run again: rows that already exist are updated, and nothing else
+// (votes, parties) is touched. Run `npm run migrate` first.
+
+console.log('Seeding database...');
+
+const db = await connect();
+
+// COPY can't update existing rows, so the CSV files go into staging tables first
+console.log('Importing data from CSV files...');
+await db.query('drop table if exists genres_staging');
+await db.query('drop table if exists tracks_staging');
+await db.query('create table genres_staging (like genres including defaults)');
+await db.query('create table tracks_staging (like tracks including defaults)');
+
+await upload(db, 'db/genres.csv', `
+    copy genres_staging (genre, label)
+    from stdin
+    with csv header`);
+await upload(db, 'db/short-tracks.csv', `
+    copy tracks_staging (track_id, title, artist, duration, genres, tempo, energy, release_year, explicit)
+    from stdin
+    with csv header`);
+
+const genreResult = await db.query(`
+    insert into genres (genre, label)
+    select genre, label from genres_staging
+    on conflict (genre)
+    do update set label = excluded.label
+`);
+
+const trackResult = await db.query(`
+    insert into tracks (track_id, title, artist, duration, genres, tempo, energy, release_year, explicit)
+    select track_id, title, artist, duration, genres, tempo, energy, release_year, explicit
+    from tracks_staging
+    on conflict (track_id)
+    do update set
+        title = excluded.title,
+        artist = excluded.artist,
+        duration = excluded.duration,
+        genres = excluded.genres,
+        tempo = excluded.tempo,
+        energy = excluded.energy,
+        release_year = excluded.release_year,
+        explicit = excluded.explicit
+`);
+
+await db.query('drop table genres_staging');
+await db.query('drop table tracks_staging');
+
+console.log(`Data imported: ${genreResult.rowCount} genres, ${trackResult.rowCount} tracks.`);
+
+await db.end();
+
+console.log('Database seeded.');
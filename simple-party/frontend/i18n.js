@@ -0,0 +1,131 @@
+// This module translates the text on the pages, and formats numbers and times for the guest's language.
+//
+// Each language has a message catalog in /locales, with the same keys as the English one:
+// - a message is a string, where {name} is filled in from the params, e.g. 'Guest {number}'
+// - a message that depends on a number is { one, other } (or whatever forms the language has,
+//   see Intl.PluralRules), picked by params.count. The count is formatted for the language.
+// A message missing from a catalog falls back to English, so a new language can be added bit by bit.
+//
+// Text in the HTML is translated by attributes: data-i18n for the text of an element,
+// data-i18n-placeholder and data-i18n-title for those attributes.
+
+import en from './locales/en.js';
+import da from './locales/da.js';
+
+export const languages = {
+    'en': { name: 'English', messages: en },
+    'da': { name: 'Dansk', messages: da },
+};
+
+const defaultLanguage = 'en';
+
+// Where the language a guest picked is remembered, for every party
+const storageKey = 'nexttrack-language';
+
+let language = detectLanguage();
+let pluralRules = new Intl.PluralRules(language);
+let numberFormat = new Intl.NumberFormat(language);
+
+export function getLanguage() {
+    return language;
+}
+
+// The language the guest picked before, or else the first of the browser's languages we have
+function detectLanguage() {
+    const stored = localStorage.getItem(storageKey);
+    if (languages[stored]) {
+        return stored;
+    }
+    
+    const preferred = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+    for (const tag of preferred) {
+        // "da-DK" -> "da"
+        const base = String(tag).toLowerCase().split('-')[0];
+        if (languages[base]) {
+            return base;
+        }
+    }
+    return defaultLanguage;
+}
+
+export function setLanguage(newLanguage) {
+    if (!languages[newLanguage]) {
+        return;
+    }
+    language = newLanguage;
+    pluralRules = new Intl.PluralRules(language);
+    numberFormat = new Intl.NumberFormat(language);
+    localStorage.setItem(storageKey, language);
+}
+
+// Returns the message for a key in the current language, with the params filled in
+export function t(key, params = {}) {
+    let message = languages[language].messages[key] ?? languages[defaultLanguage].messages[key] ?? key;
+    
+    if (typeof message === 'object') {
+        message = message[pluralRules.select(params.count)] ?? message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (params[name] === undefined) {
+            return placeholder;
+        }
+        return name === 'count' ? formatNumber(params[name]) : String(params[name]);
+    });
+}
+
+// True if there's a message for the key in the current language or in English
+export function hasMessage(key) {
+    return key in languages[language].messages || key in languages[defaultLanguage].messages;
+}
+
+// Returns the message for an error answered by the server ({ error, code, params }),
+// or the server's own English message for codes we don't have a message for
+export function translateError(data) {
+    if (data.code && hasMessage(`errors.${data.code}`)) {
+        return t(`errors.${data.code}`, data.params);
+    }
+    return data.error;
+}
+
+// e.g. 1234.5 -> "1,234.5" in English and "1.234,5" in Danish
+export function formatNumber(number, options) {
+    return options ? new Intl.NumberFormat(language, options).format(number) : numberFormat.format(number);
+}
+
+// Returns the time of day of a timestamp, e.g. "21:40", or "21:40:12" with style 'medium'
+export function formatClock(time, style = 'short') {
+    return new Date(time).toLocaleTimeString(language, { timeStyle: style });
+}
+
+// Translates the text of everything in the page marked with data-i18n attributes
+export function translatePage() {
+    document.documentElement.lang = language;
+    
+    for (const element of document.querySelectorAll('[data-i18n]')) {
+        element.textContent = t(element.dataset.i18n);
+    }
+    for (const element of document.querySelectorAll('[data-i18n-placeholder]')) {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    }
+    for (const element of document.querySelectorAll('[data-i18n-title]')) {
+        element.title = t(element.dataset.i18nTitle);
+    }
+}
+
+// Fills a <select> with the languages, and switches to the one the guest picks
+export function setupLanguageSelect(select) {
+    for (const [code, { name }] of Object.entries(languages)) {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.value = language;
+    
+    // Reload, so everything the page has drawn so far is drawn again in the new language
+    select.addEventListener('change', () => {
+        setLanguage(select.value);
+        location.reload();
+    });
+}
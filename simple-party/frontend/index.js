@@ -1,29 +1,105 @@
+import { t, hasMessage, translateError, translatePage, setupLanguageSelect, formatNumber, formatClock } from './i18n.js';
+
 // SESSION MANAGEMENT
 
-// Create a unique ID for this browser tab
-// Uses sessionStorage so each tab gets its own ID (even in same browser)
-let sessionId = sessionStorage.getItem('nexttrack-session-id');
-if (!sessionId) {
-    sessionId = crypto.randomUUID();
-    sessionStorage.setItem('nexttrack-session-id', sessionId);
+// The server gives us a signed session token when we join the party
+// Uses sessionStorage so each tab gets its own session (even in same browser)
+let sessionToken = null;        // Proves who we are, sent with votes, heartbeats and requests
+let myGuestId = null;           // How we show up to others, e.g. in the host's guest list
+
+// Returns null once we have a session, or the message to show when we couldn't join,
+// e.g. because the party isn't there or too many guests joined from this network
+async function joinParty(partyCode) {
+    const storageKey = `nexttrack-session-${partyCode}`;
+    const stored = JSON.parse(sessionStorage.getItem(storageKey));
+    
+    if (!stored) {
+        const response = await fetch(`/api/party/${partyCode}/join`, { method: 'POST' });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({ code: 'party-not-found' }));
+            return data.code === 'party-not-found' ? t('party.notFound') : translateError(data);
+        }
+        sessionStorage.setItem(storageKey, JSON.stringify(await response.json()));
+        return joinParty(partyCode);
+    }
+    
+    sessionToken = stored.token;
+    myGuestId = stored.guestId;
+    return null;
+}
+
+// Called when the server doesn't accept our token any more, e.g. after a restart
+async function rejoinParty(partyCode) {
+    sessionStorage.removeItem(`nexttrack-session-${partyCode}`);
+    await joinParty(partyCode);
+    if (profile) {
+        linkProfile(partyCode);
+    }
+}
+
+function sessionHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        'X-Session-Token': sessionToken
+    };
 }
 
 // STATE VARIABLES
 
 let myCurrentVote = null;       // What I voted (null, 'up', or 'down')
+let currentTrackId = null;      // ID of the track being shown
 let trackStartTime = null;      // When current track started (timestamp)
 let trackDuration = 0;          // How long current track is (milliseconds)
+let trackPausedAt = null;       // When the host paused the track (timestamp), null while playing
+let clockOffset = 0;            // How far the server's clock is ahead of ours (milliseconds)
+let eventSource = null;         // Live update stream from the server
+let pollingTimer = null;        // Only set while we have to poll instead
+let heartbeatTimer = null;      // Sends heartbeats while we're in the party
+let partyOver = false;          // True once the party is gone, so we stop talking to the server
+let hostToken = null;           // Only set if we created this party
+let genreLabels = new Map();    // Genre -> label shown to guests, loaded from the server
+let searchPage = 1;             // Page of search results being shown
+let myBallot = null;            // Track I picked in the open next-track poll, null if none
+let profile = null;             // { profileId, nickname, deviceKey } once this browser has a profile
+let myReactions = new Set();    // Reactions I gave the track being shown
 
 // STARTUP
 
-addEventListener("DOMContentLoaded", () => {
-    // Get party code from URL (or create new one)
+addEventListener("DOMContentLoaded", async () => {
+    // Get party code from URL (or go back to the landing page)
     const partyCode = getPartyCode();
+    if (!partyCode) {
+        window.location.href = '/';
+        return;
+    }
     history.replaceState(null, '', partyCode);
     
+    translatePage();
+    setupLanguageSelect(document.getElementById('languageSelect'));
+    
+    const joinError = await joinParty(partyCode);
+    if (joinError) {
+        showPartyMessage(joinError);
+        return;
+    }
+    await loadGenreLabels();
+    
+    // The landing page stores the host token when we create a party
+    hostToken = localStorage.getItem(`nexttrack-host-${partyCode}`);
+    if (hostToken) {
+        setupHostControls(partyCode);
+    }
+    
     // Start everything
+    setupProfile(partyCode);
     setupVotingButtons(partyCode);
-    startPolling(partyCode);
+    setupReactions(partyCode);
+    setupMessages(partyCode);
+    setupExplanation(partyCode);
+    setupRequests(partyCode);
+    updatePoll(partyCode);
+    updatePlan(partyCode);
+    startLiveUpdates(partyCode);
     startProgressBar();
     startHeartbeat(partyCode);
 });
@@ -44,9 +120,90 @@ function getPartyCode() {
         return pathname.substring(1);
     }
     
-    // No party code - shouldn't happen with landing page
-    // But just in case, generate one
-    return crypto.randomUUID().substring(0, 4);
+    // No party code - parties are created on the landing page
+    return null;
+}
+
+// Hides the party and shows a message instead, e.g. when the party has ended
+// Pass withRecap once the party is over, to point guests to what played
+function showPartyMessage(message, withRecap = false) {
+    partyOver = true;
+    
+    if (eventSource) {
+        eventSource.close();
+    }
+    stopPolling();
+    clearInterval(heartbeatTimer);
+    
+    document.getElementById('content').hidden = true;
+    document.getElementById('partyMessageText').textContent = message;
+    document.getElementById('partyMessage').hidden = false;
+    
+    if (withRecap) {
+        const recapLink = document.getElementById('recapLink');
+        recapLink.querySelector('a').href = `/party/${getPartyCode()}/recap`;
+        recapLink.hidden = false;
+    }
+}
+
+// GUEST PROFILE (Optional, so my votes count at the next party too)
+
+// Unlike the session, the profile is kept in localStorage, so every tab and party shares it
+function setupProfile(partyCode) {
+    profile = JSON.parse(localStorage.getItem('nexttrack-profile'));
+    
+    if (profile) {
+        linkProfile(partyCode);
+    } else {
+        showProfile();
+    }
+    
+    document.getElementById('profileForm').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        
+        const response = await fetch('/api/profiles', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ nickname: document.getElementById('profileNicknameInput').value })
+        });
+        if (!response.ok) return;
+        
+        profile = await response.json();
+        localStorage.setItem('nexttrack-profile', JSON.stringify(profile));
+        linkProfile(partyCode);
+    });
+}
+
+// Tells the server this party session is mine, so my votes here count towards my taste
+async function linkProfile(partyCode) {
+    const response = await fetch(`/api/party/${partyCode}/profile`, {
+        method: 'PUT',
+        headers: { ...sessionHeaders(), 'X-Profile-Key': profile.deviceKey }
+    });
+    
+    // The profile was deleted, e.g. on the profile page in another tab
+    if (response.status === 401 && (await response.json()).code === 'unknown-profile') {
+        localStorage.removeItem('nexttrack-profile');
+        profile = null;
+    } else if (response.ok) {
+        profile.nickname = (await response.json()).nickname;
+    }
+    showProfile();
+}
+
+function showProfile() {
+    document.getElementById('profileStatus').hidden = !profile;
+    document.getElementById('profileForm').hidden = Boolean(profile);
+    
+    if (profile) {
+        document.getElementById('profileNickname').textContent = profile.nickname;
+        
+        // Requests go by the nickname, unless I gave another name
+        const nameInput = document.getElementById('requesterName');
+        if (!nameInput.value) {
+            nameInput.value = profile.nickname;
+        }
+    }
 }
 
 // VOTING
@@ -67,16 +224,18 @@ async function vote(partyCode, voteType) {
     // Send vote to server
     const response = await fetch(`/api/party/${partyCode}/vote`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ 
-            vote: voteType,
-            sessionId: sessionId 
+            vote: voteType
         })
     });
     
     if (response.ok) {
         // Update the UI immediately
+        document.getElementById('voteMessage').textContent = '';
         updateVoteDisplay();
+    } else {
+        document.getElementById('voteMessage').textContent = translateError(await response.json());
     }
 }
 
@@ -87,11 +246,13 @@ async function updateVoteDisplay() {
     const votesResponse = await fetch(`/api/party/${partyCode}/votes`);
     const votesData = await votesResponse.json();
     
-    document.getElementById('upvoteCount').textContent = votesData.upvotes;
-    document.getElementById('downvoteCount').textContent = votesData.downvotes;
+    showVoteCounts(votesData);
     
     // Get MY vote
-    const myVoteResponse = await fetch(`/api/party/${partyCode}/myvote/${sessionId}`);
+    const myVoteResponse = await fetch(`/api/party/${partyCode}/myvote`, {
+        headers: sessionHeaders()
+    });
+    if (!myVoteResponse.ok) return;
     const myVoteData = await myVoteResponse.json();
     
     myCurrentVote = myVoteData.myVote;
@@ -112,38 +273,657 @@ async function updateVoteDisplay() {
     }
 }
 
-// POLLING (Check for track changes)
+function showVoteCounts(votesData) {
+    document.getElementById('upvoteCount').textContent = formatNumber(votesData.upvotes);
+    document.getElementById('downvoteCount').textContent = formatNumber(votesData.downvotes);
+}
+
+// REACTIONS (Emoji for the track that's playing, counted per track)
+
+async function setupReactions(partyCode) {
+    const response = await fetch('/api/reactions');
+    if (!response.ok) return;
+    
+    const reactionBar = document.getElementById('reactionBar');
+    for (const { reaction, emoji } of await response.json()) {
+        const button = document.createElement('button');
+        button.dataset.reaction = reaction;
+        button.textContent = emoji;
+        
+        const count = document.createElement('span');
+        count.className = 'reaction-count';
+        count.textContent = formatNumber(0);
+        button.appendChild(count);
+        
+        button.addEventListener('click', () => react(partyCode, reaction));
+        reactionBar.appendChild(button);
+    }
+    
+    updateReactionCounts(partyCode);
+}
+
+async function react(partyCode, reaction) {
+    // Each reaction counts once per track, so there's no need to send it again
+    if (myReactions.has(reaction)) {
+        return;
+    }
+    
+    const response = await fetch(`/api/party/${partyCode}/reactions`, {
+        method: 'POST',
+        headers: sessionHeaders(),
+        body: JSON.stringify({ reaction: reaction })
+    });
+    
+    if (response.status === 401) {
+        await rejoinParty(partyCode);
+        return;
+    }
+    if (response.ok) {
+        myReactions.add(reaction);
+        document.querySelector(`#reactionBar [data-reaction="${reaction}"]`).classList.add('reacted');
+    }
+}
+
+async function updateReactionCounts(partyCode) {
+    try {
+        const response = await fetch(`/api/party/${partyCode}/reactions`);
+        if (!response.ok) return;
+        
+        showReactionCounts(await response.json());
+    } catch (error) {
+        console.error('Error fetching reactions:', error);
+    }
+}
+
+function showReactionCounts({ trackId, counts }) {
+    // Counts for a track that isn't shown (yet) would only confuse
+    if (trackId !== currentTrackId) {
+        return;
+    }
+    
+    for (const button of document.querySelectorAll('#reactionBar button')) {
+        button.querySelector('.reaction-count').textContent = formatNumber(counts[button.dataset.reaction] || 0);
+        button.classList.toggle('reacted', myReactions.has(button.dataset.reaction));
+    }
+}
+
+// MESSAGES (Short shout-outs everyone at the party sees)
+
+function setupMessages(partyCode) {
+    document.getElementById('messageForm').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        
+        const input = document.getElementById('messageInput');
+        const response = await fetch(`/api/party/${partyCode}/messages`, {
+            method: 'POST',
+            headers: sessionHeaders(),
+            body: JSON.stringify({
+                text: input.value,
+                name: document.getElementById('requesterName').value
+            })
+        });
+        
+        if (response.status === 401) {
+            await rejoinParty(partyCode);
+            return;
+        }
+        
+        const data = await response.json();
+        if (response.ok) {
+            input.value = '';
+            document.getElementById('messageError').textContent = '';
+            addMessage(partyCode, data);
+        } else {
+            document.getElementById('messageError').textContent = translateError(data);
+        }
+    });
+    
+    updateMessages(partyCode);
+}
+
+async function updateMessages(partyCode) {
+    try {
+        const response = await fetch(`/api/party/${partyCode}/messages`);
+        if (!response.ok) return;
+        
+        document.getElementById('messageList').replaceChildren();
+        for (const message of (await response.json()).messages) {
+            addMessage(partyCode, message);
+        }
+        showMessagesEmpty();
+    } catch (error) {
+        console.error('Error fetching messages:', error);
+    }
+}
+
+// Adds a message at the bottom, like a chat. The live update of my own message
+// may come before or after the answer to posting it, so it's only added once.
+function addMessage(partyCode, message) {
+    const messageList = document.getElementById('messageList');
+    if (messageList.querySelector(`[data-message-id="${message.messageId}"]`)) {
+        return;
+    }
+    
+    const item = document.createElement('li');
+    item.dataset.messageId = message.messageId;
+    
+    const text = document.createElement('span');
+    const name = document.createElement('strong');
+    name.textContent = `${message.name || (message.guestId === myGuestId ? t('messages.you') : t('messages.guest'))}: `;
+    text.appendChild(name);
+    text.append(message.text);
+    item.appendChild(text);
+    
+    if (hostToken) {
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = t('messages.delete');
+        deleteButton.addEventListener('click', () => {
+            hostRequest(partyCode, 'DELETE', `messages/${message.messageId}`);
+        });
+        item.appendChild(deleteButton);
+    }
+    
+    // Only follow new messages if we were already at the bottom
+    const atBottom = messageList.scrollTop + messageList.clientHeight >= messageList.scrollHeight - 10;
+    messageList.appendChild(item);
+    if (atBottom) {
+        messageList.scrollTop = messageList.scrollHeight;
+    }
+    showMessagesEmpty();
+}
+
+function removeMessage(messageId) {
+    const item = document.querySelector(`#messageList [data-message-id="${messageId}"]`);
+    if (item) {
+        item.remove();
+    }
+    showMessagesEmpty();
+}
+
+function showMessagesEmpty() {
+    document.getElementById('messagesEmpty').hidden = document.getElementById('messageList').children.length > 0;
+}
+
+// LIVE UPDATES (Server pushes track, vote and member changes)
+
+function startLiveUpdates(partyCode) {
+    // Show the current track straight away, even before the stream is open
+    updateCurrentTrack(partyCode);
+    connectEventStream(partyCode);
+}
+
+function connectEventStream(partyCode) {
+    eventSource = new EventSource(`/api/party/${partyCode}/events`);
+    
+    eventSource.addEventListener('open', () => {
+        stopPolling();
+    });
+    
+    eventSource.addEventListener('track-changed', (event) => {
+        showTrack(partyCode, JSON.parse(event.data));
+    });
+    
+    eventSource.addEventListener('vote-counts-changed', (event) => {
+        showVoteCounts(JSON.parse(event.data));
+    });
+    
+    eventSource.addEventListener('member-count-changed', (event) => {
+        showMemberCount(JSON.parse(event.data).count);
+    });
+    
+    eventSource.addEventListener('queue-changed', (event) => {
+        showQueue(partyCode, JSON.parse(event.data).requests);
+    });
+    
+    eventSource.addEventListener('poll-changed', (event) => {
+        showPoll(partyCode, JSON.parse(event.data).poll);
+    });
+    
+    eventSource.addEventListener('reaction-counts-changed', (event) => {
+        showReactionCounts(JSON.parse(event.data));
+    });
+    
+    eventSource.addEventListener('message-posted', (event) => {
+        addMessage(partyCode, JSON.parse(event.data).message);
+    });
+    
+    eventSource.addEventListener('message-deleted', (event) => {
+        removeMessage(JSON.parse(event.data).messageId);
+    });
+    
+    eventSource.addEventListener('plan-changed', (event) => {
+        showPlan(JSON.parse(event.data).plan);
+    });
+    
+    eventSource.addEventListener('settings-changed', (event) => {
+        if (hostToken) {
+            showSettings(JSON.parse(event.data));
+        }
+    });
+    
+    eventSource.addEventListener('devices-changed', (event) => {
+        if (hostToken) {
+            showDevices(partyCode, JSON.parse(event.data).devices);
+        }
+    });
+    
+    eventSource.addEventListener('guest-removed', (event) => {
+        if (JSON.parse(event.data).guestId === myGuestId) {
+            showPartyMessage(t('party.removed'));
+        }
+    });
+    
+    eventSource.addEventListener('party-ended', () => {
+        showPartyMessage(t('party.ended'), true);
+    });
+    
+    eventSource.addEventListener('error', () => {
+        if (partyOver) {
+            return;
+        }
+        
+        // The stream dropped, so fall back to polling until it is back
+        startPolling(partyCode);
+        
+        // The browser reconnects by itself, unless it gave up on the stream completely
+        if (eventSource.readyState === EventSource.CLOSED) {
+            setTimeout(() => connectEventStream(partyCode), 5000);
+        }
+    });
+}
+
+// POLLING (Fallback when the live stream is down)
 
 function startPolling(partyCode) {
+    if (pollingTimer) {
+        return;  // Already polling
+    }
+    
     // Check immediately
     updateCurrentTrack(partyCode);
+    updateMemberCount(partyCode);
+    updateQueue(partyCode);
+    updatePoll(partyCode);
+    updatePlan(partyCode);
+    updateReactionCounts(partyCode);
+    updateMessages(partyCode);
     
     // Then check every 3 seconds
-    setInterval(() => {
+    pollingTimer = setInterval(() => {
         updateCurrentTrack(partyCode);
+        updateMemberCount(partyCode);
+        updateQueue(partyCode);
+        updatePoll(partyCode);
+        updatePlan(partyCode);
+        updateReactionCounts(partyCode);
+        updateMessages(partyCode);
     }, 3000);
 }
 
+function stopPolling() {
+    clearInterval(pollingTimer);
+    pollingTimer = null;
+}
+
 async function updateCurrentTrack(partyCode) {
     // Get current track from server
     const response = await fetch(`/api/party/${partyCode}/currentTrack`);
+    
+    if (response.status === 404) {
+        showPartyMessage(t('party.notFound'));
+        return;
+    }
+    
+    if (!response.ok) {
+        return;  // Try again on the next update
+    }
+    
     const track = await response.json();
     
+    showTrack(partyCode, track);
+}
+
+function showTrack(partyCode, track) {
+    // Tell everyone when the previous track was cut short, instead of it just disappearing
+    if (track.skipped && currentTrackId && currentTrackId !== track.track_id) {
+        showSkipNotice(track.skipped);
+    }
+    
+    // The explanation and my reactions were for the previous track
+    if (currentTrackId !== track.track_id) {
+        document.getElementById('explanation').hidden = true;
+        myReactions = new Set();
+    }
+    currentTrackId = track.track_id;
+    
     // Update the display
     document.getElementById('partyCode').textContent = partyCode;
     document.getElementById('trackTitle').textContent = track.title;
     document.getElementById('trackArtist').textContent = track.artist;
-    document.getElementById('trackGenre').textContent = getGenreLabel(track.track_id);
+    document.getElementById('trackGenre').textContent = getGenreLabel(track.genres);
     
     // Update progress bar info
     trackDuration = track.duration;
     trackStartTime = track.startedAt;  // When the server started playing it
+    trackPausedAt = track.pausedAt;    // Set while the host has paused it
+    if (track.serverNow) {
+        clockOffset = track.serverNow - Date.now();
+    }
     document.getElementById('totalTime').textContent = formatTime(trackDuration);
+    document.getElementById('pauseBtn').textContent = trackPausedAt ? t('host.resume') : t('host.pause');
     
     // Update vote display
     updateVoteDisplay();
 }
 
+// "WHY THIS TRACK?" (Shows how the server picked the current track)
+
+function setupExplanation(partyCode) {
+    document.getElementById('whyBtn').addEventListener('click', () => {
+        const explanation = document.getElementById('explanation');
+        
+        if (explanation.hidden) {
+            showExplanation(partyCode);
+        } else {
+            explanation.hidden = true;
+        }
+    });
+}
+
+async function showExplanation(partyCode) {
+    const response = await fetch(`/api/party/${partyCode}/explain`);
+    if (!response.ok) return;
+    
+    const data = await response.json();
+    
+    document.getElementById('explanationStrategy').textContent = t('explain.score', {
+        strategy: getStrategyLabel(data.strategy, data.strategyLabel),
+        count: data.score
+    });
+    
+    const list = document.getElementById('explanationList');
+    list.replaceChildren();
+    
+    // Leave out the parts that didn't count (parts without points are notes, like "picked at random")
+    for (const part of data.breakdown) {
+        if (part.points === 0) {
+            continue;
+        }
+        
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = getBreakdownLabel(part);
+        item.appendChild(label);
+        
+        if (part.points !== undefined) {
+            const points = document.createElement('span');
+            points.textContent = formatNumber(part.points, { signDisplay: 'exceptZero' });
+            item.appendChild(points);
+        }
+        
+        list.appendChild(item);
+    }
+    
+    document.getElementById('explanation').hidden = false;
+}
+
+function showSkipNotice(skipped) {
+    const notice = document.getElementById('skipNotice');
+    
+    if (skipped.reason === 'votes') {
+        notice.textContent = t('skip.byVote', { title: skipped.title });
+    } else {
+        notice.textContent = t('skip.byHost', { title: skipped.title });
+    }
+    notice.hidden = false;
+    
+    // Hide it again after a few seconds
+    clearTimeout(notice.hideTimer);
+    notice.hideTimer = setTimeout(() => {
+        notice.hidden = true;
+    }, 5000);
+}
+
+// SONG REQUESTS (Search the catalog and ask for a track)
+
+function setupRequests(partyCode) {
+    // Remember the name between parties
+    const nameInput = document.getElementById('requesterName');
+    nameInput.value = localStorage.getItem('nexttrack-name') || '';
+    nameInput.addEventListener('change', () => {
+        localStorage.setItem('nexttrack-name', nameInput.value.trim());
+    });
+    
+    document.getElementById('searchForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+        searchCatalog(partyCode, 1);
+    });
+    
+    document.getElementById('prevPageBtn').addEventListener('click', () => {
+        searchCatalog(partyCode, searchPage - 1);
+    });
+    
+    document.getElementById('nextPageBtn').addEventListener('click', () => {
+        searchCatalog(partyCode, searchPage + 1);
+    });
+}
+
+async function searchCatalog(partyCode, page) {
+    const search = document.getElementById('searchInput').value.trim();
+    const response = await fetch(`/api/party/${partyCode}/tracks?q=${encodeURIComponent(search)}&page=${page}&pageSize=5`);
+    const data = await response.json();
+    
+    searchPage = data.page;
+    
+    const results = document.getElementById('searchResults');
+    results.replaceChildren();
+    
+    for (const track of data.tracks) {
+        const item = document.createElement('li');
+        item.appendChild(createTrackInfo(track.title, `${track.artist} · ${formatTime(track.duration)}`));
+        
+        const requestButton = document.createElement('button');
+        requestButton.textContent = t('requests.request');
+        requestButton.addEventListener('click', () => requestTrack(partyCode, track.track_id));
+        item.appendChild(requestButton);
+        
+        results.appendChild(item);
+    }
+    
+    // Only show the page buttons when there is more than one page
+    const pageCount = Math.ceil(data.total / data.pageSize);
+    document.getElementById('pagination').hidden = pageCount <= 1;
+    document.getElementById('pageInfo').textContent = `${formatNumber(data.page)} / ${formatNumber(pageCount)}`;
+    document.getElementById('prevPageBtn').disabled = data.page <= 1;
+    document.getElementById('nextPageBtn').disabled = data.page >= pageCount;
+    
+    document.getElementById('requestMessage').textContent = data.total === 0 ? t('requests.noResults') : '';
+}
+
+async function requestTrack(partyCode, trackId) {
+    const response = await fetch(`/api/party/${partyCode}/requests`, {
+        method: 'POST',
+        headers: sessionHeaders(),
+        body: JSON.stringify({
+            trackId: trackId,
+            name: document.getElementById('requesterName').value
+        })
+    });
+    
+    const data = await response.json();
+    document.getElementById('requestMessage').textContent = response.ok ? t('requests.requested') : translateError(data);
+    
+    if (response.ok && pollingTimer) {
+        updateQueue(partyCode);
+    }
+}
+
+async function upvoteRequest(partyCode, trackId) {
+    await fetch(`/api/party/${partyCode}/requests/${trackId}/upvote`, {
+        method: 'POST',
+        headers: sessionHeaders()
+    });
+    
+    if (pollingTimer) {
+        updateQueue(partyCode);
+    }
+}
+
+async function updateQueue(partyCode) {
+    try {
+        const response = await fetch(`/api/party/${partyCode}/requests`);
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        showQueue(partyCode, data.requests);
+    } catch (error) {
+        console.error('Error fetching requests:', error);
+    }
+}
+
+function showQueue(partyCode, requests) {
+    const queueList = document.getElementById('queueList');
+    queueList.replaceChildren();
+    
+    for (const request of requests) {
+        const item = document.createElement('li');
+        const requester = request.requesterName || t('requests.aGuest');
+        item.appendChild(createTrackInfo(request.title, `${request.artist} · ${t('requests.requestedBy', { name: requester })}`));
+        
+        const upvoteButton = document.createElement('button');
+        upvoteButton.textContent = `👍 ${formatNumber(request.upvotes)}`;
+        upvoteButton.addEventListener('click', () => upvoteRequest(partyCode, request.track_id));
+        item.appendChild(upvoteButton);
+        
+        queueList.appendChild(item);
+    }
+    
+    document.getElementById('queueEmpty').hidden = requests.length > 0;
+}
+
+// NEXT-TRACK POLL (Guests pick the next track near the end of this one)
+
+async function updatePoll(partyCode) {
+    try {
+        const response = await fetch(`/api/party/${partyCode}/poll`, {
+            headers: sessionHeaders()
+        });
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        myBallot = data.myBallot;
+        showPoll(partyCode, data.poll);
+    } catch (error) {
+        console.error('Error fetching poll:', error);
+    }
+}
+
+async function castBallot(partyCode, trackId) {
+    const response = await fetch(`/api/party/${partyCode}/poll/ballot`, {
+        method: 'POST',
+        headers: sessionHeaders(),
+        body: JSON.stringify({ trackId: trackId })
+    });
+    
+    // The live update may arrive before we know the ballot is ours, so ask again
+    if (response.ok) {
+        updatePoll(partyCode);
+    }
+}
+
+function showPoll(partyCode, poll) {
+    const section = document.getElementById('pollSection');
+    const pollList = document.getElementById('pollList');
+    pollList.replaceChildren();
+    
+    if (!poll) {
+        myBallot = null;
+        section.hidden = true;
+        return;
+    }
+    
+    // A new poll has none of my ballots yet
+    if (!poll.candidates.some(candidate => candidate.track_id === myBallot)) {
+        myBallot = null;
+    }
+    
+    const totalVotes = poll.candidates.reduce((sum, candidate) => sum + candidate.votes, 0);
+    
+    for (const candidate of poll.candidates) {
+        const item = document.createElement('li');
+        const votes = t('poll.votes', { count: candidate.votes });
+        const info = createTrackInfo(candidate.title, `${candidate.artist} · ${votes}`);
+        
+        const tally = document.createElement('div');
+        tally.className = 'poll-tally';
+        const fill = document.createElement('div');
+        fill.className = 'poll-tally-fill';
+        fill.style.width = `${totalVotes > 0 ? candidate.votes / totalVotes * 100 : 0}%`;
+        tally.appendChild(fill);
+        info.appendChild(tally);
+        item.appendChild(info);
+        
+        const ballotButton = document.createElement('button');
+        const isMine = candidate.track_id === myBallot;
+        ballotButton.textContent = isMine ? t('poll.myPick') : t('poll.pick');
+        ballotButton.classList.toggle('voted', isMine);
+        ballotButton.addEventListener('click', () => castBallot(partyCode, candidate.track_id));
+        item.appendChild(ballotButton);
+        
+        pollList.appendChild(item);
+    }
+    
+    section.hidden = false;
+}
+
+// DJ SET PLAN (The phase of the night the host planned, e.g. "Warm up")
+
+async function updatePlan(partyCode) {
+    try {
+        const response = await fetch(`/api/party/${partyCode}/plan`);
+        if (!response.ok) return;
+        
+        showPlan((await response.json()).plan);
+    } catch (error) {
+        console.error('Error fetching plan:', error);
+    }
+}
+
+function showPlan(plan) {
+    const planPhase = document.getElementById('planPhase');
+    if (!plan) {
+        planPhase.hidden = true;
+        return;
+    }
+    
+    const phase = plan.current;
+    let text = `🎚 ${phase.name}`;
+    if (phase.tracksLeft !== null) {
+        text += ` · ${t('plan.tracksLeft', { count: phase.tracksLeft })}`;
+    } else if (phase.endsAt !== null) {
+        const minutesLeft = Math.max(0, Math.ceil((phase.endsAt - (Date.now() + clockOffset)) / 60000));
+        text += ` · ${t('plan.minutesLeft', { count: minutesLeft })}`;
+    }
+    if (plan.next) {
+        text += t('plan.then', { name: plan.next });
+    }
+    
+    planPhase.textContent = text;
+    planPhase.hidden = false;
+}
+
+function createTrackInfo(title, details) {
+    const info = document.createElement('span');
+    info.className = 'request-info';
+    info.textContent = title;
+    
+    const small = document.createElement('small');
+    small.textContent = details;
+    info.appendChild(small);
+    
+    return info;
+}
+
 // PROGRESS BAR
 
 function startProgressBar() {
@@ -158,8 +938,9 @@ function updateProgressBar() {
         return;  // No track loaded yet
     }
     
-    // Calculate how far through the track we are
-    const now = Date.now();
+    // Calculate how far through the track we are, by the server's clock
+    // (time stands still while paused)
+    const now = trackPausedAt || Date.now() + clockOffset;
     const elapsed = now - trackStartTime;
     let percentage = (elapsed / trackDuration) * 100;
     
@@ -178,10 +959,11 @@ function formatTime(milliseconds) {
     const minutes = Math.floor(totalSeconds / 60);
     const seconds = totalSeconds % 60;
     
-    // Add leading zero to seconds if needed (e.g., 3:05 instead of 3:5)
-    const secondsString = seconds < 10 ? '0' + seconds : seconds;
+    // Add leading zero to seconds if needed (e.g., 3:05 instead of 3:5),
+    // in the digits of the guest's language
+    const secondsString = formatNumber(seconds, { minimumIntegerDigits: 2 });
     
-    return minutes + ':' + secondsString;
+    return formatNumber(minutes) + ':' + secondsString;
 }
 
 // HEARTBEAT (Let server know we're still here)
@@ -191,19 +973,23 @@ function startHeartbeat(partyCode) {
     sendHeartbeat(partyCode);
     
     // Then send every 5 seconds
-    setInterval(() => {
+    heartbeatTimer = setInterval(() => {
         sendHeartbeat(partyCode);
-        updateMemberCount(partyCode);
     }, 5000);
 }
 
 async function sendHeartbeat(partyCode) {
     try {
-        await fetch(`/api/party/${partyCode}/heartbeat`, {
+        const response = await fetch(`/api/party/${partyCode}/heartbeat`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sessionId: sessionId })
+            headers: sessionHeaders()
         });
+        
+        if (response.status === 401) {
+            await rejoinParty(partyCode);
+        } else if (response.status === 403) {
+            showPartyMessage(t('party.removed'));
+        }
     } catch (error) {
         console.error('Error sending heartbeat:', error);
     }
@@ -215,22 +1001,605 @@ async function updateMemberCount(partyCode) {
         if (!response.ok) return;
         
         const data = await response.json();
-        document.getElementById('memberCount').textContent = data.count;
+        showMemberCount(data.count);
     } catch (error) {
         console.error('Error fetching member count:', error);
     }
 }
 
+function showMemberCount(count) {
+    document.getElementById('memberCount').textContent = t('party.members', { count: count });
+    
+    if (hostToken) {
+        updateGuestList(getPartyCode());
+    }
+}
+
+// HOST CONTROLS (Only for the one who created the party)
+
+function setupHostControls(partyCode) {
+    document.getElementById('hostPanel').hidden = false;
+    document.getElementById('screenLink').href = `/party/${partyCode}/screen`;
+    setupStrategySelect(partyCode);
+    setupSettings(partyCode);
+    setupPlanEditor(partyCode);
+    setupDevices(partyCode);
+    setupWebhooks(partyCode);
+    
+    // Jump to where the host taps on the progress bar
+    const progressBar = document.getElementById('progressBar');
+    progressBar.classList.add('seekable');
+    progressBar.addEventListener('click', (event) => {
+        const rect = progressBar.getBoundingClientRect();
+        const position = Math.round((event.clientX - rect.left) / rect.width * trackDuration);
+        
+        fetch(`/api/party/${partyCode}/seek`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${hostToken}`
+            },
+            body: JSON.stringify({ position: position })
+        });
+    });
+    
+    document.getElementById('skipBtn').addEventListener('click', () => {
+        hostRequest(partyCode, 'POST', 'skip');
+    });
+    
+    document.getElementById('pauseBtn').addEventListener('click', () => {
+        hostRequest(partyCode, 'POST', trackPausedAt ? 'resume' : 'pause');
+    });
+    
+    document.getElementById('endBtn').addEventListener('click', async () => {
+        if (!confirm(t('host.confirmEnd'))) {
+            return;
+        }
+        const response = await hostRequest(partyCode, 'DELETE', '');
+        if (response.ok) {
+            localStorage.removeItem(`nexttrack-host-${partyCode}`);
+            showPartyMessage(t('party.youEnded'), true);
+        }
+    });
+}
+
+async function setupSettings(partyCode) {
+    // One checkbox per genre
+    const genreOptions = document.getElementById('genreOptions');
+    for (const genre of genreLabels.keys()) {
+        const option = document.createElement('label');
+        option.className = 'checkbox';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = genre;
+        option.appendChild(checkbox);
+        option.append(getGenreLabel([genre]));
+        
+        genreOptions.appendChild(option);
+    }
+    
+    const response = await fetch(`/api/party/${partyCode}/settings`);
+    if (response.ok) {
+        showSettings(await response.json());
+    }
+    
+    document.getElementById('settingsForm').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        
+        const checkedGenres = genreOptions.querySelectorAll('input:checked');
+        const settings = {
+            allowedGenres: Array.from(checkedGenres).map(checkbox => checkbox.value),
+            minDuration: secondsToMilliseconds(document.getElementById('minDurationInput').value),
+            maxDuration: secondsToMilliseconds(document.getElementById('maxDurationInput').value),
+            allowExplicit: document.getElementById('allowExplicitInput').checked,
+            nextTrackPoll: document.getElementById('nextTrackPollInput').checked,
+            historySize: Number(document.getElementById('historySizeInput').value),
+            artistSpacing: Number(document.getElementById('artistSpacingInput').value)
+        };
+        
+        const saveResponse = await fetch(`/api/party/${partyCode}/settings`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${hostToken}`
+            },
+            body: JSON.stringify(settings)
+        });
+        
+        const data = await saveResponse.json();
+        document.getElementById('settingsMessage').textContent = saveResponse.ok ? t('settings.saved') : translateError(data);
+    });
+}
+
+function showSettings(settings) {
+    for (const checkbox of document.querySelectorAll('#genreOptions input')) {
+        checkbox.checked = settings.allowedGenres.includes(checkbox.value);
+    }
+    document.getElementById('minDurationInput').value = settings.minDuration ? settings.minDuration / 1000 : '';
+    document.getElementById('maxDurationInput').value = settings.maxDuration ? settings.maxDuration / 1000 : '';
+    document.getElementById('allowExplicitInput').checked = settings.allowExplicit;
+    document.getElementById('nextTrackPollInput').checked = settings.nextTrackPoll;
+    document.getElementById('historySizeInput').value = settings.historySize;
+    document.getElementById('artistSpacingInput').value = settings.artistSpacing;
+}
+
+// Empty means no limit
+function secondsToMilliseconds(value) {
+    return value === '' ? null : Math.round(Number(value) * 1000);
+}
+
+async function setupPlanEditor(partyCode) {
+    const response = await fetch(`/api/party/${partyCode}/plan`);
+    const plan = response.ok ? (await response.json()).plan : null;
+    showPlanEditor(plan);
+    
+    document.getElementById('addPhaseBtn').addEventListener('click', () => {
+        addPhaseRow({ name: '', minutes: 30, tracks: null, genres: [], energy: null, strength: 5 });
+    });
+    
+    document.getElementById('planForm').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        
+        const saveResponse = await fetch(`/api/party/${partyCode}/plan`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${hostToken}`
+            },
+            body: JSON.stringify({ phases: readPhaseRows() })
+        });
+        
+        const data = await saveResponse.json();
+        document.getElementById('planMessage').textContent = saveResponse.ok ? t('plan.saved') : translateError(data);
+    });
+    
+    document.getElementById('removePlanBtn').addEventListener('click', async () => {
+        const removeResponse = await hostRequest(partyCode, 'DELETE', 'plan');
+        if (removeResponse.ok) {
+            showPlanEditor(null);
+            document.getElementById('planPreview').hidden = true;
+            document.getElementById('planMessage').textContent = t('plan.removed');
+        }
+    });
+    
+    document.getElementById('previewPlanBtn').addEventListener('click', () => previewPlan(partyCode));
+}
+
+function showPlanEditor(plan) {
+    document.getElementById('planPhases').replaceChildren();
+    
+    const phases = plan ? plan.phases : [
+        { name: t('plan.warmUp'), minutes: 30, tracks: null, genres: [], energy: 0.3, strength: 5 },
+        { name: t('plan.peakTime'), minutes: null, tracks: null, genres: [], energy: 0.8, strength: 5 }
+    ];
+    for (const phase of phases) {
+        addPhaseRow(phase);
+    }
+}
+
+// One list item per phase, read back by readPhaseRows
+function addPhaseRow(phase) {
+    const item = document.createElement('li');
+    
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'phase-name';
+    name.placeholder = t('plan.namePlaceholder');
+    name.maxLength = 40;
+    name.required = true;
+    name.value = phase.name;
+    item.appendChild(name);
+    
+    const length = document.createElement('input');
+    length.type = 'number';
+    length.className = 'phase-length';
+    length.min = 1;
+    length.value = phase.minutes ?? phase.tracks ?? '';
+    item.appendChild(length);
+    
+    const unit = document.createElement('select');
+    unit.className = 'phase-unit';
+    for (const value of ['minutes', 'tracks', 'end']) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = t(`plan.unit.${value}`);
+        unit.appendChild(option);
+    }
+    unit.value = phase.minutes !== null ? 'minutes' : phase.tracks !== null ? 'tracks' : 'end';
+    length.hidden = unit.value === 'end';
+    unit.addEventListener('change', () => {
+        length.hidden = unit.value === 'end';
+    });
+    item.appendChild(unit);
+    
+    const energyLabel = document.createElement('label');
+    energyLabel.textContent = t('plan.energy');
+    const energy = document.createElement('input');
+    energy.type = 'number';
+    energy.className = 'phase-energy';
+    energy.min = 0;
+    energy.max = 1;
+    energy.step = 0.1;
+    energy.placeholder = t('plan.anyEnergy');
+    energy.value = phase.energy ?? '';
+    energyLabel.appendChild(energy);
+    item.appendChild(energyLabel);
+    
+    const strengthLabel = document.createElement('label');
+    strengthLabel.textContent = t('plan.strength');
+    const strength = document.createElement('input');
+    strength.type = 'number';
+    strength.className = 'phase-strength';
+    strength.min = 0;
+    strength.max = 10;
+    strength.value = phase.strength;
+    strengthLabel.appendChild(strength);
+    item.appendChild(strengthLabel);
+    
+    // Hold Ctrl or Cmd to pick more than one
+    const genres = document.createElement('select');
+    genres.className = 'phase-genres';
+    genres.multiple = true;
+    genres.title = t('plan.genres');
+    for (const genre of genreLabels.keys()) {
+        const option = document.createElement('option');
+        option.value = genre;
+        option.textContent = getGenreLabel([genre]);
+        option.selected = phase.genres.includes(genre);
+        genres.appendChild(option);
+    }
+    item.appendChild(genres);
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.textContent = t('common.remove');
+    removeButton.addEventListener('click', () => item.remove());
+    item.appendChild(removeButton);
+    
+    document.getElementById('planPhases').appendChild(item);
+}
+
+function readPhaseRows() {
+    return Array.from(document.querySelectorAll('#planPhases li')).map(item => {
+        const unit = item.querySelector('.phase-unit').value;
+        const length = Number(item.querySelector('.phase-length').value);
+        const energy = item.querySelector('.phase-energy').value;
+        return {
+            name: item.querySelector('.phase-name').value,
+            minutes: unit === 'minutes' ? length : null,
+            tracks: unit === 'tracks' ? length : null,
+            genres: Array.from(item.querySelector('.phase-genres').selectedOptions).map(option => option.value),
+            energy: energy === '' ? null : Number(energy),
+            strength: Number(item.querySelector('.phase-strength').value)
+        };
+    });
+}
+
+// Shows what the saved plan would play next, e.g. "21:40 Warm up: Title – Artist"
+async function previewPlan(partyCode) {
+    const response = await hostRequest(partyCode, 'GET', 'plan/preview?count=10');
+    if (!response.ok) return;
+    
+    const preview = document.getElementById('planPreview');
+    preview.replaceChildren();
+    
+    for (const pick of (await response.json()).picks) {
+        const item = document.createElement('li');
+        const time = formatClock(pick.startsAt - clockOffset);
+        const phase = pick.phase ? ` ${pick.phase}:` : '';
+        item.textContent = `${time}${phase} ${pick.title} – ${pick.artist} (${getGenreLabel(pick.genres)})`;
+        preview.appendChild(item);
+    }
+    preview.hidden = false;
+}
+
+function setupDevices(partyCode) {
+    document.getElementById('addDeviceBtn').addEventListener('click', async () => {
+        const name = prompt(t('host.speakerName'));
+        if (!name) return;
+        
+        await fetch(`/api/party/${partyCode}/devices`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${hostToken}`
+            },
+            body: JSON.stringify({ name: name })
+        });
+        updateDevices(partyCode);
+    });
+    
+    updateDevices(partyCode);
+}
+
+async function updateDevices(partyCode) {
+    const response = await hostRequest(partyCode, 'GET', 'devices');
+    if (!response.ok) return;
+    
+    const data = await response.json();
+    showDevices(partyCode, data.devices);
+}
+
+function showDevices(partyCode, devices) {
+    const deviceList = document.getElementById('deviceList');
+    
+    // Don't redraw while the host is dragging a volume slider
+    if (deviceList.contains(document.activeElement) && document.activeElement.type === 'range') {
+        return;
+    }
+    deviceList.replaceChildren();
+    
+    for (const device of devices) {
+        const item = document.createElement('li');
+        
+        const name = document.createElement('span');
+        name.textContent = `🔊 ${device.name}`;
+        item.appendChild(name);
+        
+        const volume = document.createElement('input');
+        volume.type = 'range';
+        volume.min = 0;
+        volume.max = 100;
+        volume.value = device.volume;
+        volume.addEventListener('change', () => {
+            fetch(`/api/party/${partyCode}/devices/${device.deviceId}/volume`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${hostToken}`
+                },
+                body: JSON.stringify({ volume: Number(volume.value) })
+            });
+        });
+        item.appendChild(volume);
+        
+        const removeButton = document.createElement('button');
+        removeButton.textContent = t('common.remove');
+        removeButton.addEventListener('click', async () => {
+            await hostRequest(partyCode, 'DELETE', `devices/${device.deviceId}`);
+            updateDevices(partyCode);
+        });
+        item.appendChild(removeButton);
+        
+        deviceList.appendChild(item);
+    }
+}
+
+async function setupStrategySelect(partyCode) {
+    const select = document.getElementById('strategySelect');
+    
+    const [strategiesResponse, partyResponse] = await Promise.all([
+        fetch('/api/strategies'),
+        fetch(`/api/party/${partyCode}`)
+    ]);
+    if (!strategiesResponse.ok || !partyResponse.ok) return;
+    
+    const strategies = await strategiesResponse.json();
+    const party = await partyResponse.json();
+    
+    for (const strategy of strategies) {
+        const option = document.createElement('option');
+        option.value = strategy.strategy;
+        option.textContent = getStrategyLabel(strategy.strategy, strategy.label);
+        select.appendChild(option);
+    }
+    select.value = party.strategy;
+    
+    select.addEventListener('change', async () => {
+        const response = await fetch(`/api/party/${partyCode}/strategy`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${hostToken}`
+            },
+            body: JSON.stringify({ strategy: select.value })
+        });
+        
+        // Go back to what the server has if it didn't take it
+        if (!response.ok) {
+            select.value = party.strategy;
+        } else {
+            party.strategy = select.value;
+        }
+    });
+}
+
+// Sends a request to a host-only endpoint, with the host token to prove it's us
+async function hostRequest(partyCode, method, action) {
+    const url = action ? `/api/party/${partyCode}/${action}` : `/api/party/${partyCode}`;
+    const response = await fetch(url, {
+        method: method,
+        headers: { 'Authorization': `Bearer ${hostToken}` }
+    });
+    
+    if (!response.ok) {
+        console.error('Host action failed:', method, url, response.status);
+    }
+    return response;
+}
+
+async function updateGuestList(partyCode) {
+    const response = await hostRequest(partyCode, 'GET', 'guests');
+    if (!response.ok) return;
+    
+    const data = await response.json();
+    const guestList = document.getElementById('guestList');
+    guestList.replaceChildren();
+    
+    data.guests.forEach((guest, index) => {
+        const item = document.createElement('li');
+        
+        const name = document.createElement('span');
+        name.textContent = guest.guestId === myGuestId ? t('guests.you') : t('guests.guest', { number: index + 1 });
+        item.appendChild(name);
+        
+        if (guest.guestId !== myGuestId) {
+            const removeButton = document.createElement('button');
+            removeButton.textContent = t('common.remove');
+            removeButton.addEventListener('click', async () => {
+                await hostRequest(partyCode, 'DELETE', `guests/${guest.guestId}`);
+                updateGuestList(partyCode);
+            });
+            item.appendChild(removeButton);
+        }
+        
+        guestList.appendChild(item);
+    });
+}
+
+function setupWebhooks(partyCode) {
+    document.getElementById('webhookForm').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const urlInput = document.getElementById('webhookUrlInput');
+        
+        const response = await fetch(`/api/party/${partyCode}/webhooks`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${hostToken}`
+            },
+            body: JSON.stringify({ url: urlInput.value })
+        });
+        
+        // The secret is only ever shown here, the receiver needs it to check signatures
+        const data = await response.json();
+        document.getElementById('webhookMessage').textContent = response.ok
+            ? t('webhooks.added', { secret: data.secret })
+            : translateError(data);
+        
+        if (response.ok) {
+            urlInput.value = '';
+            updateWebhooks(partyCode);
+        }
+    });
+    
+    updateWebhooks(partyCode);
+}
+
+async function updateWebhooks(partyCode) {
+    const response = await hostRequest(partyCode, 'GET', 'webhooks');
+    if (!response.ok) return;
+    
+    const data = await response.json();
+    const webhookList = document.getElementById('webhookList');
+    webhookList.replaceChildren();
+    
+    for (const webhook of data.webhooks) {
+        const item = document.createElement('li');
+        
+        const url = document.createElement('span');
+        url.className = 'webhook-url';
+        url.textContent = webhook.url;
+        item.appendChild(url);
+        
+        const log = document.createElement('ol');
+        log.className = 'webhook-log';
+        log.hidden = true;
+        
+        const testButton = document.createElement('button');
+        testButton.textContent = t('webhooks.test');
+        testButton.addEventListener('click', async () => {
+            await hostRequest(partyCode, 'POST', `webhooks/${webhook.webhookId}/test`);
+            // Give the receiver a moment to answer before showing the log
+            setTimeout(() => showWebhookLog(partyCode, webhook.webhookId, log), 1000);
+        });
+        item.appendChild(testButton);
+        
+        const logButton = document.createElement('button');
+        logButton.textContent = t('webhooks.log');
+        logButton.addEventListener('click', () => {
+            if (log.hidden) {
+                showWebhookLog(partyCode, webhook.webhookId, log);
+            } else {
+                log.hidden = true;
+            }
+        });
+        item.appendChild(logButton);
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'remove';
+        removeButton.textContent = t('common.remove');
+        removeButton.addEventListener('click', async () => {
+            await hostRequest(partyCode, 'DELETE', `webhooks/${webhook.webhookId}`);
+            updateWebhooks(partyCode);
+        });
+        item.appendChild(removeButton);
+        
+        item.appendChild(log);
+        webhookList.appendChild(item);
+    }
+}
+
+// Shows the latest delivery attempts of a webhook, e.g. "21:04:12 track-started: 204"
+async function showWebhookLog(partyCode, webhookId, log) {
+    const response = await hostRequest(partyCode, 'GET', `webhooks/${webhookId}/deliveries?limit=10`);
+    if (!response.ok) return;
+    
+    const data = await response.json();
+    log.replaceChildren();
+    
+    for (const delivery of data.deliveries) {
+        const entry = document.createElement('li');
+        const time = formatClock(delivery.attemptedAt, 'medium');
+        const attempt = delivery.attempt > 1 ? ` ${t('webhooks.attempt', { number: delivery.attempt })}` : '';
+        const result = delivery.status !== null ? delivery.status : delivery.error;
+        entry.textContent = `${time} ${delivery.event}${attempt}: ${result}`;
+        entry.classList.toggle('failed', !delivery.succeeded);
+        log.appendChild(entry);
+    }
+    
+    if (data.deliveries.length === 0) {
+        const entry = document.createElement('li');
+        entry.textContent = t('webhooks.nothingSent');
+        log.appendChild(entry);
+    }
+    log.hidden = false;
+}
+
 // HELPER FUNCTIONS
 
-function getGenreLabel(trackId) {
-    // Convert track ID to genre
-    const id = parseInt(trackId);
-    if (id >= 1000 && id < 2000) return 'Pop';
-    if (id >= 2000 && id < 3000) return 'Chill';
-    if (id >= 3000 && id < 4000) return 'Energy';
-    if (id >= 4000 && id < 5000) return 'Party';
-    if (id >= 5000 && id < 6000) return 'Running';
-    if (id >= 6000 && id < 7000) return 'Relaxing';
-    return 'Music';
+async function loadGenreLabels() {
+    try {
+        const response = await fetch('/api/genres');
+        const genres = await response.json();
+        
+        for (const genre of genres) {
+            genreLabels.set(genre.genre, genre.label);
+        }
+    } catch (error) {
+        console.error('Error loading genres:', error);
+    }
+}
+
+function getGenreLabel(genres) {
+    // Convert the track's genres to labels, e.g. "Pop · Dance"
+    // (the server's label is for genres added after the translations were written)
+    if (!genres || genres.length === 0) {
+        return t('genres.none');
+    }
+    return genres.map(genre => getMessageOr(`genres.${genre}`, genreLabels.get(genre) || genre)).join(' · ');
+}
+
+// Strategies are named by the server too, but in English only
+function getStrategyLabel(strategy, label) {
+    return getMessageOr(`strategies.${strategy}`, label);
+}
+
+function getMessageOr(key, fallback) {
+    return hasMessage(key) ? t(key) : fallback;
+}
+
+// A part of a pick's breakdown in our language, or the server's English label for codes we don't know
+function getBreakdownLabel(part) {
+    if (!part.code || !hasMessage(`explain.${part.code}`)) {
+        return part.label;
+    }
+    
+    // t formats the count, the other numbers (like a score of 1.5) are formatted here
+    const params = {};
+    for (const [name, value] of Object.entries(part.params || {})) {
+        params[name] = typeof value === 'number' && name !== 'count' ? formatNumber(value) : value;
+    }
+    return t(`explain.${part.code}`, params);
 }
\ No newline at end of file
@@ -1,20 +1,49 @@
+import { t, translatePage, setupLanguageSelect } from './i18n.js';
+
+translatePage();
+setupLanguageSelect(document.getElementById('languageSelect'));
+
 // Handle join party form
-document.getElementById('joinForm').addEventListener('submit', (e) => {
+document.getElementById('joinForm').addEventListener('submit', async (e) => {
     e.preventDefault();
     
     const partyCode = document.getElementById('partyCodeInput').value.trim();
     
     if (partyCode) {
+        // Make sure the party exists before going there
+        const response = await fetch(`/api/party/${encodeURIComponent(partyCode)}`);
+        
+        if (response.status === 404) {
+            showError('joinError', t('landing.notFound'));
+            return;
+        }
+        
         // Go to party page
         window.location.href = `/party/${partyCode}`;
     }
 });
 
 // Handle create party button
-document.getElementById('createButton').addEventListener('click', () => {
-    // Generate random 4-character party code
-    const partyCode = crypto.randomUUID().substring(0, 4);
+document.getElementById('createButton').addEventListener('click', async () => {
+    // The server picks the party code and makes us the host
+    const response = await fetch('/api/parties', { method: 'POST' });
+    
+    if (!response.ok) {
+        showError('createError', t('landing.createFailed'));
+        return;
+    }
+    
+    const party = await response.json();
+    
+    // Remember the host token so the party page shows the host controls
+    localStorage.setItem(`nexttrack-host-${party.partyCode}`, party.hostToken);
     
     // Go to new party page
-    window.location.href = `/party/${partyCode}`;
-});
\ No newline at end of file
+    window.location.href = `/party/${party.partyCode}`;
+});
+
+function showError(elementId, message) {
+    const element = document.getElementById(elementId);
+    element.textContent = message;
+    element.hidden = false;
+}
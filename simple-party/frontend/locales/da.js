@@ -0,0 +1,243 @@
+// Danish messages, with the same keys as en.js
+
+export default {
+    // Party page
+    'party.code': 'Festkode:',
+    'party.members': { one: '{count} person her', other: '{count} personer her' },
+    'party.notFound': 'Festen blev ikke fundet. Den er måske slut, eller koden er forkert.',
+    'party.removed': 'Værten har fjernet dig fra festen.',
+    'party.ended': 'Festen er slut. Tak fordi du kom!',
+    'party.youEnded': 'Du har afsluttet festen.',
+    'party.recapLink': 'Se hvad der blev spillet',
+    'party.backToStart': 'Tilbage til start',
+    
+    'profile.likedTracks': 'Mine yndlingsnumre',
+    'profile.nickname': 'Kaldenavn',
+    'profile.remember': 'Husk min smag',
+    
+    'track.loading': 'Indlæser...',
+    'track.wait': 'Vent venligst...',
+    'track.why': 'Hvorfor dette nummer?',
+    'explain.score': { one: '{strategy}: {count} point', other: '{strategy}: {count} point' },
+    'explain.party-votes': 'Stemmer til denne fest',
+    'explain.recent-votes': 'Nylige stemmer til denne fest',
+    'explain.other-party-votes': 'Stemmer til andre fester',
+    'explain.profile-likes': 'Kunne lide af gæster her til tidligere fester',
+    'explain.similar-genres': 'Har genrer til fælles med numre, I kunne lide',
+    'explain.similar-energy': 'Samme energi som numre, I kunne lide',
+    'explain.same-artist': 'Samme kunstner som numre, I kunne lide',
+    'explain.reactions': 'Reaktioner til denne fest',
+    'explain.phase-genre': 'Genren passer til fasen "{phase}"',
+    'explain.phase-energy': 'Energien passer til fasen "{phase}"',
+    'explain.drawn-at-random': 'Trukket tilfældigt ({chance} % chance)',
+    'explain.tie-break': 'Valgt tilfældigt blandt {count} lige gode numre',
+    'explain.requested-by': 'Ønsket af {name}',
+    'explain.requested-by-guest': 'Ønsket af en gæst',
+    'explain.request-upvotes': 'Stemmer på ønsket',
+    'explain.poll-votes': 'Stemmer i afstemningen',
+    'explain.poll-won': {
+        one: 'Vandt over {count} andet nummer, med en score på {score} før afstemningen',
+        other: 'Vandt over {count} andre numre, med en score på {score} før afstemningen',
+    },
+    'skip.byVote': '⏭ "{title}" blev stemt væk',
+    'skip.byHost': '⏭ Værten sprang "{title}" over',
+    
+    'voting.hint': 'Stem på numrene, og vær med til at bestemme, hvad der spiller næste gang!',
+    
+    'poll.title': 'Stem på det næste nummer',
+    'poll.hint': 'Nummeret med flest stemmer spiller næste gang. Du kan skifte mening indtil da.',
+    'poll.votes': { one: '{count} stemme', other: '{count} stemmer' },
+    'poll.pick': 'Vælg',
+    'poll.myPick': '✓ Mit valg',
+    
+    'messages.title': 'Hilsener',
+    'messages.empty': 'Ingen beskeder endnu. Sig hej!',
+    'messages.placeholder': 'Skriv noget til festen',
+    'messages.send': 'Send',
+    'messages.you': 'Dig',
+    'messages.guest': 'Gæst',
+    'messages.delete': 'Slet',
+    
+    'requests.upNext': 'Næste i køen',
+    'requests.empty': 'Ingen ønsker endnu. Vær den første!',
+    'requests.title': 'Ønsk en sang',
+    'requests.searchPlaceholder': 'Søg efter titel eller kunstner',
+    'requests.search': 'Søg',
+    'requests.namePlaceholder': 'Dit navn (valgfrit)',
+    'requests.previousPage': '‹ Forrige',
+    'requests.nextPage': 'Næste ›',
+    'requests.request': 'Ønsk',
+    'requests.requested': 'Ønsket! 🎶',
+    'requests.noResults': 'Ingen numre fundet.',
+    'requests.requestedBy': 'ønsket af {name}',
+    'requests.aGuest': 'en gæst',
+    
+    'plan.tracksLeft': { one: '{count} nummer mere', other: '{count} numre mere' },
+    'plan.minutesLeft': 'ca. {count} min tilbage',
+    'plan.then': ', derefter {name}',
+    
+    // Host controls
+    'host.title': 'Værtens knapper',
+    'host.skip': '⏭ Spring over',
+    'host.pause': '⏸ Pause',
+    'host.resume': '▶ Fortsæt',
+    'host.end': 'Afslut festen',
+    'host.confirmEnd': 'Vil du afslutte festen for alle?',
+    'host.seekHint': 'Tryk på statuslinjen for at springe frem eller tilbage i nummeret.',
+    'host.screenLink': 'Åbn storskærmen',
+    'host.screenHint': 'på en projektor eller et tv, så gæsterne kan scanne sig ind.',
+    'host.speakers': 'Højttalere',
+    'host.addSpeaker': '+ Tilføj højttaler',
+    'host.speakerName': 'Navn på højttaleren, f.eks. "Køkken"',
+    'host.strategy': 'Sådan vælges numrene',
+    'host.guests': 'Gæster',
+    
+    'settings.title': 'Indstillinger for festen',
+    'settings.genres': 'Genrer (ingen valgt = alle)',
+    'settings.shortest': 'Korteste nummer (sekunder)',
+    'settings.longest': 'Længste nummer (sekunder)',
+    'settings.noLimit': 'Ingen grænse',
+    'settings.allowExplicit': 'Tillad numre med eksplicit indhold',
+    'settings.nextTrackPoll': 'Lad gæsterne stemme om det næste nummer, når et nummer nærmer sig slutningen',
+    'settings.trackSpacing': 'Gentag ikke et nummer inden for',
+    'settings.artistSpacing': 'Gentag ikke en kunstner inden for',
+    'settings.tracks': 'numre',
+    'settings.save': 'Gem indstillinger',
+    'settings.saved': 'Gemt!',
+    
+    'plan.title': 'DJ-plan',
+    'plan.hint': 'Planlæg aftenen i faser, f.eks. rolig musik mens folk kommer, og derefter toppen. Hver fase trækker valgene mod sine genrer og sin energi, oven i stemmerne.',
+    'plan.addPhase': '+ Tilføj fase',
+    'plan.save': 'Gem plan',
+    'plan.preview': 'Forhåndsvis',
+    'plan.remove': 'Fjern plan',
+    'plan.saved': 'Gemt! Planen starter fra den første fase.',
+    'plan.removed': 'Fjernet, nu er det igen kun stemmerne, der vælger numrene.',
+    'plan.warmUp': 'Opvarmning',
+    'plan.peakTime': 'Højdepunkt',
+    'plan.namePlaceholder': 'Navn, f.eks. Opvarmning',
+    'plan.unit.minutes': 'minutter',
+    'plan.unit.tracks': 'numre',
+    'plan.unit.end': 'til slutningen',
+    'plan.energy': 'Energi',
+    'plan.anyEnergy': 'Alle',
+    'plan.strength': 'Styrke',
+    'plan.genres': 'Genrer der foretrækkes, ingen for alle',
+    
+    'guests.you': 'Dig',
+    'guests.guest': 'Gæst {number}',
+    
+    'webhooks.title': 'Webhooks',
+    'webhooks.hint': 'Send festens hændelser, som hvert nyt nummer, til din egen URL, f.eks. til lys eller en chatbot.',
+    'webhooks.add': 'Tilføj',
+    'webhooks.added': 'Tilføjet! Hemmelighed til at tjekke signaturer (vises kun én gang): {secret}',
+    'webhooks.test': 'Test',
+    'webhooks.log': 'Log',
+    'webhooks.attempt': '(forsøg {number})',
+    'webhooks.nothingSent': 'Intet sendt endnu.',
+    
+    'common.remove': 'Fjern',
+    
+    // Landing page
+    'landing.tagline': 'Stem om musikken sammen',
+    'landing.join': 'Deltag i en fest',
+    'landing.joinHint': 'Skriv en festkode for at komme med til dine venners fest',
+    'landing.codePlaceholder': 'Skriv festkode (f.eks. abc123)',
+    'landing.joinButton': 'Deltag',
+    'landing.notFound': 'Festen blev ikke fundet. Tjek koden, og prøv igen.',
+    'landing.or': 'ELLER',
+    'landing.create': 'Start en ny fest',
+    'landing.createHint': 'Start en ny fest, og inviter andre',
+    'landing.createButton': 'Start fest',
+    'landing.createFailed': 'Festen kunne ikke startes. Prøv igen.',
+    
+    // Genres and strategies
+    'genres.none': 'Musik',
+    'genres.pop': 'Pop',
+    'genres.chill': 'Chill',
+    'genres.energy': 'Energi',
+    'genres.party': 'Fest',
+    'genres.running': 'Løb',
+    'genres.relaxing': 'Afslapning',
+    'genres.dance': 'Dance',
+    'genres.electronic': 'Elektronisk',
+    'genres.synthpop': 'Synthpop',
+    'genres.funk': 'Funk',
+    'genres.soul': 'Soul',
+    'genres.rnb': 'R&B',
+    'genres.dancehall': 'Dancehall',
+    'genres.hip-hop': 'Hiphop',
+    'genres.rock': 'Rock',
+    'genres.jazz': 'Jazz',
+    'genres.lofi': 'Lo-fi',
+    'genres.ambient': 'Ambient',
+    'genres.classical': 'Klassisk',
+    'genres.acoustic': 'Akustisk',
+    
+    'strategies.heuristic': 'Stemmer og lignende numre',
+    'strategies.weighted-random': 'Overrask mig (vægtet tilfældigt)',
+    'strategies.recent-votes': 'De nyeste stemmer tæller mest',
+    'strategies.popular': 'Populært til alle fester',
+    'strategies.request': 'Ønske fra en gæst',
+    'strategies.poll': 'Gæsternes afstemning',
+    
+    // Errors
+    'errors.server-error': 'Noget gik galt hos os. Prøv igen.',
+    'errors.rate-limited': 'Det går lidt for stærkt, vent et øjeblik.',
+    'errors.invalid-body': 'Forespørgslen kunne ikke læses. Prøv igen.',
+    'errors.party-not-found': 'Festen blev ikke fundet',
+    'errors.not-joined': 'Deltag i festen først',
+    'errors.removed-from-party': 'Du er blevet fjernet fra festen',
+    'errors.not-host': 'Det er kun værten, der kan gøre det',
+    'errors.not-active-member': 'Det kan kun gæster, der er med til festen lige nu',
+    'errors.no-track-playing': 'Der spiller ikke noget nummer',
+    'errors.track-not-found': 'Nummeret blev ikke fundet',
+    'errors.invalid-vote': 'Stemmen skal være "up" eller "down"',
+    'errors.invalid-reaction': 'Ukendt reaktion',
+    'errors.no-explanation': 'Der er ingen forklaring på det nummer, der spiller',
+    'errors.track-not-allowed': 'Det nummer er ikke tilladt til denne fest',
+    'errors.track-already-requested': 'Det nummer spiller allerede eller er allerede ønsket',
+    'errors.too-many-requests': 'Du kan højst have {max} ønsker i køen ad gangen',
+    'errors.request-not-found': 'Ønsket blev ikke fundet',
+    'errors.no-poll': 'Der er ingen åben afstemning',
+    'errors.not-in-poll': 'Det nummer er ikke med i afstemningen',
+    'errors.message-required': 'Skriv en besked',
+    'errors.message-too-long': 'En besked må højst være på {max} tegn',
+    'errors.name-too-long': 'Et navn må højst være på {max} tegn',
+    'errors.message-not-found': 'Beskeden blev ikke fundet',
+    'errors.no-profile': 'Lav en profil først',
+    'errors.unknown-profile': 'Ukendt profil',
+    'errors.invalid-nickname': 'Kaldenavnet skal være på 1 til {max} tegn',
+    'errors.unknown-strategy': 'Ukendt måde at vælge numre på',
+    'errors.invalid-position': 'Positionen skal være et antal millisekunder',
+    'errors.device-name-required': 'Højttaleren skal have et navn',
+    'errors.device-not-found': 'Højttaleren blev ikke fundet',
+    'errors.invalid-volume': 'Lydstyrken skal være et tal fra 0 til 100',
+    'errors.guest-not-found': 'Gæsten blev ikke fundet',
+    'errors.invalid-genres': 'De tilladte genrer skal være en liste af kendte genrer',
+    'errors.invalid-track-length': 'Længderne skal være et antal sekunder, eller tomme for ingen grænse',
+    'errors.track-lengths-reversed': 'Den korteste længde er længere end den længste',
+    'errors.invalid-allow-explicit': 'Eksplicit indhold skal enten være tilladt eller ej',
+    'errors.invalid-next-track-poll': 'Afstemning om næste nummer skal enten være slået til eller fra',
+    'errors.invalid-no-repeat': 'Antallet af numre uden gentagelser skal være et helt tal fra 0 til {max}',
+    'errors.no-matching-tracks': 'Ingen numre i kataloget passer til disse indstillinger',
+    'errors.no-playable-tracks': 'Ingen numre i kataloget kan spilles med festens indstillinger',
+    'errors.plan-needs-phases': 'En plan skal have mindst én fase',
+    'errors.too-many-phases': 'En plan kan højst have {max} faser',
+    'errors.invalid-phase-name': 'Fase {phase} skal have et navn på højst {max} tegn',
+    'errors.phase-length-twice': 'Fase {phase} kan vare et antal minutter eller et antal numre, ikke begge dele',
+    'errors.phase-length-missing': 'Fase {phase} skal have en længde i minutter eller numre, kun den sidste fase kan vare til slutningen',
+    'errors.invalid-phase-minutes': 'Fase {phase} skal vare et helt antal minutter, højst et døgn',
+    'errors.invalid-phase-tracks': 'Fase {phase} skal vare et helt antal numre, højst {max}',
+    'errors.invalid-phase-genres': 'Genrerne i fase {phase} skal være en liste af kendte genrer',
+    'errors.invalid-phase-energy': 'Energien i fase {phase} skal være fra 0 til 1, eller tom hvis den er ligegyldig',
+    'errors.invalid-phase-strength': 'Styrken i fase {phase} skal være fra 0 til {max}',
+    'errors.url-required': 'Skriv en URL',
+    'errors.invalid-url': 'URL\'en er ikke gyldig',
+    'errors.invalid-url-protocol': 'URL\'en skal starte med http:// eller https://',
+    'errors.webhook-host-not-found': 'Kunne ikke finde adressen på URL\'en',
+    'errors.webhook-url-not-public': 'Webhooks kan kun sende til offentlige adresser',
+    'errors.invalid-webhook-events': 'Ukendte webhook-hændelser',
+    'errors.too-many-webhooks': 'En fest kan højst have {max} webhooks',
+    'errors.webhook-not-found': 'Webhooken blev ikke fundet',
+};
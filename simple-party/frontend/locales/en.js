@@ -0,0 +1,244 @@
+// English messages, the ones every other language falls back to (see i18n.js)
+
+export default {
+    // Party page
+    'party.code': 'Party Code:',
+    'party.members': { one: '{count} person here', other: '{count} people here' },
+    'party.notFound': 'Party not found. It may have ended, or the code is wrong.',
+    'party.removed': 'The host removed you from this party.',
+    'party.ended': 'This party has ended. Thanks for coming!',
+    'party.youEnded': 'You ended the party.',
+    'party.recapLink': 'See what played',
+    'party.backToStart': 'Back to start',
+    
+    'profile.likedTracks': 'My liked tracks',
+    'profile.nickname': 'Nickname',
+    'profile.remember': 'Remember my taste',
+    
+    'track.loading': 'Loading...',
+    'track.wait': 'Please wait...',
+    'track.why': 'Why this track?',
+    'explain.score': { one: '{strategy}: {count} point', other: '{strategy}: {count} points' },
+    'explain.party-votes': 'Votes at this party',
+    'explain.recent-votes': 'Recent votes at this party',
+    'explain.other-party-votes': 'Votes at other parties',
+    'explain.profile-likes': 'Liked by guests here at earlier parties',
+    'explain.similar-genres': 'Shares genres with liked tracks',
+    'explain.similar-energy': 'Similar energy to liked tracks',
+    'explain.same-artist': 'Same artist as liked tracks',
+    'explain.reactions': 'Reactions at this party',
+    'explain.phase-genre': 'Genre fits the "{phase}" phase',
+    'explain.phase-energy': 'Energy fits the "{phase}" phase',
+    'explain.drawn-at-random': 'Drawn at random ({chance}% chance)',
+    'explain.tie-break': 'Picked at random among {count} equally good tracks',
+    'explain.requested-by': 'Requested by {name}',
+    'explain.requested-by-guest': 'Requested by a guest',
+    'explain.request-upvotes': 'Upvotes on the request',
+    'explain.poll-votes': 'Votes in the poll',
+    'explain.poll-won': {
+        one: 'Won against {count} other track, with a score of {score} before the poll',
+        other: 'Won against {count} other tracks, with a score of {score} before the poll',
+    },
+    'skip.byVote': '⏭ "{title}" was skipped by vote',
+    'skip.byHost': '⏭ The host skipped "{title}"',
+    
+    'voting.hint': 'Vote on tracks to influence what plays next!',
+    
+    'poll.title': "Vote on what's next",
+    'poll.hint': 'The track with the most votes plays next. You can change your mind until then.',
+    'poll.votes': { one: '{count} vote', other: '{count} votes' },
+    'poll.pick': 'Pick',
+    'poll.myPick': '✓ My pick',
+    
+    'messages.title': 'Shout-outs',
+    'messages.empty': 'No messages yet. Say hi!',
+    'messages.placeholder': 'Say something to the party',
+    'messages.send': 'Send',
+    'messages.you': 'You',
+    'messages.guest': 'Guest',
+    'messages.delete': 'Delete',
+    
+    'requests.upNext': 'Up next',
+    'requests.empty': 'No requests yet. Be the first!',
+    'requests.title': 'Request a song',
+    'requests.searchPlaceholder': 'Search title or artist',
+    'requests.search': 'Search',
+    'requests.namePlaceholder': 'Your name (optional)',
+    'requests.previousPage': '‹ Prev',
+    'requests.nextPage': 'Next ›',
+    'requests.request': 'Request',
+    'requests.requested': 'Requested! 🎶',
+    'requests.noResults': 'No tracks found.',
+    'requests.requestedBy': 'requested by {name}',
+    'requests.aGuest': 'a guest',
+    
+    'plan.tracksLeft': { one: '{count} more track', other: '{count} more tracks' },
+    'plan.minutesLeft': 'about {count} min left',
+    'plan.then': ', then {name}',
+    
+    // Host controls
+    'host.title': 'Host controls',
+    'host.skip': '⏭ Skip',
+    'host.pause': '⏸ Pause',
+    'host.resume': '▶ Resume',
+    'host.end': 'End party',
+    'host.confirmEnd': 'End the party for everyone?',
+    'host.seekHint': 'Tap the progress bar to jump in the track.',
+    'host.screenLink': 'Open the big screen',
+    'host.screenHint': 'on a projector or TV so guests can scan to join.',
+    'host.speakers': 'Speakers',
+    'host.addSpeaker': '+ Add speaker',
+    'host.speakerName': 'Name of the speaker, e.g. "Kitchen"',
+    'host.strategy': 'How tracks are picked',
+    'host.guests': 'Guests',
+    
+    'settings.title': 'Party settings',
+    'settings.genres': 'Genres (none ticked = all)',
+    'settings.shortest': 'Shortest track (seconds)',
+    'settings.longest': 'Longest track (seconds)',
+    'settings.noLimit': 'No limit',
+    'settings.allowExplicit': 'Allow explicit tracks',
+    'settings.nextTrackPoll': 'Let guests vote on the next track near the end of each one',
+    'settings.trackSpacing': "Don't repeat a track within",
+    'settings.artistSpacing': "Don't repeat an artist within",
+    'settings.tracks': 'tracks',
+    'settings.save': 'Save settings',
+    'settings.saved': 'Saved!',
+    
+    'plan.title': 'DJ set plan',
+    'plan.hint': 'Plan the night in phases, e.g. chill while people arrive, then the peak. Each phase steers the picks towards its genres and energy, on top of the votes.',
+    'plan.addPhase': '+ Add phase',
+    'plan.save': 'Save plan',
+    'plan.preview': 'Preview',
+    'plan.remove': 'Remove plan',
+    'plan.saved': 'Saved! The plan starts from its first phase.',
+    'plan.removed': 'Removed, the votes alone pick the tracks again.',
+    'plan.warmUp': 'Warm up',
+    'plan.peakTime': 'Peak time',
+    'plan.namePlaceholder': 'Name, e.g. Warm up',
+    'plan.unit.minutes': 'minutes',
+    'plan.unit.tracks': 'tracks',
+    'plan.unit.end': 'until the end',
+    'plan.energy': 'Energy',
+    'plan.anyEnergy': 'Any',
+    'plan.strength': 'Strength',
+    'plan.genres': 'Genres to prefer, none for any',
+    
+    'guests.you': 'You',
+    'guests.guest': 'Guest {number}',
+    
+    'webhooks.title': 'Webhooks',
+    'webhooks.hint': 'Send party events, like every new track, to your own URL, e.g. for lights or a chat bot.',
+    'webhooks.add': 'Add',
+    'webhooks.added': 'Added! Secret for checking signatures (shown only once): {secret}',
+    'webhooks.test': 'Test',
+    'webhooks.log': 'Log',
+    'webhooks.attempt': '(try {number})',
+    'webhooks.nothingSent': 'Nothing sent yet.',
+    
+    'common.remove': 'Remove',
+    
+    // Landing page
+    'landing.tagline': 'Vote on music together',
+    'landing.join': 'Join a Party',
+    'landing.joinHint': 'Enter a party code to join your friends',
+    'landing.codePlaceholder': 'Enter party code (e.g. abc123)',
+    'landing.joinButton': 'Join Party',
+    'landing.notFound': 'Party not found. Check the code and try again.',
+    'landing.or': 'OR',
+    'landing.create': 'Create New Party',
+    'landing.createHint': 'Start a new party and invite others',
+    'landing.createButton': 'Create Party',
+    'landing.createFailed': 'Could not create a party. Please try again.',
+    
+    // Genres and strategies, by the names the server uses for them
+    'genres.none': 'Music',
+    'genres.pop': 'Pop',
+    'genres.chill': 'Chill',
+    'genres.energy': 'Energy',
+    'genres.party': 'Party',
+    'genres.running': 'Running',
+    'genres.relaxing': 'Relaxing',
+    'genres.dance': 'Dance',
+    'genres.electronic': 'Electronic',
+    'genres.synthpop': 'Synthpop',
+    'genres.funk': 'Funk',
+    'genres.soul': 'Soul',
+    'genres.rnb': 'R&B',
+    'genres.dancehall': 'Dancehall',
+    'genres.hip-hop': 'Hip-Hop',
+    'genres.rock': 'Rock',
+    'genres.jazz': 'Jazz',
+    'genres.lofi': 'Lo-Fi',
+    'genres.ambient': 'Ambient',
+    'genres.classical': 'Classical',
+    'genres.acoustic': 'Acoustic',
+    
+    'strategies.heuristic': 'Votes and similar tracks',
+    'strategies.weighted-random': 'Surprise me (weighted random)',
+    'strategies.recent-votes': 'Recent votes count most',
+    'strategies.popular': 'Popular at all parties',
+    'strategies.request': 'Guest request',
+    'strategies.poll': 'Guest poll',
+    
+    // Errors, by the code the server answers with (errors from the admin endpoints aren't here,
+    // no page shows them)
+    'errors.server-error': 'Something went wrong on our side. Please try again.',
+    'errors.rate-limited': 'Too many at once, please slow down.',
+    'errors.invalid-body': "The request couldn't be read. Please try again.",
+    'errors.party-not-found': 'Party not found',
+    'errors.not-joined': 'Join the party first',
+    'errors.removed-from-party': 'You were removed from this party',
+    'errors.not-host': 'Only the host can do that',
+    'errors.not-active-member': 'Only guests who are at the party right now can do that',
+    'errors.no-track-playing': 'No track playing',
+    'errors.track-not-found': 'Track not found',
+    'errors.invalid-vote': 'Vote must be "up" or "down"',
+    'errors.invalid-reaction': 'Unknown reaction',
+    'errors.no-explanation': 'No explanation for the current track',
+    'errors.track-not-allowed': "That track isn't allowed at this party",
+    'errors.track-already-requested': 'That track is already playing or requested',
+    'errors.too-many-requests': 'You can have at most {max} requests waiting',
+    'errors.request-not-found': 'Request not found',
+    'errors.no-poll': 'No poll open',
+    'errors.not-in-poll': "That track isn't in the poll",
+    'errors.message-required': 'Message text is required',
+    'errors.message-too-long': 'Messages can be at most {max} characters',
+    'errors.name-too-long': 'Names can be at most {max} characters',
+    'errors.message-not-found': 'Message not found',
+    'errors.no-profile': 'Make a profile first',
+    'errors.unknown-profile': 'Unknown profile',
+    'errors.invalid-nickname': 'Nickname must be 1 to {max} characters',
+    'errors.unknown-strategy': 'Unknown strategy',
+    'errors.invalid-position': 'Position must be a number of milliseconds',
+    'errors.device-name-required': 'Device name required',
+    'errors.device-not-found': 'Device not found',
+    'errors.invalid-volume': 'Volume must be a number from 0 to 100',
+    'errors.guest-not-found': 'Guest not found',
+    'errors.invalid-genres': 'Allowed genres must be a list of known genres',
+    'errors.invalid-track-length': 'Track lengths must be a number of seconds, or empty for no limit',
+    'errors.track-lengths-reversed': 'The shortest track length is longer than the longest',
+    'errors.invalid-allow-explicit': 'Allow explicit must be true or false',
+    'errors.invalid-next-track-poll': 'Next track poll must be true or false',
+    'errors.invalid-no-repeat': 'No-repeat windows must be a whole number from 0 to {max}',
+    'errors.no-matching-tracks': 'No tracks in the catalog match these settings',
+    'errors.no-playable-tracks': "No tracks in the catalog can play with the party's settings",
+    'errors.plan-needs-phases': 'A plan needs at least one phase',
+    'errors.too-many-phases': 'A plan can have at most {max} phases',
+    'errors.invalid-phase-name': 'Phase {phase} needs a name of up to {max} characters',
+    'errors.phase-length-twice': 'Phase {phase} can last some minutes or some tracks, not both',
+    'errors.phase-length-missing': 'Phase {phase} needs a length in minutes or tracks, only the last phase can go on until the end',
+    'errors.invalid-phase-minutes': 'Phase {phase} must last a whole number of minutes, up to a day',
+    'errors.invalid-phase-tracks': 'Phase {phase} must last a whole number of tracks, up to {max}',
+    'errors.invalid-phase-genres': 'The genres of phase {phase} must be a list of known genres',
+    'errors.invalid-phase-energy': 'The energy of phase {phase} must be from 0 to 1, or empty to not mind',
+    'errors.invalid-phase-strength': 'The strength of phase {phase} must be from 0 to {max}',
+    'errors.url-required': 'URL is required',
+    'errors.invalid-url': 'URL is not valid',
+    'errors.invalid-url-protocol': 'URL must start with http:// or https://',
+    'errors.webhook-host-not-found': 'Could not find the address of the URL',
+    'errors.webhook-url-not-public': 'Webhooks can only send to public addresses',
+    'errors.invalid-webhook-events': 'Unknown webhook events',
+    'errors.too-many-webhooks': 'A party can have at most {max} webhooks',
+    'errors.webhook-not-found': 'Webhook not found',
+};
@@ -0,0 +1,115 @@
+// The profile page shows the guest's profile and the tracks they liked at every party.
+// The device key is the only way in, so it never leaves this browser's localStorage.
+
+let profile = JSON.parse(localStorage.getItem('nexttrack-profile'));
+
+addEventListener("DOMContentLoaded", async () => {
+    document.getElementById('createForm').addEventListener('submit', createProfile);
+    document.getElementById('renameForm').addEventListener('submit', renameProfile);
+    document.getElementById('forgetButton').addEventListener('click', forgetProfile);
+    
+    if (!profile) {
+        showCreateForm();
+        return;
+    }
+    
+    const response = await fetch('/api/profile', { headers: profileHeaders() });
+    if (response.status === 401) {
+        // Deleted from another browser tab
+        localStorage.removeItem('nexttrack-profile');
+        profile = null;
+        showCreateForm();
+        return;
+    }
+    
+    showProfile(await response.json());
+});
+
+async function createProfile(event) {
+    event.preventDefault();
+    
+    const response = await fetch('/api/profiles', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ nickname: document.getElementById('createNicknameInput').value })
+    });
+    if (!response.ok) {
+        alert((await response.json()).error);
+        return;
+    }
+    
+    profile = await response.json();
+    localStorage.setItem('nexttrack-profile', JSON.stringify(profile));
+    document.getElementById('createSection').hidden = true;
+    showProfile(profile);
+}
+
+async function renameProfile(event) {
+    event.preventDefault();
+    
+    const response = await fetch('/api/profile', {
+        method: 'PUT',
+        headers: { ...profileHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ nickname: document.getElementById('nicknameInput').value })
+    });
+    if (!response.ok) {
+        alert((await response.json()).error);
+        return;
+    }
+    
+    profile.nickname = (await response.json()).nickname;
+    localStorage.setItem('nexttrack-profile', JSON.stringify(profile));
+}
+
+async function forgetProfile() {
+    if (!confirm('Forget your profile? The tracks you liked can not be brought back.')) {
+        return;
+    }
+    
+    const response = await fetch('/api/profile', { method: 'DELETE', headers: profileHeaders() });
+    if (!response.ok && response.status !== 401) {
+        alert('Could not forget the profile. Try again in a moment.');
+        return;
+    }
+    
+    localStorage.removeItem('nexttrack-profile');
+    profile = null;
+    document.getElementById('content').hidden = true;
+    document.getElementById('profileSince').textContent = '';
+    showCreateForm();
+}
+
+async function showProfile(details) {
+    document.getElementById('profileSince').textContent = `Since ${new Date(details.createdAt).toLocaleDateString()}`;
+    document.getElementById('nicknameInput').value = details.nickname;
+    document.getElementById('content').hidden = false;
+    
+    const list = document.getElementById('likedList');
+    list.innerHTML = '';
+    
+    const response = await fetch('/api/profile/likes', { headers: profileHeaders() });
+    const likedTracks = response.ok ? (await response.json()).tracks : [];
+    
+    if (likedTracks.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'recap-empty';
+        item.textContent = 'Nothing yet, vote up tracks at a party to fill this list';
+        list.appendChild(item);
+        return;
+    }
+    
+    for (const track of likedTracks) {
+        const item = document.createElement('li');
+        const parties = track.parties === 1 ? '1 party' : `${track.parties} parties`;
+        item.textContent = `${track.title} – ${track.artist} (👍 ${track.score}, ${parties})`;
+        list.appendChild(item);
+    }
+}
+
+function showCreateForm() {
+    document.getElementById('createSection').hidden = false;
+}
+
+function profileHeaders() {
+    return { 'X-Profile-Key': profile.deviceKey };
+}
@@ -0,0 +1,106 @@
+// The recap page shows what played at a party and how the guests liked it.
+// It works during the party too, but is mostly meant for after it ended.
+
+addEventListener("DOMContentLoaded", async () => {
+    // URL format: /party/abc123/recap
+    const match = window.location.pathname.match(/^\/party\/([^/]+)\/recap/);
+    if (!match) {
+        window.location.href = '/';
+        return;
+    }
+    const partyCode = match[1];
+    document.getElementById('partyCode').textContent = partyCode;
+    
+    const response = await fetch(`/api/party/${partyCode}/recap`);
+    if (!response.ok) {
+        showMessage(response.status === 404
+            ? 'Party not found. The code may be wrong.'
+            : 'Could not load the recap. Try again in a moment.');
+        return;
+    }
+    
+    showRecap(await response.json());
+    
+    document.getElementById('downloadJson').href = `/api/party/${partyCode}/recap?download=1`;
+    document.getElementById('downloadCsv').href = `/api/party/${partyCode}/recap?format=csv`;
+});
+
+function showMessage(message) {
+    document.getElementById('content').hidden = true;
+    document.getElementById('partyMessageText').textContent = message;
+    document.getElementById('partyMessage').hidden = false;
+}
+
+function showRecap(recap) {
+    const started = new Date(recap.createdAt).toLocaleString();
+    document.getElementById('partyTimes').textContent = recap.endedAt
+        ? `${started} – ${new Date(recap.endedAt).toLocaleTimeString()}`
+        : `Started ${started}, still going`;
+    
+    document.getElementById('tracksPlayed').textContent = recap.tracksPlayed;
+    document.getElementById('totalVotes').textContent = recap.totalVotes;
+    document.getElementById('totalReactions').textContent = recap.totalReactions;
+    document.getElementById('peakAttendance').textContent = recap.peakAttendance;
+    
+    showList('mostLoved', recap.mostLoved, track => trackLine(track, `👍 ${track.score}`), 'Nothing got more upvotes than downvotes');
+    showList('mostHated', recap.mostHated, track => trackLine(track, `👎 ${-track.score}`), 'Nothing got more downvotes than upvotes');
+    showList('favouriteGenres', recap.favouriteGenres, genre => `${genre.label} (played ${genre.plays}×, score ${genre.score})`, 'No genres to show');
+    showList('playedList', recap.played, track => trackLine(track, new Date(track.playedAt).toLocaleTimeString()), 'Nothing played');
+    
+    showTimeline(recap.voteTimeline);
+    document.getElementById('content').hidden = false;
+}
+
+// Fills a list with one item per entry, or a single note when there are none
+function showList(listId, entries, describe, emptyText) {
+    const list = document.getElementById(listId);
+    list.innerHTML = '';
+    
+    if (entries.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'recap-empty';
+        item.textContent = emptyText;
+        list.appendChild(item);
+        return;
+    }
+    
+    for (const entry of entries) {
+        const item = document.createElement('li');
+        item.textContent = describe(entry);
+        list.appendChild(item);
+    }
+}
+
+function trackLine(track, detail) {
+    return `${track.title} – ${track.artist} (${detail})`;
+}
+
+// One bar per 5 minutes, red for downvotes stacked on green for upvotes
+function showTimeline(timeline) {
+    const container = document.getElementById('voteTimeline');
+    container.innerHTML = '';
+    
+    if (timeline.length === 0) {
+        container.textContent = 'No votes yet';
+        return;
+    }
+    
+    const most = Math.max(...timeline.map(period => period.upvotes + period.downvotes));
+    
+    for (const period of timeline) {
+        const bar = document.createElement('div');
+        bar.className = 'vote-bar';
+        bar.title = `${new Date(period.period).toLocaleTimeString()}: ${period.upvotes} up, ${period.downvotes} down`;
+        
+        const up = document.createElement('div');
+        up.className = 'vote-bar-up';
+        up.style.height = `${period.upvotes / most * 100}%`;
+        
+        const down = document.createElement('div');
+        down.className = 'vote-bar-down';
+        down.style.height = `${period.downvotes / most * 100}%`;
+        
+        bar.append(up, down);
+        container.appendChild(bar);
+    }
+}
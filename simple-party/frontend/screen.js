@@ -0,0 +1,212 @@
+// The big screen shows the party on a projector or TV: what is playing, how the votes
+// are going and what is coming up, with a QR code so guests can join.
+// It only watches, so it doesn't join the party or count as a member.
+
+// STATE VARIABLES
+
+let trackStartTime = null;      // When current track started (timestamp)
+let trackDuration = 0;          // How long current track is (milliseconds)
+let trackPausedAt = null;       // When the track was paused (timestamp), null while playing
+let clockOffset = 0;            // How far the server's clock is ahead of ours (milliseconds)
+let eventSource = null;         // Live update stream from the server
+let genreLabels = new Map();    // Genre -> label, loaded from the server
+
+// STARTUP
+
+addEventListener("DOMContentLoaded", async () => {
+    // URL format: /party/abc123/screen
+    const match = window.location.pathname.match(/^\/party\/([^/]+)\/screen/);
+    if (!match) {
+        window.location.href = '/';
+        return;
+    }
+    const partyCode = match[1];
+    document.getElementById('partyCode').textContent = partyCode;
+    
+    await loadGenreLabels();
+    await showJoinCode(partyCode);
+    
+    updateCurrentTrack(partyCode);
+    updateVoteCounts(partyCode);
+    updateMemberCount(partyCode);
+    updateUpcoming(partyCode);
+    connectEventStream(partyCode);
+    
+    setInterval(updateProgressBar, 100);
+});
+
+function showMessage(message) {
+    if (eventSource) {
+        eventSource.close();
+    }
+    document.getElementById('screen').hidden = true;
+    document.getElementById('screenMessageText').textContent = message;
+    document.getElementById('screenMessage').hidden = false;
+}
+
+// The server makes the QR code, so it works without internet
+async function showJoinCode(partyCode) {
+    const response = await fetch(`/api/party/${partyCode}/qr`);
+    if (!response.ok) {
+        showMessage('Party not found');
+        return;
+    }
+    
+    const data = await response.json();
+    document.getElementById('qrCode').innerHTML = data.svg;
+    document.getElementById('joinUrl').textContent = data.url;
+}
+
+// LIVE UPDATES
+
+function connectEventStream(partyCode) {
+    eventSource = new EventSource(`/api/party/${partyCode}/events`);
+    
+    eventSource.addEventListener('track-changed', (event) => {
+        showTrack(JSON.parse(event.data));
+        updateUpcoming(partyCode);
+    });
+    
+    eventSource.addEventListener('vote-counts-changed', (event) => {
+        showVoteCounts(JSON.parse(event.data));
+        
+        // Votes change which tracks are likely next
+        updateUpcoming(partyCode);
+    });
+    
+    eventSource.addEventListener('member-count-changed', (event) => {
+        document.getElementById('memberCount').textContent = JSON.parse(event.data).count;
+    });
+    
+    eventSource.addEventListener('queue-changed', () => {
+        updateUpcoming(partyCode);
+    });
+    
+    eventSource.addEventListener('party-ended', () => {
+        showMessage('This party has ended. Thanks for coming!');
+    });
+    
+    // The browser reconnects by itself, unless it gave up on the stream completely
+    eventSource.addEventListener('error', () => {
+        if (eventSource.readyState === EventSource.CLOSED) {
+            setTimeout(() => connectEventStream(partyCode), 5000);
+        }
+    });
+}
+
+async function updateCurrentTrack(partyCode) {
+    const response = await fetch(`/api/party/${partyCode}/currentTrack`);
+    if (response.ok) {
+        showTrack(await response.json());
+    }
+}
+
+async function updateVoteCounts(partyCode) {
+    const response = await fetch(`/api/party/${partyCode}/votes`);
+    if (response.ok) {
+        showVoteCounts(await response.json());
+    }
+}
+
+async function updateMemberCount(partyCode) {
+    const response = await fetch(`/api/party/${partyCode}/members`);
+    if (response.ok) {
+        document.getElementById('memberCount').textContent = (await response.json()).count;
+    }
+}
+
+async function updateUpcoming(partyCode) {
+    const response = await fetch(`/api/party/${partyCode}/upcoming`);
+    if (!response.ok) {
+        return;
+    }
+    
+    const data = await response.json();
+    const list = document.getElementById('upcomingList');
+    list.replaceChildren();
+    
+    for (const track of data.requests) {
+        const requester = track.requesterName || 'a guest';
+        list.appendChild(createUpcomingItem(track, `Requested by ${requester}`));
+    }
+    for (const track of data.candidates) {
+        list.appendChild(createUpcomingItem(track, getGenreLabel(track.genres)));
+    }
+}
+
+function createUpcomingItem(track, detail) {
+    const item = document.createElement('li');
+    item.textContent = `${track.title} – ${track.artist}`;
+    
+    const small = document.createElement('small');
+    small.textContent = detail;
+    item.appendChild(small);
+    
+    return item;
+}
+
+// DISPLAY
+
+function showTrack(track) {
+    document.getElementById('trackTitle').textContent = track.title;
+    document.getElementById('trackArtist').textContent = track.artist;
+    document.getElementById('trackGenre').textContent = getGenreLabel(track.genres);
+    document.getElementById('playingLabel').textContent = track.pausedAt ? 'Paused' : 'Now playing';
+    
+    trackDuration = track.duration;
+    trackStartTime = track.startedAt;
+    trackPausedAt = track.pausedAt;
+    if (track.serverNow) {
+        clockOffset = track.serverNow - Date.now();
+    }
+    document.getElementById('totalTime').textContent = formatTime(trackDuration);
+}
+
+// Both bars are measured against the total, so the room can see which way it is going
+function showVoteCounts(counts) {
+    const total = Math.max(1, counts.upvotes + counts.downvotes);
+    
+    document.getElementById('upvoteCount').textContent = counts.upvotes;
+    document.getElementById('downvoteCount').textContent = counts.downvotes;
+    document.getElementById('upvoteBar').style.width = (counts.upvotes / total * 100) + '%';
+    document.getElementById('downvoteBar').style.width = (counts.downvotes / total * 100) + '%';
+}
+
+function updateProgressBar() {
+    if (!trackStartTime || trackDuration === 0) {
+        return;
+    }
+    
+    const now = trackPausedAt || Date.now() + clockOffset;
+    const elapsed = Math.min(now - trackStartTime, trackDuration);
+    
+    document.getElementById('progressFill').style.width = (elapsed / trackDuration * 100) + '%';
+    document.getElementById('currentTime').textContent = formatTime(elapsed);
+}
+
+function formatTime(milliseconds) {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes + ':' + (seconds < 10 ? '0' + seconds : seconds);
+}
+
+// GENRES
+
+async function loadGenreLabels() {
+    try {
+        const response = await fetch('/api/genres');
+        for (const genre of await response.json()) {
+            genreLabels.set(genre.genre, genre.label);
+        }
+    } catch (error) {
+        console.error('Error loading genres:', error);
+    }
+}
+
+function getGenreLabel(genres) {
+    if (!genres || genres.length === 0) {
+        return 'Music';
+    }
+    return genres.map(genre => genreLabels.get(genre) || genre).join(' · ');
+}
@@ -0,0 +1,256 @@
+// Starts the real server with the memory storage and checks the playback lifecycle,
+// and what guests can do while a track plays, from the outside, through the API.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import path from 'node:path';
+
+const serverPath = path.join(import.meta.dirname, '..', 'backend', 'server.js');
+const slowStoragePath = path.join(import.meta.dirname, 'slowStorage.js');
+
+let server;
+
+// Storage that takes a while, so the requests overlap while a track is being picked
+before(async () => {
+    server = await startServer({ STORAGE: 'slow-memory' });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('parallel requests for the current track start only one track', async () => {
+    const { partyCode } = await createParty(server);
+    const picksBefore = await countPicks(server);
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () => {
+        return request(server, 'GET', `/api/party/${partyCode}/currentTrack`);
+    }));
+
+    const trackIds = new Set(responses.map(track => track.track_id));
+    assert.equal(trackIds.size, 1);
+    assert.equal(await countPicks(server) - picksBefore, 1);
+    assert.equal((await getHistory(server, partyCode)).length, 1);
+});
+
+test('parallel skips and requests for the current track skip one track each', async () => {
+    const { partyCode, hostToken } = await createParty(server);
+    const first = await request(server, 'GET', `/api/party/${partyCode}/currentTrack`);
+    const picksBefore = await countPicks(server);
+
+    const [firstSkip, , secondSkip] = await Promise.all([
+        request(server, 'POST', `/api/party/${partyCode}/skip`, { hostToken }),
+        Promise.all(Array.from({ length: 5 }, () => request(server, 'GET', `/api/party/${partyCode}/currentTrack`))),
+        request(server, 'POST', `/api/party/${partyCode}/skip`, { hostToken }),
+        Promise.all(Array.from({ length: 5 }, () => request(server, 'GET', `/api/party/${partyCode}/currentTrack`))),
+    ]);
+    const current = await request(server, 'GET', `/api/party/${partyCode}/currentTrack`);
+    const party = await request(server, 'GET', `/api/party/${partyCode}`);
+
+    // The second skip lands while the first one's pick is in flight, and skips the track it picks
+    assert.equal(await countPicks(server) - picksBefore, 2);
+    const history = (await getHistory(server, partyCode)).map(track => track.track_id);
+    assert.equal(history.length, 3);
+    assert.equal(history[0], first.track_id);
+    assert.deepEqual([firstSkip.track_id, secondSkip.track_id].sort(), history.slice(1).sort());
+    assert.notEqual(firstSkip.track_id, first.track_id);
+    assert.notEqual(secondSkip.track_id, first.track_id);
+
+    assert.equal(current.track_id, history[2]);
+    assert.equal(party.playbackState, 'playing');
+});
+
+test('only the reaction kinds count as reactions, not inherited keys', async () => {
+    const { partyCode } = await createParty(server);
+    await request(server, 'GET', `/api/party/${partyCode}/currentTrack`);
+    const { token } = await request(server, 'POST', `/api/party/${partyCode}/join`);
+
+    const response = await fetch(`${server.url}/api/party/${partyCode}/reactions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Session-Token': token },
+        body: JSON.stringify({ reaction: 'toString' }),
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'invalid-reaction');
+});
+
+test('requests without a body or with a body that is not JSON are answered as errors', async () => {
+    const { partyCode, hostToken } = await createParty(server);
+    await request(server, 'GET', `/api/party/${partyCode}/currentTrack`);
+    const { token } = await request(server, 'POST', `/api/party/${partyCode}/join`);
+
+    const withoutBody = await fetch(`${server.url}/api/party/${partyCode}/reactions`, {
+        method: 'POST',
+        headers: { 'X-Session-Token': token },
+    });
+    assert.equal(withoutBody.status, 400);
+    assert.equal((await withoutBody.json()).code, 'invalid-reaction');
+
+    const notJson = await fetch(`${server.url}/api/party/${partyCode}/strategy`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${hostToken}` },
+        body: '{"strategy":',
+    });
+    assert.equal(notJson.status, 400);
+    assert.equal((await notJson.json()).code, 'invalid-body');
+});
+
+test('a party the host skips while nobody is here suspends again', async () => {
+    // Suspends after 3 seconds without heartbeats, at the next idle check (every 5 seconds)
+    const idleServer = await startServer({ SUSPEND_AFTER_MINUTES: '0.05' });
+    try {
+        const { partyCode, hostToken } = await createParty(idleServer);
+        await request(idleServer, 'GET', `/api/party/${partyCode}/currentTrack`);
+        await waitForPlaybackState(idleServer, partyCode, 'suspended');
+
+        const skippedTo = await request(idleServer, 'POST', `/api/party/${partyCode}/skip`, { hostToken });
+        const party = await request(idleServer, 'GET', `/api/party/${partyCode}`);
+        assert.equal(party.playbackState, 'playing');
+
+        await waitForPlaybackState(idleServer, partyCode, 'suspended');
+        const current = await request(idleServer, 'GET', `/api/party/${partyCode}/currentTrack`);
+        assert.equal(current.track_id, skippedTo.track_id);
+        assert.ok(current.pausedAt, 'the track was not paused');
+    } finally {
+        await idleServer.stop();
+    }
+});
+
+test('a party no track in the catalog can play at any more answers that instead of playing any track', async () => {
+    const adminServer = await startServer({ ADMIN_TOKEN: 'admin-token' });
+    try {
+        const { partyCode, hostToken } = await createParty(adminServer);
+
+        // Only one clean track is this long, so the party can't play anything once it's gone
+        const tracks = await getCatalog(adminServer);
+        const clean = tracks.filter(track => !track.explicit);
+        const only = clean.find(track => clean.filter(other => other.duration === track.duration).length === 1);
+        await request(adminServer, 'PUT', `/api/party/${partyCode}/settings`, {
+            hostToken,
+            body: { allowExplicit: false, minDuration: only.duration, maxDuration: only.duration },
+        });
+        const removed = await fetch(`${adminServer.url}/api/admin/tracks/${only.track_id}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': 'Bearer admin-token' },
+        });
+        assert.equal(removed.status, 200);
+
+        const response = await fetch(`${adminServer.url}/api/party/${partyCode}/currentTrack`);
+        assert.equal(response.status, 409);
+        assert.equal((await response.json()).code, 'no-playable-tracks');
+    } finally {
+        await adminServer.stop();
+    }
+});
+
+// HELPER FUNCTIONS
+
+// Starts server.js on a free port and waits until it listens. It stores in memory,
+// or in the slow-memory storage from slowStorage.js with STORAGE: 'slow-memory'.
+// Returns { url, lines, stop }, where lines collects the parsed log lines.
+// The tests in a file share one server and run one after the other.
+async function startServer(env = {}) {
+    const port = await findFreePort();
+    const child = spawn(process.execPath, ['--import', slowStoragePath, serverPath], {
+        env: { ...process.env, STORAGE: 'memory', PORT: String(port), ...env },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const lines = [];
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    await new Promise((resolve, reject) => {
+        let buffered = '';
+        child.stdout.on('data', chunk => {
+            buffered += chunk;
+            const parts = buffered.split('\n');
+            buffered = parts.pop();
+            for (const part of parts) {
+                const line = JSON.parse(part);
+                lines.push(line);
+                if (line.message === 'Server running') {
+                    resolve();
+                }
+            }
+        });
+        child.stderr.resume();
+        exited.then(code => reject(new Error(`Server exited with code ${code}`)));
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        lines,
+        stop: async () => {
+            child.kill('SIGTERM');
+            await exited;
+        },
+    };
+}
+
+async function request(server, method, url, { hostToken, body } = {}) {
+    const headers = {};
+    if (hostToken) {
+        headers['Authorization'] = `Bearer ${hostToken}`;
+    }
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(server.url + url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const data = await response.json();
+    assert.ok(response.ok, `${method} ${url} answered ${response.status}: ${JSON.stringify(data)}`);
+    return data;
+}
+
+function createParty(server) {
+    return request(server, 'POST', '/api/parties');
+}
+
+// All picks at all parties so far, from nexttrack_track_picks_total in GET /metrics
+async function countPicks(server) {
+    const response = await fetch(server.url + '/metrics');
+    const text = await response.text();
+    return text.split('\n')
+        .filter(line => line.startsWith('nexttrack_track_picks_total'))
+        .reduce((sum, line) => sum + Number(line.split(' ').pop()), 0);
+}
+
+async function getCatalog(server) {
+    const tracks = [];
+    for (let page = 1; ; page++) {
+        const result = await request(server, 'GET', `/api/tracks?pageSize=50&page=${page}`);
+        tracks.push(...result.tracks);
+        if (tracks.length >= result.total) {
+            return tracks;
+        }
+    }
+}
+
+async function getHistory(server, partyCode) {
+    const recap = await request(server, 'GET', `/api/party/${partyCode}/recap`);
+    return recap.played;
+}
+
+async function waitForPlaybackState(server, partyCode, state, timeout = 15000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const party = await request(server, 'GET', `/api/party/${partyCode}`);
+        if (party.playbackState === state) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    assert.fail(`The party wasn't ${state} within ${timeout} ms`);
+}
+
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
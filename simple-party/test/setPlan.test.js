@@ -0,0 +1,40 @@
+// Checks how a DJ set plan moves from phase to phase
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPlan, advancePlan, countPlannedTrack, describePlan } from '../backend/setPlan.js';
+
+const minute = 60 * 1000;
+
+const phases = [
+    { name: 'Warm up', minutes: 30, tracks: null, genres: [], energy: 0.3, strength: 5 },
+    { name: 'Peak time', minutes: null, tracks: 2, genres: [], energy: 0.9, strength: 5 },
+    { name: 'Wind down', minutes: null, tracks: null, genres: [], energy: 0.2, strength: 5 },
+];
+
+test('the plan is described by the clock, also before the next pick', () => {
+    const plan = startPlan(phases, 0);
+
+    assert.equal(describePlan(plan, 10 * minute).current.name, 'Warm up');
+    assert.equal(describePlan(plan, 10 * minute).current.endsAt, 30 * minute);
+
+    const later = describePlan(plan, 45 * minute);
+    assert.equal(later.current.name, 'Peak time');
+    assert.equal(later.current.startedAt, 30 * minute);
+    assert.equal(later.current.tracksLeft, 2);
+    assert.equal(later.next, 'Wind down');
+});
+
+test('a phase of some minutes ends on the minute, one of some tracks at the pick after its last track', () => {
+    let plan = advancePlan(startPlan(phases, 0), 32 * minute);
+    assert.equal(plan.phaseIndex, 1);
+    assert.equal(plan.phaseStartedAt, 30 * minute);
+
+    plan = countPlannedTrack(countPlannedTrack(plan));
+    plan = advancePlan(plan, 40 * minute);
+    assert.equal(plan.phaseIndex, 2);
+    assert.equal(plan.phaseStartedAt, 40 * minute);
+
+    // The last phase goes on until the party ends
+    assert.equal(advancePlan(plan, 1000 * minute), plan);
+});
@@ -0,0 +1,29 @@
+// Loaded into the server with --import by the tests that start it (see startServer in playback.test.js).
+// Adds the storage backend "slow-memory": the memory storage, but every call answers after
+// SLOW_STORAGE_DELAY_MS, like the round trip to a database. The memory storage answers right away,
+// so without the delay two requests never wait for the storage at the same time.
+
+import { storageBackends } from '../backend/storage.js';
+import { createMemoryStorage } from '../backend/memoryStorage.js';
+
+const delay = parseFloat(process.env.SLOW_STORAGE_DELAY_MS) || 20;
+
+storageBackends['slow-memory'] = async () => withDelay(await createMemoryStorage());
+
+// Wraps every function of the storage, also those in its groups, so it answers after the delay
+function withDelay(storage) {
+    const result = {};
+    for (const [key, value] of Object.entries(storage)) {
+        if (typeof value === 'function') {
+            result[key] = async (...args) => {
+                await new Promise(resolve => setTimeout(resolve, delay));
+                return value(...args);
+            };
+        } else if (typeof value === 'object') {
+            result[key] = withDelay(value);
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
@@ -0,0 +1,36 @@
+// Checks which addresses webhooks may send to
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when webhooks.js is loaded, so it has to go before
+delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+const { checkWebhookUrl } = await import('../backend/webhooks.js');
+
+test('webhooks may send to public addresses', async () => {
+    assert.deepEqual(await checkWebhookUrl('https://93.184.215.14/hook'), {});
+    assert.deepEqual(await checkWebhookUrl('http://[2606:4700::6810:84e5]:8080/'), {});
+});
+
+test('webhooks may not send to loopback, private or link-local addresses', async () => {
+    const urls = [
+        'http://127.0.0.1:5432/',
+        'http://localhost/',
+        'http://10.1.2.3/',
+        'http://172.20.0.1/',
+        'http://192.168.1.1/admin',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://0.0.0.0/',
+        'http://[::1]/',
+        'http://[fe80::1]/',
+        'http://[fd00::1]/',
+        'http://[::ffff:127.0.0.1]/',
+    ];
+    for (const url of urls) {
+        assert.equal((await checkWebhookUrl(url)).code, 'webhook-url-not-public', url);
+    }
+});
+
+test('webhooks may not send to hosts that cannot be found', async () => {
+    assert.equal((await checkWebhookUrl('http://does-not-exist.invalid/')).code, 'webhook-host-not-found');
+});
@@ -0,0 +1,393 @@
+// Plays a party through with bot guests, to see how well the track picking does without guessing.
+// It runs the strategies (see backend/strategies.js) against the in-memory catalog, and drives
+// backend/player.js with a virtual clock that jumps to the next vote or the end of the track,
+// so hundreds of tracks take a second instead of a night. No server or database is needed.
+//
+// Usage: npm run simulate -- [options]
+//
+// Options:
+// --tracks 300             how many tracks to play
+// --strategy heuristic     one of the strategies, see GET /api/strategies
+// --group pop,dance:8      a group of bots: the genres they like and how many there are.
+//                          Give it once per group, the default is pop,dance:8 hip-hop,party:6 rock,energy:6
+// --vote-chance 0.5        how likely a bot votes on a track: up if it has a genre they like, down if not
+// --noise 0.1              how likely a vote goes the other way, because nobody is that predictable
+// --genre-weight 2         the similarity points, see similarityWeights in backend/strategies.js
+// --energy-weight 1
+// --artist-weight 3
+// --history-size 5         the party settings, see backend/settings.js
+// --artist-spacing 0
+// --seed 1                 the same seed and options give the same party, so runs can be compared
+// --json                   print the results as JSON instead of a report
+//
+// Results:
+// - satisfaction: how many of the bots like a track, on average over every track played.
+//   For comparison, the same for a track picked at random from the catalog.
+// - converged after: the number of tracks until 10 in a row are liked about as much
+//   (90% or more) as the second half of the party
+// - genre diversity: how evenly the plays are spread over the catalog's genres,
+//   from 0 (all one genre) to 1 (every genre equally often)
+// - repeat rate: how many tracks had already played within the 20 tracks before them
+
+import { parseArgs } from 'util';
+import { createMemoryStorage } from '../backend/memoryStorage.js';
+import { strategies, similarityWeights } from '../backend/strategies.js';
+import { defaultSettings, getCandidates } from '../backend/settings.js';
+import { playerEvents, play, useClock } from '../backend/player.js';
+
+const partyCode = 'simulation';
+const convergenceWindow = 10;
+const repeatWindow = 20;
+const defaultGroups = ['pop,dance:8', 'hip-hop,party:6', 'rock,energy:6'];
+
+const storage = await createMemoryStorage();
+const tracks = await storage.tracks.getAll();
+const genres = await storage.genres.getAll();
+
+// Unknown options and bad values alike are usage errors, printed without a stack trace
+let options;
+let config;
+try {
+    ({ values: options } = parseArgs({
+        options: {
+            'tracks': { type: 'string', default: '300' },
+            'strategy': { type: 'string', default: 'heuristic' },
+            'group': { type: 'string', multiple: true },
+            'vote-chance': { type: 'string', default: '0.5' },
+            'noise': { type: 'string', default: '0.1' },
+            'genre-weight': { type: 'string', default: String(similarityWeights.genre) },
+            'energy-weight': { type: 'string', default: String(similarityWeights.energy) },
+            'artist-weight': { type: 'string', default: String(similarityWeights.artist) },
+            'history-size': { type: 'string', default: String(defaultSettings.historySize) },
+            'artist-spacing': { type: 'string', default: String(defaultSettings.artistSpacing) },
+            'seed': { type: 'string', default: '1' },
+            'json': { type: 'boolean', default: false },
+        },
+    }));
+    config = readOptions(options, genres);
+} catch (error) {
+    console.error(error.message);
+    console.error('The options are listed at the top of tools/simulate.js');
+    process.exit(1);
+}
+
+// The strategies draw among equal tracks with Math.random, so it has to follow the seed too
+Math.random = seededRandom(config.seed);
+
+const clock = createVirtualClock();
+useClock(clock);
+
+const bots = createBots(config.groups);
+const votes = createVoteStore(clock);
+const plays = [];
+let picking = null;
+
+playerEvents.on('track-ended', () => {
+    picking = plays.length < config.tracks ? playNextTrack() : null;
+});
+
+picking = playNextTrack();
+while (picking) {
+    await picking;
+    picking = Promise.resolve();
+    if (!clock.runNext()) {
+        break;
+    }
+}
+
+const results = measure(plays, bots, tracks);
+if (options.json) {
+    console.log(JSON.stringify({ options: config, ...results }, null, 2));
+} else {
+    printReport(config, results);
+}
+
+// SIMULATED PARTY
+
+// Picks the next track the way the server does (without requests or polls) and plays it,
+// with each bot's vote at a random moment during the track
+async function playNextTrack() {
+    const recentTrackIds = plays.slice(-50).map(p => p.track.track_id);
+    const candidates = getCandidates(tracks, recentTrackIds, config.settings);
+
+    const pick = await strategies[config.strategy].pick({
+        partyCode,
+        storage: votes,
+        tracks,
+        candidates,
+        memberProfiles: [],
+        phase: null,
+        weights: config.weights,
+    });
+    const track = pick.track;
+
+    plays.push({ track, startedAt: clock.now(), likedBy: bots.filter(bot => likes(bot, track)).length });
+    play(partyCode, track.track_id, track.duration, clock.now());
+
+    for (const bot of bots) {
+        if (Math.random() >= config.voteChance) {
+            continue;
+        }
+        const agrees = Math.random() >= config.noise;
+        const vote = likes(bot, track) === agrees ? 'up' : 'down';
+        clock.setTimeout(() => votes.record(track.track_id, bot.botId, vote), Math.random() * track.duration);
+    }
+}
+
+function createBots(groups) {
+    const bots = [];
+    for (const group of groups) {
+        for (let i = 0; i < group.count; i++) {
+            bots.push({ botId: `bot-${bots.length + 1}`, genres: group.genres });
+        }
+    }
+    return bots;
+}
+
+function likes(bot, track) {
+    return track.genres.some(genre => bot.genres.includes(genre));
+}
+
+// Keeps the bots' votes with the functions the strategies read, timed by the virtual clock.
+// Like the real storage, a bot's vote on a track replaces its earlier one.
+function createVoteStore(clock) {
+    const entries = new Map();
+
+    const sumScores = (getWeight) => {
+        const result = new Map();
+        for (const v of entries.values()) {
+            const score = (v.vote === 'up' ? 1 : -1) * getWeight(v);
+            result.set(v.trackId, (result.get(v.trackId) || 0) + score);
+        }
+        return result;
+    };
+
+    return {
+        record(trackId, botId, vote) {
+            entries.set(`${trackId}\n${botId}`, { trackId, vote, votedAt: clock.now() });
+        },
+        votes: {
+            async getScores() {
+                return sumScores(() => 1);
+            },
+            async getRecentScores(partyCode, halfLife) {
+                return sumScores(v => Math.pow(0.5, (clock.now() - v.votedAt) / halfLife));
+            },
+            // There are no other parties, so every vote is from this one
+            async getScoresEverywhere() {
+                const result = new Map();
+                for (const [trackId, score] of sumScores(() => 1)) {
+                    result.set(trackId, { partyScore: score, totalScore: score });
+                }
+                return result;
+            },
+            async getProfileScores() {
+                return new Map();
+            },
+        },
+        // Bots don't react, they only vote
+        reactions: {
+            async getTallies() {
+                return [];
+            },
+        },
+    };
+}
+
+// A clock that only moves when told to, straight to the next timer
+function createVirtualClock() {
+    const timers = new Map();
+    let now = Date.UTC(2025, 0, 1, 20, 0);
+    let nextTimerId = 1;
+
+    return {
+        now: () => now,
+        setTimeout(callback, delay) {
+            const timerId = nextTimerId++;
+            timers.set(timerId, { timerId, at: now + Math.max(0, delay), callback });
+            return timerId;
+        },
+        clearTimeout(timerId) {
+            timers.delete(timerId);
+        },
+        // Moves to the next timer and runs it. Returns false when there are none left.
+        runNext() {
+            let next = null;
+            for (const timer of timers.values()) {
+                if (!next || timer.at < next.at || (timer.at === next.at && timer.timerId < next.timerId)) {
+                    next = timer;
+                }
+            }
+            if (!next) {
+                return false;
+            }
+            timers.delete(next.timerId);
+            now = next.at;
+            next.callback();
+            return true;
+        },
+    };
+}
+
+// RESULTS
+
+function measure(plays, bots, tracks) {
+    const satisfaction = plays.map(p => p.likedBy / bots.length);
+    const randomSatisfaction = average(tracks.map(track => bots.filter(bot => likes(bot, track)).length / bots.length));
+
+    const secondHalf = average(satisfaction.slice(Math.floor(satisfaction.length / 2)));
+    let convergedAfter = null;
+    for (let end = convergenceWindow; end <= satisfaction.length; end++) {
+        if (average(satisfaction.slice(end - convergenceWindow, end)) >= 0.9 * secondHalf) {
+            convergedAfter = end;
+            break;
+        }
+    }
+
+    const genreCounts = new Map();
+    for (const p of plays) {
+        for (const genre of p.track.genres) {
+            genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1);
+        }
+    }
+
+    const repeats = plays.filter((p, index) =>
+        plays.slice(Math.max(0, index - repeatWindow), index).some(earlier => earlier.track.track_id === p.track.track_id)
+    ).length;
+
+    const groups = new Map();
+    for (const bot of bots) {
+        const key = bot.genres.join(',');
+        const group = groups.get(key) || { genres: bot.genres, bots: 0, satisfaction: 0 };
+        group.bots++;
+        groups.set(key, group);
+    }
+    for (const group of groups.values()) {
+        group.satisfaction = round(average(plays.map(p => p.track.genres.some(genre => group.genres.includes(genre)) ? 1 : 0)));
+    }
+
+    const genresInCatalog = new Set(tracks.flatMap(t => t.genres)).size;
+    const stage = Math.max(1, Math.floor(plays.length / 10));
+    return {
+        tracksPlayed: plays.length,
+        minutes: plays.length > 0 ? Math.round((clock.now() - plays[0].startedAt) / 60000) : 0,
+        satisfaction: round(average(satisfaction)),
+        randomSatisfaction: round(randomSatisfaction),
+        firstTenthSatisfaction: round(average(satisfaction.slice(0, stage))),
+        lastTenthSatisfaction: round(average(satisfaction.slice(-stage))),
+        convergedAfter,
+        genreDiversity: round(evenness([...genreCounts.values()], genresInCatalog)),
+        genresPlayed: genreCounts.size,
+        genresInCatalog,
+        repeatRate: round(plays.length > 0 ? repeats / plays.length : 0),
+        groups: [...groups.values()],
+    };
+}
+
+function printReport(config, results) {
+    const percent = value => `${Math.round(value * 100)}%`;
+    const weights = config.weights;
+
+    console.log(`Played ${results.tracksPlayed} tracks (${results.minutes} minutes of party) for ${config.guests} bots`);
+    console.log(`Strategy ${config.strategy}, weights genre ${weights.genre} / energy ${weights.energy} / artist ${weights.artist}, seed ${config.seed}`);
+    console.log('');
+    console.log(`Average satisfaction  ${percent(results.satisfaction)} (at random: ${percent(results.randomSatisfaction)})`);
+    console.log(`  first tenth         ${percent(results.firstTenthSatisfaction)}`);
+    console.log(`  last tenth          ${percent(results.lastTenthSatisfaction)}`);
+    for (const group of results.groups) {
+        console.log(`  ${group.genres.join(', ')} fans (${group.bots}): ${percent(group.satisfaction)} of tracks for them`);
+    }
+    console.log(`Converged after       ${results.convergedAfter === null ? 'never' : `${results.convergedAfter} tracks`}`);
+    console.log(`Genre diversity       ${results.genreDiversity.toFixed(2)} (${results.genresPlayed} of ${results.genresInCatalog} genres played)`);
+    console.log(`Repeat rate           ${percent(results.repeatRate)} (played again within ${repeatWindow} tracks)`);
+}
+
+// HELPER FUNCTIONS
+
+function readOptions(options, genres) {
+    const number = (name, min, max) => {
+        const value = Number(options[name]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`--${name} must be a number from ${min} to ${max}`);
+        }
+        return value;
+    };
+    const wholeNumber = (name, min, max) => {
+        const value = number(name, min, max);
+        if (!Number.isInteger(value)) {
+            throw new Error(`--${name} must be a whole number`);
+        }
+        return value;
+    };
+
+    if (!Object.hasOwn(strategies, options.strategy)) {
+        throw new Error(`--strategy must be one of: ${Object.keys(strategies).join(', ')}`);
+    }
+
+    const groups = (options.group || defaultGroups).map(text => {
+        const match = text.match(/^([a-z-]+(?:,[a-z-]+)*):(\d+)$/);
+        if (!match) {
+            throw new Error(`--group must look like pop,dance:8, not ${text}`);
+        }
+        const groupGenres = match[1].split(',');
+        const unknown = groupGenres.find(g => !genres.some(genre => genre.genre === g));
+        if (unknown) {
+            throw new Error(`Unknown genre ${unknown}, use one of: ${genres.map(genre => genre.genre).join(', ')}`);
+        }
+        return { genres: groupGenres, count: Number(match[2]) };
+    });
+
+    const guests = groups.reduce((sum, group) => sum + group.count, 0);
+    if (guests === 0) {
+        throw new Error('The party needs at least one bot');
+    }
+
+    return {
+        tracks: wholeNumber('tracks', 1, 100000),
+        strategy: options.strategy,
+        groups,
+        guests,
+        voteChance: number('vote-chance', 0, 1),
+        noise: number('noise', 0, 1),
+        weights: {
+            genre: number('genre-weight', -100, 100),
+            energy: number('energy-weight', -100, 100),
+            artist: number('artist-weight', -100, 100),
+        },
+        settings: {
+            ...defaultSettings,
+            historySize: wholeNumber('history-size', 0, 50),
+            artistSpacing: wholeNumber('artist-spacing', 0, 50),
+        },
+        seed: wholeNumber('seed', 0, 2 ** 32 - 1),
+    };
+}
+
+// Mulberry32, a small random number generator that gives the same numbers for the same seed
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Shannon entropy of the counts, divided by the most it could be with this many kinds
+function evenness(counts, kinds) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (kinds < 2 || total === 0) {
+        return 0;
+    }
+    const entropy = -counts.reduce((sum, count) => sum + count / total * Math.log(count / total), 0);
+    return entropy / Math.log(kinds);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,75 @@
+// A webhook receiver for trying out party webhooks on your own machine.
+// It prints every delivery and checks its signature (see backend/webhooks.js).
+//
+// Usage: npm run webhook-receiver -- [port]    (port 4000 if not given)
+// Start the server with WEBHOOK_ALLOW_PRIVATE_URLS=1, as webhooks may only send to public addresses
+// otherwise. Then add http://localhost:4000/ as a webhook in the party, e.g.
+//   curl -X POST http://localhost:3003/api/party/<code>/webhooks \
+//        -H "Authorization: Bearer <host token>" -H "Content-Type: application/json" \
+//        -d '{"url": "http://localhost:4000/"}'
+//
+// Settings:
+// - WEBHOOK_SECRET: the secret shown when the webhook was added, to check signatures
+// - FAIL_FIRST: answer 500 to the first this many attempts of each delivery, to see the retries
+
+import http from 'http';
+import crypto from 'crypto';
+import { signPayload } from '../backend/webhooks.js';
+
+const port = parseInt(process.argv[2]) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const failFirst = parseInt(process.env.FAIL_FIRST) || 0;
+
+// Delivery ID -> attempts seen
+const attempts = new Map();
+
+if (!secret) {
+    console.log('WEBHOOK_SECRET is not set, signatures are not checked');
+}
+
+const server = http.createServer((request, response) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => body += chunk);
+    request.on('end', () => {
+        const event = request.headers['x-nexttrack-event'];
+        const deliveryId = request.headers['x-nexttrack-delivery'];
+        const attempt = (attempts.get(deliveryId) || 0) + 1;
+        attempts.set(deliveryId, attempt);
+
+        console.log(`\n${new Date().toISOString()} ${event} (delivery ${deliveryId}, attempt ${attempt})`);
+        console.log(`Signature: ${checkSignature(request.headers, body)}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body).data, null, 2));
+        } catch {
+            console.log(body);
+        }
+
+        if (attempt <= failFirst) {
+            console.log(`Answering 500 (FAIL_FIRST=${failFirst})`);
+            response.writeHead(500).end();
+        } else {
+            response.writeHead(204).end();
+        }
+    });
+});
+
+server.listen(port, () => console.log(`Waiting for webhooks on http://localhost:${port}/`));
+
+// HELPER FUNCTIONS
+
+function checkSignature(headers, body) {
+    if (!secret) {
+        return 'not checked';
+    }
+
+    const expected = Buffer.from(signPayload(secret, headers['x-nexttrack-timestamp'], body));
+    const signature = Buffer.from(headers['x-nexttrack-signature'] || '');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        return 'WRONG';
+    }
+
+    // A signature is only good for a few minutes, so an old delivery can't be sent again
+    const age = Date.now() - Number(headers['x-nexttrack-timestamp']);
+    return age < 5 * 60 * 1000 ? 'ok' : `ok, but ${Math.round(age / 1000)} seconds old`;
+}